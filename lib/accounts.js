@@ -0,0 +1,235 @@
+import crypto from "crypto";
+import { promisify } from "util";
+
+const scrypt = promisify(crypto.scrypt);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Sliding expiry is only written back once a day per session.
+const TOUCH_INTERVAL_MS = DAY_MS;
+
+export const PASSWORD_MIN_LENGTH = 8;
+const PASSWORD_MAX_LENGTH = 200;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export function accountIdentityKey(accountId) {
+  return `account:${accountId}`;
+}
+
+export function isAccountIdentity(identityKey) {
+  return String(identityKey || "").startsWith("account:");
+}
+
+export function getAccountId(identityKey) {
+  return isAccountIdentity(identityKey) ? identityKey.slice("account:".length) : null;
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString("base64")}$${key.toString("base64")}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "base64");
+  const key = await scrypt(password, Buffer.from(salt, "base64"), expected.length);
+  return crypto.timingSafeEqual(key, expected);
+}
+
+export function normalizeEmail(email) {
+  return typeof email === "string" ? email.trim().toLowerCase() : "";
+}
+
+function readCredentials({ email, password }) {
+  const normalized = normalizeEmail(email);
+  if (!EMAIL_PATTERN.test(normalized) || normalized.length > 254) {
+    return { error: "INVALID_EMAIL" };
+  }
+  if (
+    typeof password !== "string" ||
+    password.length < PASSWORD_MIN_LENGTH ||
+    password.length > PASSWORD_MAX_LENGTH
+  ) {
+    return { error: "WEAK_PASSWORD", minLength: PASSWORD_MIN_LENGTH };
+  }
+  return { email: normalized, password };
+}
+
+// Cooldowns and locks carry over so linking can't be used to reset them; bonus
+// scans add up, quota counters are merged separately and premium follows the
+// moved entitlements.
+// Both users are expected to be on the current week already.
+export function mergeUserRecords(target, source) {
+  const sameWeek = target.weekStartMs === source.weekStartMs;
+  const hasDiet = (p) => !!(p?.diets?.length || p?.allergens?.length);
+
+  return {
+    lastAnalyzeMs: Math.max(target.lastAnalyzeMs || 0, source.lastAnalyzeMs || 0),
+    lastRegenMs: Math.max(target.lastRegenMs || 0, source.lastRegenMs || 0),
+    lastPlanMs: Math.max(target.lastPlanMs || 0, source.lastPlanMs || 0),
+    isLockedUntilReset: !!(target.isLockedUntilReset || (sameWeek && source.isLockedUntilReset)),
+    unlockAtMs: Math.max(target.unlockAtMs || 0, sameWeek ? source.unlockAtMs || 0 : 0),
+    bonusScans: (target.bonusScans || 0) + (source.bonusScans || 0),
+    dietProfile: hasDiet(target.dietProfile) ? target.dietProfile : source.dietProfile ?? null,
+    unitSystem: target.unitSystem || source.unitSystem || null,
+    timeZone: target.timeZone || source.timeZone || null,
+    locale: target.locale || source.locale || null,
+    createdMs: Math.min(target.createdMs || Date.now(), source.createdMs || Date.now()),
+  };
+}
+
+export function createAccountService({
+  store,
+  policy = null,
+  sessionTtlDays = Number(process.env.SESSION_TTL_DAYS) || 90,
+}) {
+  const ttlMs = sessionTtlDays * DAY_MS;
+
+  function issueSession(identityKey) {
+    const token = crypto.randomBytes(32).toString("base64url");
+    const session = store.sessions.create({
+      tokenHash: hashToken(token),
+      identityKey,
+      expiresMs: Date.now() + ttlMs,
+    });
+    return { token, expiresMs: session.expiresMs };
+  }
+
+  // Guests and devices linked to an account act as that account.
+  function resolveIdentity(identityKey) {
+    if (!identityKey || isAccountIdentity(identityKey)) return identityKey;
+    const accountId = store.accounts.getLinkedAccountId(identityKey);
+    return accountId ? accountIdentityKey(accountId) : identityKey;
+  }
+
+  // Returns { identityKey, sessionIdentityKey, tokenHash } or null.
+  function authenticate(token) {
+    if (typeof token !== "string" || !token) return null;
+    const nowMs = Date.now();
+    const tokenHash = hashToken(token);
+    const session = store.sessions.get(tokenHash, nowMs);
+    if (!session) return null;
+
+    if (nowMs - session.lastUsedMs >= TOUCH_INTERVAL_MS) {
+      store.sessions.touch(tokenHash, nowMs, nowMs + ttlMs);
+    }
+
+    return {
+      identityKey: resolveIdentity(session.identityKey),
+      sessionIdentityKey: session.identityKey,
+      tokenHash,
+    };
+  }
+
+  function revoke(tokenHash) {
+    return store.sessions.remove(tokenHash);
+  }
+
+  // An identity is claimed once a session was issued for it or it was linked;
+  // from then on its raw id alone no longer grants access.
+  function isClaimed(identityKey) {
+    if (isAccountIdentity(identityKey)) return true;
+    if (store.accounts.getLinkedAccountId(identityKey)) return true;
+    return !!store.users.get(identityKey)?.claimedMs;
+  }
+
+  async function signUp(input) {
+    const creds = readCredentials(input || {});
+    if (creds.error) {
+      const { error, ...details } = creds;
+      return { status: 400, error, ...details };
+    }
+    if (store.accounts.getByEmail(creds.email)) {
+      return { status: 409, error: "EMAIL_TAKEN" };
+    }
+
+    const passwordHash = await hashPassword(creds.password);
+    try {
+      const account = store.accounts.create({ email: creds.email, passwordHash });
+      return { account };
+    } catch (err) {
+      // Lost a race with a concurrent sign-up for the same address.
+      if (err?.code === "SQLITE_CONSTRAINT_UNIQUE") {
+        return { status: 409, error: "EMAIL_TAKEN" };
+      }
+      throw err;
+    }
+  }
+
+  async function signIn({ email, password } = {}) {
+    const account = store.accounts.getByEmail(normalizeEmail(email));
+    const ok =
+      !!account &&
+      typeof password === "string" &&
+      (await verifyPassword(password, account.passwordHash));
+    if (!ok) {
+      return { status: 401, error: "INVALID_CREDENTIALS" };
+    }
+    return { account: store.accounts.update(account.id, { lastSignInMs: Date.now() }) };
+  }
+
+  // Folds one identity's user record, quota usage, scans, pantry, saved
+  // recipes, lists, plans, share links and entitlements into another. Linking
+  // to an account also records the link so old guest tokens resolve to it.
+  // Without `withEntitlements`, purchases stay with the old identity.
+  function mergeIdentity(fromKey, toKey, { withEntitlements = true } = {}) {
+    if (!fromKey || !toKey || fromKey === toKey) return;
+
+    store.transaction(() => {
+      const source = store.users.get(fromKey);
+      const target = store.users.get(toKey);
+      if (source && target) {
+        store.users.update(toKey, mergeUserRecords(target, source));
+      } else if (source) {
+        const { identityKey: _ignored, ...copy } = source;
+        store.users.create(toKey, copy);
+      }
+
+      store.accounts.moveOwnedRecords(fromKey, toKey, { withEntitlements });
+      // Counters only add up once both sides are on the merged user's calendar.
+      const zone = target?.timeZone || source?.timeZone || null;
+      for (const [key, user] of [[fromKey, source], [toKey, target]]) {
+        if (policy && user && (user.timeZone || null) !== zone) {
+          policy.carryUsage(key, user.timeZone, zone);
+        }
+      }
+      store.usage.mergeInto(fromKey, toKey);
+      if (source) store.users.remove(fromKey);
+
+      if (isAccountIdentity(toKey)) {
+        store.accounts.link(fromKey, getAccountId(toKey));
+      }
+    });
+  }
+
+  function describeAccount(accountId) {
+    const account = store.accounts.get(accountId);
+    if (!account) return null;
+    return {
+      id: account.id,
+      email: account.email,
+      createdMs: account.createdMs,
+      linkedIdentities: store.accounts.listLinks(accountId).map((l) => ({
+        kind: l.identityKey.split(":")[0],
+        linkedMs: l.linkedMs,
+      })),
+    };
+  }
+
+  return {
+    issueSession,
+    resolveIdentity,
+    authenticate,
+    revoke,
+    isClaimed,
+    signUp,
+    signIn,
+    mergeIdentity,
+    describeAccount,
+  };
+}
@@ -0,0 +1,51 @@
+import crypto from "crypto";
+
+const MIN_SECRET_LENGTH = 16;
+
+function digest(value) {
+  return crypto.createHash("sha256").update(String(value)).digest();
+}
+
+// ADMIN_CREDENTIALS="alice:<secret>,bob:<secret>" parsed to name -> secret
+// digest. Misconfigured entries stop startup rather than being skipped.
+export function parseAdminCredentials(spec) {
+  const credentials = new Map();
+  for (const entry of String(spec || "").split(",")) {
+    if (!entry.trim()) continue;
+    const at = entry.indexOf(":");
+    const name = entry.slice(0, at).trim();
+    const secret = entry.slice(at + 1).trim();
+    if (at < 1 || !/^[\w.@-]+$/.test(name)) {
+      throw new Error('ADMIN_CREDENTIALS entries must look like "name:secret"');
+    }
+    if (secret.length < MIN_SECRET_LENGTH) {
+      throw new Error(
+        `ADMIN_CREDENTIALS secret for "${name}" must be at least ${MIN_SECRET_LENGTH} characters`
+      );
+    }
+    credentials.set(name, digest(secret));
+  }
+  return credentials;
+}
+
+// Operators sign in with HTTP Basic auth; the user name is what the audit log
+// records as the actor.
+export function createAdminAuth(spec = process.env.ADMIN_CREDENTIALS) {
+  const credentials = parseAdminCredentials(spec);
+
+  // Returns the operator name, or null.
+  function authenticate(authorization) {
+    const encoded = /^Basic\s+(\S+)$/i.exec(authorization || "")?.[1];
+    if (!encoded) return null;
+
+    const decoded = Buffer.from(encoded, "base64").toString("utf8");
+    const at = decoded.indexOf(":");
+    const name = decoded.slice(0, at);
+    const expected = credentials.get(name);
+    if (at < 1 || !expected) return null;
+
+    return crypto.timingSafeEqual(digest(decoded.slice(at + 1)), expected) ? name : null;
+  }
+
+  return { enabled: credentials.size > 0, authenticate };
+}
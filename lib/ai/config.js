@@ -0,0 +1,32 @@
+const DEFAULT_MODEL = "gpt-4o-mini-2024-07-18";
+
+const DEFAULTS = {
+  detect: { temperature: 0.1, maxOutputTokens: 500 },
+  free: { temperature: 0.4, maxOutputTokens: 420 },
+  premium: { temperature: 0.35, maxOutputTokens: 760 },
+  candidates: { temperature: 0.7, maxOutputTokens: 900 },
+  plan: { temperature: 0.5, maxOutputTokens: 2400 },
+};
+
+function readNumber(name, fallback) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === "") return fallback;
+  const n = Number(raw);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+// AI_<KIND>_MODEL / _TEMPERATURE / _MAX_TOKENS, falling back to AI_MODEL.
+export function getModelConfig(kind) {
+  const defaults = DEFAULTS[kind];
+  if (!defaults) {
+    throw new Error(`Unknown model call kind: ${kind}`);
+  }
+
+  const prefix = `AI_${kind.toUpperCase()}`;
+
+  return {
+    model: process.env[`${prefix}_MODEL`] || process.env.AI_MODEL || DEFAULT_MODEL,
+    temperature: readNumber(`${prefix}_TEMPERATURE`, defaults.temperature),
+    maxOutputTokens: readNumber(`${prefix}_MAX_TOKENS`, defaults.maxOutputTokens),
+  };
+}
@@ -0,0 +1,32 @@
+import OpenAI from "openai";
+
+import { createOpenAiProvider } from "./openai.js";
+import { createMockProvider } from "./mock.js";
+
+export { getModelConfig } from "./config.js";
+
+// Providers expose detectItems / generateFree / generatePremium /
+// generateCandidates / generateMealPlan, each taking
+// { text, imageDataUrls, onDelta? } and resolving to the parsed JSON object.
+// With onDelta the call streams and onDelta receives the accumulated output
+// text after every chunk.
+// onCall gets { kind, model, usage, ok, durationMs } after every model call;
+// usage is { inputTokens, cachedInputTokens, outputTokens } or null.
+export function createAiProvider(name = process.env.AI_PROVIDER || "openai", { onCall } = {}) {
+  switch (name) {
+    case "openai":
+      return createOpenAiProvider({ onCall });
+    case "mock":
+      return createMockProvider({ onCall });
+    default:
+      throw new Error(`Unknown AI_PROVIDER: ${name}`);
+  }
+}
+
+// Rate limits, timeouts, dropped connections and provider-side failures are
+// worth another try later; bad requests and unparseable output are not.
+export function isTransientAiError(err) {
+  if (err instanceof OpenAI.APIConnectionError) return true;
+  const status = Number(err?.status);
+  return status === 408 || status === 409 || status === 429 || status >= 500;
+}
@@ -0,0 +1,107 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+
+const DEFAULT_FIXTURES_FILE = fileURLToPath(
+  new URL("../../fixtures/mock-ai.json", import.meta.url)
+);
+
+function loadFixtures(file) {
+  const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+
+  for (const kind of ["detection", "free", "premium", "candidates", "plans"]) {
+    if (!Array.isArray(raw?.[kind]) || raw[kind].length === 0) {
+      throw new Error(`Mock AI fixtures in ${file} need a non-empty "${kind}" array`);
+    }
+  }
+
+  return {
+    detection: raw.detection,
+    free: raw.free,
+    premium: raw.premium,
+    candidates: raw.candidates,
+    plans: raw.plans,
+    images: raw.images && typeof raw.images === "object" ? raw.images : {},
+  };
+}
+
+// Hashes the photos as the model would get them, i.e. after normalizing.
+function imageHash(imageDataUrls = []) {
+  const payload = imageDataUrls.map((url) => String(url).split(",").pop()).join("|");
+  return crypto.createHash("sha256").update(payload).digest("hex");
+}
+
+const STREAM_CHUNK_CHARS = 24;
+
+// Fixture sections by the call kinds the OpenAI provider reports.
+const CALL_KINDS = { detection: "detect", plans: "plan" };
+
+// Replays the fixture as JSON text in small chunks, like a streamed response.
+async function replay(obj, onDelta) {
+  if (!onDelta) return obj;
+
+  const text = JSON.stringify(obj);
+  for (let end = STREAM_CHUNK_CHARS; ; end += STREAM_CHUNK_CHARS) {
+    await new Promise((resolve) => setImmediate(resolve));
+    onDelta(text.slice(0, end));
+    if (end >= text.length) break;
+  }
+  return obj;
+}
+
+// Same image always gets the same fixture; `images` pins specific hashes.
+// `transientFailures` makes the first calls fail with a 503, for trying out
+// job retries.
+export function createMockProvider({
+  fixturesFile = process.env.AI_MOCK_FIXTURES || DEFAULT_FIXTURES_FILE,
+  transientFailures = Number(process.env.AI_MOCK_TRANSIENT_FAILURES) || 0,
+  onCall = () => {},
+} = {}) {
+  const fixtures = loadFixtures(fixturesFile);
+  const NO_USAGE = { inputTokens: 0, cachedInputTokens: 0, outputTokens: 0 };
+  let failuresLeft = transientFailures;
+
+  function pick(kind, imageDataUrls) {
+    const call = { kind: CALL_KINDS[kind] || kind, model: "mock", durationMs: 0 };
+    if (failuresLeft > 0) {
+      failuresLeft -= 1;
+      onCall({ ...call, usage: null, ok: false });
+      throw Object.assign(new Error("Mock AI transient failure"), { status: 503 });
+    }
+    onCall({ ...call, usage: NO_USAGE, ok: true });
+    const hash = imageHash(imageDataUrls);
+    const pinned = fixtures.images[hash]?.[kind];
+    if (pinned !== undefined) {
+      return structuredClone(pinned);
+    }
+
+    const variants = fixtures[kind];
+    const index = parseInt(hash.slice(0, 8), 16) % variants.length;
+    return structuredClone(variants[index]);
+  }
+
+  return {
+    name: "mock",
+
+    detectItems({ imageDataUrls, onDelta }) {
+      return replay(pick("detection", imageDataUrls), onDelta);
+    },
+
+    generateFree({ imageDataUrls, onDelta }) {
+      return replay(pick("free", imageDataUrls), onDelta);
+    },
+
+    generatePremium({ imageDataUrls, onDelta }) {
+      return replay(pick("premium", imageDataUrls), onDelta);
+    },
+
+    generateCandidates({ imageDataUrls, onDelta }) {
+      return replay(pick("candidates", imageDataUrls), onDelta);
+    },
+
+    generateMealPlan({ imageDataUrls, onDelta }) {
+      return replay(pick("plans", imageDataUrls), onDelta);
+    },
+  };
+}
@@ -0,0 +1,178 @@
+import OpenAI from "openai";
+
+import { getModelConfig } from "./config.js";
+import {
+  CANDIDATES_JSON_SCHEMA,
+  DETECTION_JSON_SCHEMA,
+  FREE_JSON_SCHEMA,
+  MEAL_PLAN_JSON_SCHEMA,
+  PREMIUM_JSON_SCHEMA,
+} from "./schemas.js";
+
+function getOutputText(resp) {
+  const blocks = resp?.output || [];
+  let text = "";
+
+  for (const item of blocks) {
+    const content = item?.content || [];
+    for (const c of content) {
+      if (c?.type === "output_text" && typeof c?.text === "string") {
+        text += c.text;
+      }
+    }
+  }
+
+  return text.trim();
+}
+
+function readUsage(usage) {
+  if (!usage) return null;
+  return {
+    inputTokens: usage.input_tokens || 0,
+    cachedInputTokens: usage.input_tokens_details?.cached_tokens || 0,
+    outputTokens: usage.output_tokens || 0,
+  };
+}
+
+function safeJsonParse(text) {
+  const cleaned = String(text || "")
+    .replace(/^```json\s*/i, "")
+    .replace(/^```\s*/i, "")
+    .replace(/```$/i, "")
+    .trim();
+
+  return JSON.parse(cleaned);
+}
+
+export function createOpenAiProvider({
+  apiKey = process.env.OPENAI_API_KEY,
+  onCall = () => {},
+} = {}) {
+  let client = null;
+
+  function getClient() {
+    if (!client) {
+      client = new OpenAI({ apiKey });
+    }
+    return client;
+  }
+
+  async function callJson({ kind, text, imageDataUrls = [], detail, schemaName, schema, onDelta }) {
+    const config = getModelConfig(kind);
+
+    const params = {
+      model: config.model,
+      temperature: config.temperature,
+      max_output_tokens: config.maxOutputTokens,
+      input: [
+        {
+          role: "user",
+          content: [
+            { type: "input_text", text },
+            // A scan can have several photos; plans can have none.
+            ...imageDataUrls.map((url) => ({ type: "input_image", image_url: url, detail })),
+          ],
+        },
+      ],
+      text: {
+        format: {
+          type: "json_schema",
+          name: schemaName,
+          strict: false,
+          schema,
+        },
+      },
+    };
+
+    // Reported whether or not the call or its parsing fails.
+    const call = { kind, model: config.model, usage: null, ok: false };
+    const startedMs = Date.now();
+    try {
+      let output = "";
+      if (!onDelta) {
+        const resp = await getClient().responses.create(params);
+        call.usage = readUsage(resp.usage);
+        output = getOutputText(resp);
+      } else {
+        const stream = await getClient().responses.create({ ...params, stream: true });
+        for await (const event of stream) {
+          if (event.type === "response.output_text.delta") {
+            output += event.delta;
+            onDelta(output);
+          } else if (event.type === "response.completed") {
+            call.usage = readUsage(event.response?.usage);
+          }
+        }
+      }
+      const parsed = safeJsonParse(output);
+      call.ok = true;
+      return parsed;
+    } finally {
+      onCall({ ...call, durationMs: Date.now() - startedMs });
+    }
+  }
+
+  return {
+    name: "openai",
+
+    detectItems({ text, imageDataUrls, onDelta }) {
+      return callJson({
+        kind: "detect",
+        text,
+        imageDataUrls,
+        onDelta,
+        detail: "high",
+        schemaName: "detection",
+        schema: DETECTION_JSON_SCHEMA,
+      });
+    },
+
+    generateFree({ text, imageDataUrls, onDelta }) {
+      return callJson({
+        kind: "free",
+        text,
+        imageDataUrls,
+        onDelta,
+        detail: "low",
+        schemaName: "free",
+        schema: FREE_JSON_SCHEMA,
+      });
+    },
+
+    generatePremium({ text, imageDataUrls, onDelta }) {
+      return callJson({
+        kind: "premium",
+        text,
+        imageDataUrls,
+        onDelta,
+        detail: "low",
+        schemaName: "premium",
+        schema: PREMIUM_JSON_SCHEMA,
+      });
+    },
+
+    generateCandidates({ text, imageDataUrls, onDelta }) {
+      return callJson({
+        kind: "candidates",
+        text,
+        imageDataUrls,
+        onDelta,
+        detail: "low",
+        schemaName: "candidates",
+        schema: CANDIDATES_JSON_SCHEMA,
+      });
+    },
+
+    generateMealPlan({ text, imageDataUrls, onDelta }) {
+      return callJson({
+        kind: "plan",
+        text,
+        imageDataUrls,
+        onDelta,
+        detail: "low",
+        schemaName: "meal_plan",
+        schema: MEAL_PLAN_JSON_SCHEMA,
+      });
+    },
+  };
+}
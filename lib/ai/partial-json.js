@@ -0,0 +1,119 @@
+// Reads a JSON object that is still being streamed and returns the top-level
+// fields whose values are already complete, plus the finished elements of any
+// top-level arrays. Re-scans from the start each call; model outputs are small.
+export function scanPartialJson(text) {
+  const src = String(text || "").replace(/^\s*```(?:json)?\s*/i, "");
+  const fields = {};
+  const items = {};
+  const stack = [];
+
+  let inString = false;
+  let escape = false;
+  let readingKey = false;
+  let expectKey = false;
+  let key = null;
+  let keyStart = -1;
+  let valueStart = -1;
+  let elemStart = -1;
+
+  const inTopArray = () => stack.length === 2 && stack[1] === "[";
+
+  function finishField(end) {
+    try {
+      fields[key] = JSON.parse(src.slice(valueStart, end));
+    } catch {
+      // incomplete literal; ignore
+    }
+    valueStart = -1;
+  }
+
+  function finishElem(end) {
+    try {
+      items[key].push(JSON.parse(src.slice(elemStart, end)));
+    } catch {
+      // incomplete literal; ignore
+    }
+    elemStart = -1;
+  }
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+
+    if (inString) {
+      if (escape) {
+        escape = false;
+      } else if (ch === "\\") {
+        escape = true;
+      } else if (ch === '"') {
+        inString = false;
+        if (stack.length === 1 && readingKey) {
+          key = JSON.parse(src.slice(keyStart, i + 1));
+          readingKey = false;
+        } else if (stack.length === 1 && valueStart >= 0) {
+          finishField(i + 1);
+        } else if (inTopArray() && elemStart >= 0) {
+          finishElem(i + 1);
+        }
+      }
+      continue;
+    }
+
+    if (/\s/.test(ch)) continue;
+
+    if (stack.length === 0) {
+      if (ch === "{") {
+        stack.push("{");
+        expectKey = true;
+      }
+      continue;
+    }
+
+    if (stack.length === 1) {
+      if (ch === '"') {
+        inString = true;
+        if (expectKey) {
+          readingKey = true;
+          expectKey = false;
+          keyStart = i;
+        } else if (valueStart < 0) {
+          valueStart = i;
+        }
+      } else if (ch === ",") {
+        if (valueStart >= 0) finishField(i);
+        expectKey = true;
+      } else if (ch === "}") {
+        if (valueStart >= 0) finishField(i);
+        break;
+      } else if (ch === "{" || ch === "[") {
+        valueStart = i;
+        stack.push(ch);
+        if (ch === "[") items[key] = [];
+      } else if (ch !== ":" && valueStart < 0) {
+        valueStart = i;
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      inString = true;
+      if (inTopArray() && elemStart < 0) elemStart = i;
+    } else if (ch === "{" || ch === "[") {
+      if (inTopArray() && elemStart < 0) elemStart = i;
+      stack.push(ch);
+    } else if (ch === "}" || ch === "]") {
+      if (inTopArray() && elemStart >= 0) finishElem(i);
+      stack.pop();
+      if (stack.length === 1) {
+        finishField(i + 1);
+      } else if (inTopArray() && elemStart >= 0) {
+        finishElem(i + 1);
+      }
+    } else if (ch === ",") {
+      if (inTopArray() && elemStart >= 0) finishElem(i);
+    } else if (inTopArray() && elemStart < 0) {
+      elemStart = i;
+    }
+  }
+
+  return { fields, items };
+}
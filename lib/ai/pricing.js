@@ -0,0 +1,47 @@
+import fs from "fs";
+import { fileURLToPath } from "url";
+
+const DEFAULT_PRICING_FILE = fileURLToPath(
+  new URL("../../config/model-pricing.json", import.meta.url)
+);
+
+function loadPricing(file) {
+  const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  const models = Object.entries(raw?.models || {});
+  for (const [model, p] of models) {
+    if (!["input", "cachedInput", "output"].every((k) => Number(p?.[k]) >= 0)) {
+      throw new Error(
+        `Model pricing for "${model}" in ${file} needs input, cachedInput and output`
+      );
+    }
+  }
+  // Longest names first so "gpt-4o-mini" wins over "gpt-4o".
+  return models.sort((a, b) => b[0].length - a[0].length);
+}
+
+let pricing = null;
+
+function getPricing() {
+  if (!pricing) pricing = loadPricing(process.env.AI_PRICING_FILE || DEFAULT_PRICING_FILE);
+  return pricing;
+}
+
+export function findModelPrice(model) {
+  const name = String(model || "");
+  const match = getPricing().find(
+    ([prefix]) => name === prefix || name.startsWith(`${prefix}-`)
+  );
+  return match?.[1] || null;
+}
+
+// Estimated USD for one call's { inputTokens, cachedInputTokens, outputTokens },
+// or null for a model missing from the price table.
+export function estimateCostUsd(model, usage) {
+  const price = findModelPrice(model);
+  if (!price || !usage) return null;
+
+  const cached = usage.cachedInputTokens || 0;
+  const uncached = Math.max(0, (usage.inputTokens || 0) - cached);
+  const output = usage.outputTokens || 0;
+  return (uncached * price.input + cached * price.cachedInput + output * price.output) / 1_000_000;
+}
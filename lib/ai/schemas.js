@@ -0,0 +1,162 @@
+export const DETECTION_JSON_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    items: {
+      type: "array",
+      items: {
+        type: "object",
+        additionalProperties: false,
+        properties: {
+          name: { type: "string" },
+          category: {
+            type: "string",
+            enum: [
+              "produce",
+              "leftover",
+              "cooked_food",
+              "meat",
+              "seafood",
+              "dairy",
+              "drink",
+              "condiment",
+              "pantry",
+              "sauce",
+              "other_food",
+            ],
+          },
+          confidence: {
+            type: "string",
+            enum: ["high", "medium", "low"],
+          },
+        },
+        required: ["name", "category", "confidence"],
+      },
+    },
+  },
+  required: ["items"],
+};
+
+export const FREE_JSON_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    error: { type: "string", enum: ["NO_FOOD_DETECTED"] },
+    title: { type: "string" },
+    ingredients: { type: "array", items: { type: "string" } },
+    ingredientsEnglish: { type: "array", items: { type: "string" } },
+    recipe: { type: "string" },
+  },
+};
+
+export const PREMIUM_JSON_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    error: { type: "string", enum: ["NO_FOOD_DETECTED"] },
+    title: { type: "string" },
+    ingredients: {
+      type: "array",
+      items: {
+        type: "object",
+        additionalProperties: false,
+        properties: {
+          item: { type: "string" },
+          amount: { type: "string" },
+          quantity: { type: "number" },
+          unit: { type: "string" },
+        },
+        required: ["item", "amount"],
+      },
+    },
+    ingredientsEnglish: { type: "array", items: { type: "string" } },
+    steps: { type: "array", items: { type: "string" } },
+    servings: { type: "string" },
+    servingsCount: { type: "number" },
+    timeMinutes: { type: "number" },
+    macros: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        calories: { type: "number" },
+        proteinGrams: { type: "number" },
+        carbsGrams: { type: "number" },
+        fatGrams: { type: "number" },
+      },
+      required: ["calories", "proteinGrams", "carbsGrams", "fatGrams"],
+    },
+  },
+  required: ["title", "ingredients", "steps", "servings", "timeMinutes", "macros"],
+};
+
+export const CANDIDATES_JSON_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    error: { type: "string", enum: ["NO_FOOD_DETECTED"] },
+    candidates: {
+      type: "array",
+      items: {
+        type: "object",
+        additionalProperties: false,
+        properties: {
+          title: { type: "string" },
+          cuisine: { type: "string" },
+          mealType: { type: "string" },
+          summary: { type: "string" },
+          keyIngredients: { type: "array", items: { type: "string" } },
+        },
+        required: ["title", "cuisine", "mealType", "summary", "keyIngredients"],
+      },
+    },
+  },
+};
+
+export const MEAL_PLAN_JSON_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    error: { type: "string", enum: ["NO_FOOD_DETECTED"] },
+    days: {
+      type: "array",
+      items: {
+        type: "object",
+        additionalProperties: false,
+        properties: {
+          day: { type: "integer" },
+          meals: {
+            type: "array",
+            items: {
+              type: "object",
+              additionalProperties: false,
+              properties: {
+                mealType: { type: "string" },
+                title: { type: "string" },
+                summary: { type: "string" },
+                ingredients: {
+                  type: "array",
+                  items: {
+                    type: "object",
+                    additionalProperties: false,
+                    properties: {
+                      item: { type: "string" },
+                      amount: { type: "string" },
+                    },
+                    required: ["item", "amount"],
+                  },
+                },
+                steps: { type: "array", items: { type: "string" } },
+                timeMinutes: { type: "integer" },
+                makesLeftovers: { type: "string" },
+                usesLeftovers: { type: "string" },
+              },
+              required: ["mealType", "title", "summary", "ingredients", "steps"],
+            },
+          },
+        },
+        required: ["day", "meals"],
+      },
+    },
+    notes: { type: "string" },
+  },
+};
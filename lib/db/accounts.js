@@ -0,0 +1,102 @@
+import crypto from "crypto";
+
+import { defineColumns } from "./columns.js";
+
+const columns = defineColumns({
+  id: ["id", "text"],
+  email: ["email", "text"],
+  passwordHash: ["password_hash", "text"],
+  createdMs: ["created_ms", "int"],
+  lastSignInMs: ["last_sign_in_ms", "int"],
+});
+
+// Tables whose rows belong to an identity through owner_key.
+const OWNED_TABLES = [
+  "scans",
+  "recipe_candidates",
+  "saved_recipes",
+  "shopping_lists",
+  "meal_plans",
+  "share_links",
+  "quota_charges",
+  "recipe_ratings",
+];
+
+export function createAccountsRepo(db) {
+  const selectOne = db.prepare("SELECT * FROM accounts WHERE id = ?");
+  const selectByEmail = db.prepare("SELECT * FROM accounts WHERE email = ?");
+  const selectLink = db.prepare("SELECT account_id FROM identity_links WHERE identity_key = ?");
+
+  function get(id) {
+    return columns.fromRow(selectOne.get(id));
+  }
+
+  function getByEmail(email) {
+    return columns.fromRow(selectByEmail.get(email));
+  }
+
+  function create({ email, passwordHash }) {
+    const id = crypto.randomUUID();
+    const { sql, params } = columns.insertSql("accounts", {
+      id,
+      email,
+      passwordHash,
+      createdMs: Date.now(),
+    });
+    db.prepare(sql).run(params);
+    return get(id);
+  }
+
+  function update(id, patch) {
+    const stmt = columns.updateSql("accounts", "id", id, patch);
+    if (stmt) db.prepare(stmt.sql).run(stmt.params);
+    return get(id);
+  }
+
+  function getLinkedAccountId(identityKey) {
+    return selectLink.get(identityKey)?.account_id || null;
+  }
+
+  function link(identityKey, accountId) {
+    db.prepare(
+      `INSERT INTO identity_links (identity_key, account_id, linked_ms) VALUES (?, ?, ?)
+       ON CONFLICT (identity_key) DO NOTHING`
+    ).run(identityKey, accountId, Date.now());
+  }
+
+  function listLinks(accountId) {
+    return db
+      .prepare(
+        "SELECT identity_key, linked_ms FROM identity_links WHERE account_id = ? ORDER BY linked_ms"
+      )
+      .all(accountId)
+      .map((r) => ({ identityKey: r.identity_key, linkedMs: r.linked_ms }));
+  }
+
+  // Hands everything owned by one identity to another. Where both have the same
+  // pantry item available, the receiving identity's row is kept.
+  function moveOwnedRecords(fromKey, toKey, { withEntitlements = true } = {}) {
+    for (const table of OWNED_TABLES) {
+      db.prepare(`UPDATE ${table} SET owner_key = ? WHERE owner_key = ?`).run(toKey, fromKey);
+    }
+
+    db.prepare(
+      `DELETE FROM pantry_items
+       WHERE owner_key = @fromKey AND status = 'available' AND normalized_name IN (
+         SELECT normalized_name FROM pantry_items WHERE owner_key = @toKey AND status = 'available'
+       )`
+    ).run({ fromKey, toKey });
+    db.prepare("UPDATE pantry_items SET owner_key = ? WHERE owner_key = ?").run(toKey, fromKey);
+
+    if (withEntitlements) {
+      db.prepare("UPDATE entitlements SET identity_key = ? WHERE identity_key = ?").run(
+        toKey,
+        fromKey
+      );
+    }
+    // A job whose idempotency key the receiving identity also used stays behind.
+    db.prepare("UPDATE OR IGNORE jobs SET owner_key = ? WHERE owner_key = ?").run(toKey, fromKey);
+  }
+
+  return { get, getByEmail, create, update, getLinkedAccountId, link, listLinks, moveOwnedRecords };
+}
@@ -0,0 +1,74 @@
+// One row per model call, attributed to the request that made it.
+const GROUP_COLUMNS = {
+  route: "route",
+  identity: "identity_key",
+  kind: "kind",
+  model: "model",
+  day: "date(created_ms / 1000, 'unixepoch')",
+};
+
+export const AI_USAGE_GROUPS = Object.keys(GROUP_COLUMNS);
+
+export function createAiUsageRepo(db) {
+  const insert = db.prepare(
+    `INSERT INTO ai_usage
+       (created_ms, request_id, identity_key, route, kind, model, ok, duration_ms,
+        input_tokens, cached_input_tokens, output_tokens, cost_usd)
+     VALUES
+       (@createdMs, @requestId, @identityKey, @route, @kind, @model, @ok, @durationMs,
+        @inputTokens, @cachedInputTokens, @outputTokens, @costUsd)`
+  );
+
+  function record(entry) {
+    insert.run({
+      createdMs: Date.now(),
+      requestId: entry.requestId ?? null,
+      identityKey: entry.identityKey ?? null,
+      route: entry.route ?? null,
+      kind: entry.kind,
+      model: entry.model,
+      ok: entry.ok ? 1 : 0,
+      durationMs: entry.durationMs ?? null,
+      inputTokens: entry.usage?.inputTokens || 0,
+      cachedInputTokens: entry.usage?.cachedInputTokens || 0,
+      outputTokens: entry.usage?.outputTokens || 0,
+      costUsd: entry.costUsd ?? null,
+    });
+  }
+
+  // Totals since `sinceMs`, grouped by one of AI_USAGE_GROUPS, costliest first.
+  function summarize({ sinceMs, groupBy = "route", identityKey = null, limit = 50 }) {
+    const column = GROUP_COLUMNS[groupBy];
+    return db
+      .prepare(
+        `SELECT ${column} AS key,
+           COUNT(*) AS calls,
+           SUM(1 - ok) AS failed_calls,
+           SUM(input_tokens) AS input_tokens,
+           SUM(cached_input_tokens) AS cached_input_tokens,
+           SUM(output_tokens) AS output_tokens,
+           SUM(cost_usd) AS cost_usd,
+           SUM(cost_usd IS NULL) AS unpriced_calls
+         FROM ai_usage
+         WHERE created_ms >= @sinceMs AND (@identityKey IS NULL OR identity_key = @identityKey)
+         GROUP BY 1 ORDER BY cost_usd DESC, calls DESC LIMIT @limit`
+      )
+      .all({ sinceMs, identityKey, limit })
+      .map((row) => ({
+        key: row.key,
+        calls: row.calls,
+        failedCalls: row.failed_calls,
+        inputTokens: row.input_tokens,
+        cachedInputTokens: row.cached_input_tokens,
+        outputTokens: row.output_tokens,
+        costUsd: row.cost_usd ?? 0,
+        unpricedCalls: row.unpriced_calls,
+      }));
+  }
+
+  function deleteOlderThan(cutoffMs) {
+    return db.prepare("DELETE FROM ai_usage WHERE created_ms < ?").run(cutoffMs).changes;
+  }
+
+  return { record, summarize, deleteOlderThan };
+}
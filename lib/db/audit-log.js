@@ -0,0 +1,37 @@
+// Append-only record of admin actions. Rows are never updated or deleted.
+export function createAuditLogRepo(db) {
+  function toEntry(row) {
+    return {
+      id: row.id,
+      createdMs: row.created_ms,
+      actor: row.actor,
+      action: row.action,
+      target: row.target,
+      status: row.status,
+      details: row.details ? JSON.parse(row.details) : null,
+    };
+  }
+
+  function record({ actor, action, target = null, status, details = null }) {
+    db.prepare(
+      `INSERT INTO admin_audit_log (created_ms, actor, action, target, status, details)
+       VALUES (?, ?, ?, ?, ?, ?)`
+    ).run(Date.now(), actor, action, target, status, details ? JSON.stringify(details) : null);
+  }
+
+  // Newest first; pass the last id seen as `beforeId` for the next page.
+  function list({ limit = 50, beforeId = null, actor = null, target = null } = {}) {
+    return db
+      .prepare(
+        `SELECT * FROM admin_audit_log
+         WHERE (@beforeId IS NULL OR id < @beforeId)
+           AND (@actor IS NULL OR actor = @actor)
+           AND (@target IS NULL OR target = @target)
+         ORDER BY id DESC LIMIT @limit`
+      )
+      .all({ limit, beforeId, actor, target })
+      .map(toEntry);
+  }
+
+  return { record, list };
+}
@@ -0,0 +1,68 @@
+import crypto from "crypto";
+
+import { defineColumns } from "./columns.js";
+
+const columns = defineColumns({
+  id: ["id", "text"],
+  scanId: ["scan_id", "text"],
+  ownerKey: ["owner_key", "text"],
+  rank: ["rank", "int"],
+  slotCuisine: ["slot_cuisine", "text"],
+  slotMealType: ["slot_meal_type", "text"],
+  title: ["title", "text"],
+  cuisine: ["cuisine", "text"],
+  mealType: ["meal_type", "text"],
+  summary: ["summary", "text"],
+  keyIngredients: ["key_ingredients", "json"],
+  score: ["score", "real"],
+  expanded: ["expanded", "json"],
+  createdMs: ["created_ms", "int"],
+  updatedMs: ["updated_ms", "int"],
+});
+
+export function createCandidatesRepo(db) {
+  const selectOne = db.prepare("SELECT * FROM recipe_candidates WHERE id = ?");
+
+  function get(id) {
+    return columns.fromRow(selectOne.get(id));
+  }
+
+  function listForScan(scanId) {
+    return db
+      .prepare("SELECT * FROM recipe_candidates WHERE scan_id = ? ORDER BY rank")
+      .all(scanId)
+      .map(columns.fromRow);
+  }
+
+  // Replaces the scan's candidate set; rank follows array order.
+  const replaceForScan = db.transaction((scanId, ownerKey, candidates) => {
+    db.prepare("DELETE FROM recipe_candidates WHERE scan_id = ?").run(scanId);
+
+    const nowMs = Date.now();
+    candidates.forEach((candidate, index) => {
+      const { sql, params } = columns.insertSql("recipe_candidates", {
+        ...candidate,
+        id: crypto.randomUUID(),
+        scanId,
+        ownerKey,
+        rank: index + 1,
+        createdMs: nowMs,
+        updatedMs: nowMs,
+      });
+      db.prepare(sql).run(params);
+    });
+
+    return listForScan(scanId);
+  });
+
+  function update(id, patch) {
+    const stmt = columns.updateSql("recipe_candidates", "id", id, {
+      ...patch,
+      updatedMs: Date.now(),
+    });
+    if (stmt) db.prepare(stmt.sql).run(stmt.params);
+    return get(id);
+  }
+
+  return { get, listForScan, replaceForScan, update };
+}
@@ -0,0 +1,77 @@
+import crypto from "crypto";
+
+import { defineColumns } from "./columns.js";
+
+const columns = defineColumns({
+  id: ["id", "text"],
+  ownerKey: ["owner_key", "text"],
+  action: ["action", "text"],
+  scanId: ["scan_id", "text"],
+  status: ["status", "text"],
+  usage: ["usage", "json"],
+  bonusScan: ["bonus_scan", "bool"],
+  regenScanId: ["regen_scan_id", "text"],
+  error: ["error", "text"],
+  createdMs: ["created_ms", "int"],
+  settledMs: ["settled_ms", "int"],
+});
+
+// Quota taken by one request: the usage counters it incremented, whether a
+// bonus scan covered it and which scan's regen slot it used. A charge is
+// "held" while the request runs, then "charged" or "refunded".
+export function createChargesRepo(db) {
+  const selectOne = db.prepare("SELECT * FROM quota_charges WHERE id = ?");
+
+  function get(id) {
+    return columns.fromRow(selectOne.get(id));
+  }
+
+  function hold(ownerKey, { action, scanId = null, usage, bonusScan = false, regenScanId = null }) {
+    const id = crypto.randomUUID();
+    const row = columns.insertSql("quota_charges", {
+      id,
+      ownerKey,
+      action,
+      scanId,
+      status: "held",
+      usage,
+      bonusScan,
+      regenScanId,
+      createdMs: Date.now(),
+    });
+    db.prepare(row.sql).run(row.params);
+    return get(id);
+  }
+
+  // Moves a held charge to `status`. Returns the settled charge, or null when
+  // it was already settled, so nothing is refunded twice.
+  function settle(id, { status, error = null }) {
+    const info = db
+      .prepare(
+        `UPDATE quota_charges SET status = ?, error = ?, settled_ms = ?
+         WHERE id = ? AND status = 'held'`
+      )
+      .run(status, error, Date.now(), id);
+    return info.changes === 1 ? get(id) : null;
+  }
+
+  function listForOwner(ownerKey, { limit = 10 } = {}) {
+    return db
+      .prepare("SELECT * FROM quota_charges WHERE owner_key = ? ORDER BY created_ms DESC LIMIT ?")
+      .all(ownerKey, limit)
+      .map(columns.fromRow);
+  }
+
+  function listHeldBefore(cutoffMs) {
+    return db
+      .prepare("SELECT * FROM quota_charges WHERE status = 'held' AND created_ms < ?")
+      .all(cutoffMs)
+      .map(columns.fromRow);
+  }
+
+  function deleteOlderThan(cutoffMs) {
+    db.prepare("DELETE FROM quota_charges WHERE status != 'held' AND created_ms < ?").run(cutoffMs);
+  }
+
+  return { get, hold, settle, listForOwner, listHeldBefore, deleteOlderThan };
+}
@@ -0,0 +1,79 @@
+// Maps camelCase record fields to snake_case columns and back.
+// Types: "text", "int", "real", "bool", "json".
+
+function encode(type, value) {
+  if (value === undefined) return undefined;
+  switch (type) {
+    case "bool":
+      return value ? 1 : 0;
+    case "json":
+      return JSON.stringify(value ?? null);
+    default:
+      return value;
+  }
+}
+
+function decode(type, value) {
+  switch (type) {
+    case "bool":
+      return value === 1;
+    case "json":
+      if (value === null || value === undefined) return null;
+      try {
+        return JSON.parse(value);
+      } catch {
+        return null;
+      }
+    default:
+      return value;
+  }
+}
+
+export function defineColumns(spec) {
+  const fields = Object.entries(spec).map(([field, [column, type]]) => ({
+    field,
+    column,
+    type,
+  }));
+
+  function fromRow(row) {
+    if (!row) return null;
+    const out = {};
+    for (const { field, column, type } of fields) {
+      if (column in row) out[field] = decode(type, row[column]);
+    }
+    return out;
+  }
+
+  // Only fields present in `record` are returned, so this doubles as a patch encoder.
+  function toColumns(record) {
+    const out = {};
+    for (const { field, column, type } of fields) {
+      if (record[field] !== undefined) out[column] = encode(type, record[field]);
+    }
+    return out;
+  }
+
+  function insertSql(table, record) {
+    const cols = toColumns(record);
+    const names = Object.keys(cols);
+    return {
+      sql: `INSERT INTO ${table} (${names.join(", ")}) VALUES (${names
+        .map((n) => `@${n}`)
+        .join(", ")})`,
+      params: cols,
+    };
+  }
+
+  function updateSql(table, keyColumn, key, patch) {
+    const cols = toColumns(patch);
+    const names = Object.keys(cols).filter((n) => n !== keyColumn);
+    if (!names.length) return null;
+    return {
+      sql: `UPDATE ${table} SET ${names.map((n) => `${n} = @${n}`).join(", ")} WHERE ${keyColumn} = @__key`,
+      params: { ...cols, __key: key },
+    };
+  }
+
+  return { fromRow, toColumns, insertSql, updateSql };
+}
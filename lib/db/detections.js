@@ -0,0 +1,35 @@
+// Detection results keyed by the uploaded image's hash and the model that
+// produced them, so re-uploading the same photo skips the vision call.
+export function createDetectionCacheRepo(db) {
+  const selectOne = db.prepare(
+    "SELECT items FROM detection_cache WHERE image_sha256 = ? AND model = ?"
+  );
+  const touch = db.prepare(
+    "UPDATE detection_cache SET last_used_ms = ? WHERE image_sha256 = ? AND model = ?"
+  );
+
+  function get(imageSha256, model) {
+    const row = selectOne.get(imageSha256, model);
+    if (!row) return null;
+    touch.run(Date.now(), imageSha256, model);
+    return JSON.parse(row.items);
+  }
+
+  function put(imageSha256, model, items) {
+    const nowMs = Date.now();
+    db.prepare(
+      `INSERT INTO detection_cache (image_sha256, model, items, created_ms, last_used_ms)
+       VALUES (@imageSha256, @model, @items, @nowMs, @nowMs)
+       ON CONFLICT (image_sha256, model) DO UPDATE SET
+         items = excluded.items,
+         created_ms = excluded.created_ms,
+         last_used_ms = excluded.last_used_ms`
+    ).run({ imageSha256, model, items: JSON.stringify(items), nowMs });
+  }
+
+  function deleteUnusedSince(cutoffMs) {
+    return db.prepare("DELETE FROM detection_cache WHERE last_used_ms < ?").run(cutoffMs).changes;
+  }
+
+  return { get, put, deleteUnusedSince };
+}
@@ -0,0 +1,116 @@
+import crypto from "crypto";
+
+import { defineColumns } from "./columns.js";
+
+const columns = defineColumns({
+  id: ["id", "text"],
+  identityKey: ["identity_key", "text"],
+  platform: ["platform", "text"],
+  productId: ["product_id", "text"],
+  originalTransactionId: ["original_transaction_id", "text"],
+  status: ["status", "text"],
+  expiresMs: ["expires_ms", "int"],
+  graceUntilMs: ["grace_until_ms", "int"],
+  autoRenew: ["auto_renew", "bool"],
+  purchasedMs: ["purchased_ms", "int"],
+  receiptData: ["receipt_data", "text"],
+  nextCheckMs: ["next_check_ms", "int"],
+  createdMs: ["created_ms", "int"],
+  updatedMs: ["updated_ms", "int"],
+});
+
+// An entitlement grants premium while active or in grace and not past its end.
+// A null expiry never lapses (manual grants).
+const ACTIVE_SQL = `
+  status IN ('active', 'grace_period')
+  AND (expires_ms IS NULL OR MAX(expires_ms, COALESCE(grace_until_ms, 0)) > @nowMs)
+`;
+
+export function createEntitlementsRepo(db) {
+  const selectOne = db.prepare("SELECT * FROM entitlements WHERE id = ?");
+  const selectByTransaction = db.prepare(
+    "SELECT * FROM entitlements WHERE platform = ? AND original_transaction_id = ?"
+  );
+
+  function get(id) {
+    return columns.fromRow(selectOne.get(id));
+  }
+
+  // Keyed by (platform, originalTransactionId); a restore from another identity
+  // moves the entitlement to that identity.
+  const upsert = db.transaction((entitlement) => {
+    const nowMs = Date.now();
+    const existing = selectByTransaction.get(
+      entitlement.platform,
+      entitlement.originalTransactionId
+    );
+
+    if (existing) {
+      const stmt = columns.updateSql("entitlements", "id", existing.id, {
+        ...entitlement,
+        updatedMs: nowMs,
+      });
+      db.prepare(stmt.sql).run(stmt.params);
+      return { entitlement: get(existing.id), previousOwnerKey: existing.identity_key };
+    }
+
+    const id = crypto.randomUUID();
+    const { sql, params } = columns.insertSql("entitlements", {
+      ...entitlement,
+      id,
+      createdMs: nowMs,
+      updatedMs: nowMs,
+    });
+    db.prepare(sql).run(params);
+    return { entitlement: get(id), previousOwnerKey: null };
+  });
+
+  function update(id, patch) {
+    const stmt = columns.updateSql("entitlements", "id", id, {
+      ...patch,
+      updatedMs: Date.now(),
+    });
+    if (stmt) db.prepare(stmt.sql).run(stmt.params);
+    return get(id);
+  }
+
+  function listForUser(identityKey) {
+    return db
+      .prepare("SELECT * FROM entitlements WHERE identity_key = ? ORDER BY updated_ms DESC")
+      .all(identityKey)
+      .map(columns.fromRow);
+  }
+
+  function findActive(identityKey, nowMs = Date.now()) {
+    const row = db
+      .prepare(
+        `SELECT * FROM entitlements WHERE identity_key = @identityKey AND ${ACTIVE_SQL}
+         ORDER BY expires_ms IS NULL DESC, expires_ms DESC LIMIT 1`
+      )
+      .get({ identityKey, nowMs });
+    return columns.fromRow(row);
+  }
+
+  function listDueForCheck(nowMs = Date.now(), { identityKey = null, limit = 50 } = {}) {
+    const rows = db
+      .prepare(
+        `SELECT * FROM entitlements
+         WHERE next_check_ms IS NOT NULL AND next_check_ms <= @nowMs
+           AND (@identityKey IS NULL OR identity_key = @identityKey)
+         ORDER BY next_check_ms LIMIT @limit`
+      )
+      .all({ nowMs, identityKey, limit });
+    return rows.map(columns.fromRow);
+  }
+
+  function revokeManual(identityKey) {
+    return db
+      .prepare(
+        `UPDATE entitlements SET status = 'revoked', updated_ms = ?
+         WHERE identity_key = ? AND platform = 'manual' AND status = 'active'`
+      )
+      .run(Date.now(), identityKey).changes;
+  }
+
+  return { get, upsert, update, listForUser, findActive, listDueForCheck, revokeManual };
+}
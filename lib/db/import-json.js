@@ -0,0 +1,94 @@
+import fs from "fs";
+
+const IMPORT_META_KEY = "json_import_completed_ms";
+
+function readJsonFile(file) {
+  if (!file || !fs.existsSync(file)) return {};
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function toInt(value, fallback = 0) {
+  return typeof value === "number" && Number.isFinite(value) ? Math.floor(value) : fallback;
+}
+
+// One-time migration of the legacy users.json / scans.json files.
+export function importJsonFiles(store, { usersFile, scansFile, force = false }) {
+  const doneMs = store.meta.get(IMPORT_META_KEY);
+  if (doneMs && !force) {
+    return { skipped: true, importedAtMs: Number(doneMs) };
+  }
+
+  const users = readJsonFile(usersFile);
+  const scans = readJsonFile(scansFile);
+  const result = { skipped: false, users: 0, scans: 0, skippedScans: 0 };
+
+  store.transaction(() => {
+    for (const [identityKey, u] of Object.entries(users)) {
+      if (!u || typeof u !== "object" || store.users.get(identityKey)) continue;
+
+      store.users.create(identityKey, {
+        isPremium: u.isPremium === true,
+        weekStartMs: toInt(u.weekStartMs),
+        lastAnalyzeMs: toInt(u.lastAnalyzeMs),
+        lastRegenMs: toInt(u.lastRegenMs),
+        isLockedUntilReset: u.isLockedUntilReset === true,
+        unlockAtMs: toInt(u.unlockAtMs),
+      });
+
+      if (toInt(u.freeUsedThisWeek) > 0) {
+        store.usage.set(
+          {
+            subjectKey: identityKey,
+            action: "analyze",
+            period: "week",
+            periodStartMs: toInt(u.weekStartMs),
+          },
+          toInt(u.freeUsedThisWeek)
+        );
+      }
+
+      if (u.isPremium === true) {
+        store.entitlements.upsert({
+          identityKey,
+          platform: "manual",
+          productId: "manual",
+          originalTransactionId: `manual:${identityKey}`,
+          status: "active",
+          autoRenew: false,
+        });
+      }
+      result.users += 1;
+    }
+
+    for (const [scanId, s] of Object.entries(scans)) {
+      if (!s?.ownerKey || !s?.createdMs || store.scans.get(scanId)) {
+        result.skippedScans += 1;
+        continue;
+      }
+
+      store.scans.create({
+        id: scanId,
+        ownerKey: s.ownerKey,
+        createdMs: toInt(s.createdMs),
+        updatedMs: typeof s.updatedMs === "number" ? toInt(s.updatedMs) : undefined,
+        images:
+          typeof s.imageBase64 === "string" && s.imageBase64
+            ? [{ base64: s.imageBase64, mimeType: null }]
+            : [],
+        mealType: s.mealType || "any",
+        extraIngredientsText: s.extraIngredientsText || "",
+        correctedIngredientsText: s.correctedIngredientsText || "",
+        nutritionGoals: Array.isArray(s.nutritionGoals) ? s.nutritionGoals : [],
+        timeLimit: s.timeLimit || "any",
+        difficulty: s.difficulty || "any",
+        equipment: Array.isArray(s.equipment) ? s.equipment : [],
+        regenCount: toInt(s.regenCount),
+      });
+      result.scans += 1;
+    }
+
+    store.meta.set(IMPORT_META_KEY, Date.now());
+  });
+
+  return result;
+}
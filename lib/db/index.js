@@ -0,0 +1,84 @@
+import path from "path";
+import Database from "better-sqlite3";
+
+import { MIGRATIONS } from "./migrations.js";
+import { createUsersRepo } from "./users.js";
+import { createScansRepo } from "./scans.js";
+import { createEntitlementsRepo } from "./entitlements.js";
+import { createPantryRepo } from "./pantry.js";
+import { createCandidatesRepo } from "./candidates.js";
+import { createSavedRecipesRepo } from "./saved-recipes.js";
+import { createShoppingListsRepo } from "./shopping-lists.js";
+import { createMealPlansRepo } from "./meal-plans.js";
+import { createDetectionCacheRepo } from "./detections.js";
+import { createAccountsRepo } from "./accounts.js";
+import { createSessionsRepo } from "./sessions.js";
+import { createUsageRepo } from "./usage.js";
+import { createStatsRepo } from "./stats.js";
+import { createAuditLogRepo } from "./audit-log.js";
+import { createAiUsageRepo } from "./ai-usage.js";
+import { createShareLinksRepo } from "./share-links.js";
+import { createJobsRepo } from "./jobs.js";
+import { createChargesRepo } from "./charges.js";
+import { createRatingsRepo } from "./ratings.js";
+
+export { AI_USAGE_GROUPS } from "./ai-usage.js";
+
+export const DEFAULT_DB_FILE = path.join(process.cwd(), "fridgesnap.db");
+
+function migrate(db) {
+  const current = db.pragma("user_version", { simple: true });
+
+  for (let version = current; version < MIGRATIONS.length; version++) {
+    db.transaction(() => {
+      db.exec(MIGRATIONS[version]);
+      db.pragma(`user_version = ${version + 1}`);
+    })();
+  }
+}
+
+export function createStore(file = process.env.DB_FILE || DEFAULT_DB_FILE) {
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.pragma("foreign_keys = ON");
+  db.pragma("busy_timeout = 5000");
+
+  migrate(db);
+
+  const meta = {
+    get(key) {
+      return db.prepare("SELECT value FROM meta WHERE key = ?").get(key)?.value ?? null;
+    },
+    set(key, value) {
+      db.prepare(
+        "INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value"
+      ).run(key, String(value));
+    },
+  };
+
+  return {
+    db,
+    meta,
+    users: createUsersRepo(db),
+    scans: createScansRepo(db),
+    entitlements: createEntitlementsRepo(db),
+    pantry: createPantryRepo(db),
+    candidates: createCandidatesRepo(db),
+    savedRecipes: createSavedRecipesRepo(db),
+    shoppingLists: createShoppingListsRepo(db),
+    mealPlans: createMealPlansRepo(db),
+    detections: createDetectionCacheRepo(db),
+    accounts: createAccountsRepo(db),
+    sessions: createSessionsRepo(db),
+    usage: createUsageRepo(db),
+    stats: createStatsRepo(db),
+    auditLog: createAuditLogRepo(db),
+    aiUsage: createAiUsageRepo(db),
+    shareLinks: createShareLinksRepo(db),
+    jobs: createJobsRepo(db),
+    charges: createChargesRepo(db),
+    ratings: createRatingsRepo(db),
+    transaction: (fn) => db.transaction(fn)(),
+    close: () => db.close(),
+  };
+}
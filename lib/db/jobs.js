@@ -0,0 +1,145 @@
+import crypto from "crypto";
+
+import { defineColumns } from "./columns.js";
+
+const columns = defineColumns({
+  id: ["id", "text"],
+  ownerKey: ["owner_key", "text"],
+  kind: ["kind", "text"],
+  status: ["status", "text"],
+  idempotencyKey: ["idempotency_key", "text"],
+  requestHash: ["request_hash", "text"],
+  requestId: ["request_id", "text"],
+  scanId: ["scan_id", "text"],
+  task: ["task", "json"],
+  attempts: ["attempts", "int"],
+  nextRunMs: ["next_run_ms", "int"],
+  lastError: ["last_error", "text"],
+  resultStatus: ["result_status", "int"],
+  result: ["result", "json"],
+  createdMs: ["created_ms", "int"],
+  updatedMs: ["updated_ms", "int"],
+  finishedMs: ["finished_ms", "int"],
+});
+
+// Background work such as analyses. A job starts "pending" while its request
+// is still being checked, is "queued" until a worker claims it ("running"),
+// and ends "succeeded" or "failed". Transient failures go back to "queued"
+// with a later next_run_ms.
+export function createJobsRepo(db) {
+  const selectOne = db.prepare("SELECT * FROM jobs WHERE id = ?");
+
+  function get(id) {
+    return columns.fromRow(selectOne.get(id));
+  }
+
+  function getByIdempotencyKey(ownerKey, idempotencyKey) {
+    return columns.fromRow(
+      db
+        .prepare("SELECT * FROM jobs WHERE owner_key = ? AND idempotency_key = ?")
+        .get(ownerKey, idempotencyKey)
+    );
+  }
+
+  // Returns { job } or, when the owner already used the idempotency key,
+  // { existing } with the job it was used for.
+  function reserve(ownerKey, { kind, idempotencyKey = null, requestHash = null, requestId }) {
+    const id = crypto.randomUUID();
+    const nowMs = Date.now();
+    const row = columns.insertSql("jobs", {
+      id,
+      ownerKey,
+      kind,
+      status: "pending",
+      idempotencyKey,
+      requestHash,
+      requestId: requestId || null,
+      attempts: 0,
+      createdMs: nowMs,
+      updatedMs: nowMs,
+    });
+    try {
+      db.prepare(row.sql).run(row.params);
+    } catch (err) {
+      if (err?.code === "SQLITE_CONSTRAINT_UNIQUE") {
+        return { existing: getByIdempotencyKey(ownerKey, idempotencyKey) };
+      }
+      throw err;
+    }
+    return { job: get(id) };
+  }
+
+  function update(id, patch) {
+    const stmt = columns.updateSql("jobs", "id", id, { ...patch, updatedMs: Date.now() });
+    if (stmt) db.prepare(stmt.sql).run(stmt.params);
+    return get(id);
+  }
+
+  function enqueue(id, { task, scanId = null }) {
+    return update(id, { status: "queued", task, scanId, nextRunMs: Date.now() });
+  }
+
+  function remove(id) {
+    return db.prepare("DELETE FROM jobs WHERE id = ?").run(id).changes === 1;
+  }
+
+  // Marks the oldest due job as running and counts the attempt.
+  const claimNext = db.transaction((nowMs) => {
+    const row = db
+      .prepare(
+        `SELECT id FROM jobs WHERE status = 'queued' AND next_run_ms <= ?
+         ORDER BY next_run_ms, created_ms LIMIT 1`
+      )
+      .get(nowMs);
+    if (!row) return null;
+    db.prepare(
+      `UPDATE jobs SET status = 'running', attempts = attempts + 1, updated_ms = ?
+       WHERE id = ?`
+    ).run(nowMs, row.id);
+    return get(row.id);
+  });
+
+  function retryLater(id, { nextRunMs, error }) {
+    return update(id, { status: "queued", nextRunMs, lastError: error });
+  }
+
+  function finish(id, { status, resultStatus, result, error = null }) {
+    return update(id, {
+      status,
+      resultStatus,
+      result,
+      lastError: error,
+      finishedMs: Date.now(),
+    });
+  }
+
+  // After a restart nothing is running any more: interrupted jobs go back in
+  // the queue, and requests that never got queued are failed.
+  const recover = db.transaction((failure) => {
+    const nowMs = Date.now();
+    db.prepare(
+      "UPDATE jobs SET status = 'queued', next_run_ms = ?, updated_ms = ? WHERE status = 'running'"
+    ).run(nowMs, nowMs);
+    db.prepare(
+      `UPDATE jobs SET status = 'failed', result_status = @status, result = @result,
+         updated_ms = @nowMs, finished_ms = @nowMs
+       WHERE status = 'pending'`
+    ).run({ status: failure.status, result: JSON.stringify(failure.body), nowMs });
+  });
+
+  function deleteFinishedBefore(cutoffMs) {
+    db.prepare("DELETE FROM jobs WHERE finished_ms IS NOT NULL AND finished_ms < ?").run(cutoffMs);
+  }
+
+  return {
+    get,
+    reserve,
+    enqueue,
+    remove,
+    claimNext,
+    retryLater,
+    finish,
+    recover,
+    deleteFinishedBefore,
+  };
+}
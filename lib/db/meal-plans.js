@@ -0,0 +1,68 @@
+import crypto from "crypto";
+
+import { defineColumns } from "./columns.js";
+
+const columns = defineColumns({
+  id: ["id", "text"],
+  ownerKey: ["owner_key", "text"],
+  scanId: ["scan_id", "text"],
+  title: ["title", "text"],
+  dayCount: ["day_count", "int"],
+  mealTypes: ["meal_types", "json"],
+  preferences: ["preferences", "json"],
+  availableItems: ["available_items", "json"],
+  days: ["days", "json"],
+  notes: ["notes", "text"],
+  createdMs: ["created_ms", "int"],
+  updatedMs: ["updated_ms", "int"],
+});
+
+// Plans keep a snapshot of the ingredients they were built from so a single
+// day can be regenerated after the source scan has been cleaned up.
+export function createMealPlansRepo(db) {
+  const selectOne = db.prepare("SELECT * FROM meal_plans WHERE id = ?");
+
+  function get(id) {
+    return columns.fromRow(selectOne.get(id));
+  }
+
+  function create(ownerKey, plan) {
+    const id = crypto.randomUUID();
+    const nowMs = Date.now();
+    const { sql, params } = columns.insertSql("meal_plans", {
+      ...plan,
+      id,
+      ownerKey,
+      createdMs: nowMs,
+      updatedMs: nowMs,
+    });
+    db.prepare(sql).run(params);
+    return get(id);
+  }
+
+  function listForOwner(ownerKey, { limit = 20, beforeMs = null } = {}) {
+    return db
+      .prepare(
+        `SELECT * FROM meal_plans
+         WHERE owner_key = @ownerKey AND (@beforeMs IS NULL OR created_ms < @beforeMs)
+         ORDER BY created_ms DESC LIMIT @limit`
+      )
+      .all({ ownerKey, beforeMs, limit })
+      .map(columns.fromRow);
+  }
+
+  function update(id, patch) {
+    const stmt = columns.updateSql("meal_plans", "id", id, {
+      ...patch,
+      updatedMs: Date.now(),
+    });
+    if (stmt) db.prepare(stmt.sql).run(stmt.params);
+    return get(id);
+  }
+
+  function remove(id) {
+    return db.prepare("DELETE FROM meal_plans WHERE id = ?").run(id).changes === 1;
+  }
+
+  return { get, create, listForOwner, update, remove };
+}
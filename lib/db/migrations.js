@@ -0,0 +1,411 @@
+// Append-only. Each entry runs once, in a transaction, and bumps PRAGMA user_version.
+export const MIGRATIONS = [
+  `
+  CREATE TABLE meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+
+  CREATE TABLE users (
+    identity_key TEXT PRIMARY KEY,
+    is_premium INTEGER NOT NULL DEFAULT 0,
+    week_start_ms INTEGER NOT NULL DEFAULT 0,
+    free_used_this_week INTEGER NOT NULL DEFAULT 0,
+    last_analyze_ms INTEGER NOT NULL DEFAULT 0,
+    last_regen_ms INTEGER NOT NULL DEFAULT 0,
+    is_locked_until_reset INTEGER NOT NULL DEFAULT 0,
+    unlock_at_ms INTEGER NOT NULL DEFAULT 0,
+    created_ms INTEGER NOT NULL
+  );
+
+  CREATE TABLE scans (
+    id TEXT PRIMARY KEY,
+    owner_key TEXT NOT NULL,
+    created_ms INTEGER NOT NULL,
+    updated_ms INTEGER,
+    meal_type TEXT NOT NULL DEFAULT 'any',
+    extra_ingredients_text TEXT NOT NULL DEFAULT '',
+    corrected_ingredients_text TEXT NOT NULL DEFAULT '',
+    nutrition_goals TEXT NOT NULL DEFAULT '[]',
+    time_limit TEXT NOT NULL DEFAULT 'any',
+    difficulty TEXT NOT NULL DEFAULT 'any',
+    equipment TEXT NOT NULL DEFAULT '[]',
+    regen_count INTEGER NOT NULL DEFAULT 0
+  );
+
+  CREATE INDEX scans_owner_created ON scans (owner_key, created_ms);
+  CREATE INDEX scans_created ON scans (created_ms);
+
+  CREATE TABLE scan_images (
+    scan_id TEXT PRIMARY KEY REFERENCES scans (id) ON DELETE CASCADE,
+    image_base64 TEXT NOT NULL
+  );
+  `,
+  `
+  CREATE TABLE entitlements (
+    id TEXT PRIMARY KEY,
+    identity_key TEXT NOT NULL,
+    platform TEXT NOT NULL,
+    product_id TEXT NOT NULL,
+    original_transaction_id TEXT NOT NULL,
+    status TEXT NOT NULL,
+    expires_ms INTEGER,
+    grace_until_ms INTEGER,
+    auto_renew INTEGER NOT NULL DEFAULT 0,
+    purchased_ms INTEGER,
+    receipt_data TEXT,
+    next_check_ms INTEGER,
+    created_ms INTEGER NOT NULL,
+    updated_ms INTEGER NOT NULL,
+    UNIQUE (platform, original_transaction_id)
+  );
+
+  CREATE INDEX entitlements_identity ON entitlements (identity_key);
+  CREATE INDEX entitlements_next_check ON entitlements (next_check_ms);
+
+  INSERT INTO entitlements (
+    id, identity_key, platform, product_id, original_transaction_id, status,
+    auto_renew, purchased_ms, created_ms, updated_ms
+  )
+  SELECT
+    lower(hex(randomblob(16))), identity_key, 'manual', 'manual', 'manual:' || identity_key, 'active',
+    0, created_ms, created_ms, created_ms
+  FROM users WHERE is_premium = 1;
+  `,
+  `
+  CREATE TABLE pantry_items (
+    id TEXT PRIMARY KEY,
+    owner_key TEXT NOT NULL,
+    name TEXT NOT NULL,
+    normalized_name TEXT NOT NULL,
+    category TEXT NOT NULL DEFAULT 'other_food',
+    quantity TEXT NOT NULL DEFAULT '',
+    confidence TEXT,
+    source TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'available',
+    first_scan_id TEXT,
+    last_scan_id TEXT,
+    first_seen_ms INTEGER NOT NULL,
+    last_seen_ms INTEGER NOT NULL,
+    used_ms INTEGER,
+    created_ms INTEGER NOT NULL,
+    updated_ms INTEGER NOT NULL
+  );
+
+  CREATE UNIQUE INDEX pantry_items_available_name
+    ON pantry_items (owner_key, normalized_name) WHERE status = 'available';
+  CREATE INDEX pantry_items_owner ON pantry_items (owner_key, status);
+
+  ALTER TABLE scans ADD COLUMN use_pantry INTEGER NOT NULL DEFAULT 0;
+  `,
+  `
+  ALTER TABLE pantry_items ADD COLUMN shelf_life_days INTEGER;
+  ALTER TABLE pantry_items ADD COLUMN expires_ms INTEGER;
+
+  ALTER TABLE scans ADD COLUMN prioritize_expiring INTEGER NOT NULL DEFAULT 0;
+  `,
+  `
+  CREATE TABLE recipe_candidates (
+    id TEXT PRIMARY KEY,
+    scan_id TEXT NOT NULL REFERENCES scans (id) ON DELETE CASCADE,
+    owner_key TEXT NOT NULL,
+    rank INTEGER NOT NULL,
+    slot_cuisine TEXT NOT NULL,
+    slot_meal_type TEXT NOT NULL,
+    title TEXT NOT NULL,
+    cuisine TEXT NOT NULL,
+    meal_type TEXT NOT NULL,
+    summary TEXT NOT NULL DEFAULT '',
+    key_ingredients TEXT NOT NULL DEFAULT '[]',
+    score REAL NOT NULL DEFAULT 0,
+    expanded TEXT,
+    created_ms INTEGER NOT NULL,
+    updated_ms INTEGER NOT NULL
+  );
+
+  CREATE INDEX recipe_candidates_scan ON recipe_candidates (scan_id, rank);
+  `,
+  `
+  ALTER TABLE scans ADD COLUMN last_recipe TEXT;
+
+  CREATE TABLE saved_recipes (
+    id TEXT PRIMARY KEY,
+    owner_key TEXT NOT NULL,
+    scan_id TEXT,
+    candidate_id TEXT,
+    kind TEXT NOT NULL,
+    title TEXT NOT NULL,
+    meal_type TEXT NOT NULL DEFAULT 'any',
+    payload TEXT NOT NULL,
+    search_text TEXT NOT NULL DEFAULT '',
+    is_favorite INTEGER NOT NULL DEFAULT 0,
+    created_ms INTEGER NOT NULL,
+    updated_ms INTEGER NOT NULL
+  );
+
+  CREATE INDEX saved_recipes_owner_created ON saved_recipes (owner_key, created_ms);
+  `,
+  `
+  ALTER TABLE scans ADD COLUMN detected_items TEXT;
+
+  CREATE TABLE shopping_lists (
+    id TEXT PRIMARY KEY,
+    owner_key TEXT NOT NULL,
+    title TEXT NOT NULL,
+    created_ms INTEGER NOT NULL,
+    updated_ms INTEGER NOT NULL
+  );
+
+  CREATE INDEX shopping_lists_owner ON shopping_lists (owner_key, created_ms);
+
+  CREATE TABLE shopping_list_items (
+    id TEXT PRIMARY KEY,
+    list_id TEXT NOT NULL REFERENCES shopping_lists (id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    normalized_name TEXT NOT NULL,
+    amounts TEXT NOT NULL DEFAULT '[]',
+    display_amount TEXT NOT NULL DEFAULT '',
+    sources TEXT NOT NULL DEFAULT '[]',
+    is_checked INTEGER NOT NULL DEFAULT 0,
+    checked_ms INTEGER
+  );
+
+  CREATE INDEX shopping_list_items_list ON shopping_list_items (list_id, position);
+  `,
+  `
+  CREATE TABLE meal_plans (
+    id TEXT PRIMARY KEY,
+    owner_key TEXT NOT NULL,
+    scan_id TEXT,
+    title TEXT NOT NULL,
+    day_count INTEGER NOT NULL,
+    meal_types TEXT NOT NULL DEFAULT '[]',
+    preferences TEXT NOT NULL DEFAULT '{}',
+    available_items TEXT NOT NULL DEFAULT '[]',
+    days TEXT NOT NULL DEFAULT '[]',
+    notes TEXT NOT NULL DEFAULT '',
+    created_ms INTEGER NOT NULL,
+    updated_ms INTEGER NOT NULL
+  );
+
+  CREATE INDEX meal_plans_owner_created ON meal_plans (owner_key, created_ms);
+  `,
+  `
+  ALTER TABLE users ADD COLUMN diet_profile TEXT;
+  `,
+  `
+  CREATE TABLE scan_images_v2 (
+    scan_id TEXT NOT NULL REFERENCES scans (id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    label TEXT,
+    mime_type TEXT,
+    width INTEGER,
+    height INTEGER,
+    image_base64 TEXT NOT NULL,
+    PRIMARY KEY (scan_id, position)
+  );
+
+  INSERT INTO scan_images_v2 (scan_id, position, image_base64)
+    SELECT scan_id, 0, image_base64 FROM scan_images;
+
+  DROP TABLE scan_images;
+  ALTER TABLE scan_images_v2 RENAME TO scan_images;
+  `,
+  `
+  ALTER TABLE scan_images ADD COLUMN sha256 TEXT;
+
+  CREATE TABLE detection_cache (
+    image_sha256 TEXT NOT NULL,
+    model TEXT NOT NULL,
+    items TEXT NOT NULL,
+    created_ms INTEGER NOT NULL,
+    last_used_ms INTEGER NOT NULL,
+    PRIMARY KEY (image_sha256, model)
+  );
+
+  CREATE INDEX detection_cache_last_used ON detection_cache (last_used_ms);
+  `,
+  `
+  ALTER TABLE users ADD COLUMN unit_system TEXT;
+  `,
+  `
+  CREATE TABLE accounts (
+    id TEXT PRIMARY KEY,
+    email TEXT NOT NULL UNIQUE,
+    password_hash TEXT NOT NULL,
+    created_ms INTEGER NOT NULL,
+    last_sign_in_ms INTEGER
+  );
+
+  CREATE TABLE identity_links (
+    identity_key TEXT PRIMARY KEY,
+    account_id TEXT NOT NULL REFERENCES accounts (id) ON DELETE CASCADE,
+    linked_ms INTEGER NOT NULL
+  );
+
+  CREATE INDEX identity_links_account ON identity_links (account_id);
+
+  CREATE TABLE sessions (
+    token_hash TEXT PRIMARY KEY,
+    identity_key TEXT NOT NULL,
+    created_ms INTEGER NOT NULL,
+    last_used_ms INTEGER NOT NULL,
+    expires_ms INTEGER NOT NULL
+  );
+
+  CREATE INDEX sessions_identity ON sessions (identity_key);
+  CREATE INDEX sessions_expires ON sessions (expires_ms);
+
+  ALTER TABLE users ADD COLUMN claimed_ms INTEGER;
+  `,
+  `
+  CREATE TABLE usage_counters (
+    subject_key TEXT NOT NULL,
+    action TEXT NOT NULL,
+    period TEXT NOT NULL,
+    period_start_ms INTEGER NOT NULL,
+    count INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (subject_key, action, period)
+  );
+
+  INSERT INTO usage_counters (subject_key, action, period, period_start_ms, count)
+    SELECT identity_key, 'analyze', 'week', week_start_ms, free_used_this_week
+    FROM users WHERE free_used_this_week > 0;
+  `,
+  `
+  ALTER TABLE users ADD COLUMN timezone TEXT;
+  `,
+  `
+  ALTER TABLE users ADD COLUMN bonus_scans INTEGER NOT NULL DEFAULT 0;
+
+  CREATE TABLE daily_stats (
+    day TEXT NOT NULL,
+    metric TEXT NOT NULL,
+    count INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (day, metric)
+  );
+
+  INSERT INTO daily_stats (day, metric, count)
+    SELECT date(created_ms / 1000, 'unixepoch'), 'scans', COUNT(*)
+    FROM scans GROUP BY 1;
+
+  CREATE TABLE admin_audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    created_ms INTEGER NOT NULL,
+    actor TEXT NOT NULL,
+    action TEXT NOT NULL,
+    target TEXT,
+    status INTEGER NOT NULL,
+    details TEXT
+  );
+  `,
+  `
+  CREATE TABLE ai_usage (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    created_ms INTEGER NOT NULL,
+    request_id TEXT,
+    identity_key TEXT,
+    route TEXT,
+    kind TEXT NOT NULL,
+    model TEXT NOT NULL,
+    ok INTEGER NOT NULL,
+    duration_ms INTEGER,
+    input_tokens INTEGER NOT NULL DEFAULT 0,
+    cached_input_tokens INTEGER NOT NULL DEFAULT 0,
+    output_tokens INTEGER NOT NULL DEFAULT 0,
+    cost_usd REAL
+  );
+
+  CREATE INDEX ai_usage_created ON ai_usage (created_ms);
+  CREATE INDEX ai_usage_identity ON ai_usage (identity_key, created_ms);
+  `,
+  `
+  CREATE TABLE share_links (
+    id TEXT PRIMARY KEY,
+    owner_key TEXT NOT NULL,
+    scan_id TEXT,
+    candidate_id TEXT,
+    recipe_id TEXT,
+    title TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    view_count INTEGER NOT NULL DEFAULT 0,
+    created_ms INTEGER NOT NULL,
+    revoked_ms INTEGER
+  );
+
+  CREATE INDEX share_links_owner ON share_links (owner_key, created_ms);
+  `,
+  `
+  ALTER TABLE users ADD COLUMN locale TEXT;
+  ALTER TABLE scans ADD COLUMN locale TEXT;
+  `,
+  `
+  CREATE TABLE jobs (
+    id TEXT PRIMARY KEY,
+    owner_key TEXT NOT NULL,
+    kind TEXT NOT NULL,
+    status TEXT NOT NULL,
+    idempotency_key TEXT,
+    request_hash TEXT,
+    request_id TEXT,
+    scan_id TEXT,
+    task TEXT,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_run_ms INTEGER,
+    last_error TEXT,
+    result_status INTEGER,
+    result TEXT,
+    created_ms INTEGER NOT NULL,
+    updated_ms INTEGER NOT NULL,
+    finished_ms INTEGER,
+    UNIQUE (owner_key, idempotency_key)
+  );
+
+  CREATE INDEX jobs_due ON jobs (status, next_run_ms);
+  CREATE INDEX jobs_finished ON jobs (finished_ms);
+  `,
+  `
+  CREATE TABLE quota_charges (
+    id TEXT PRIMARY KEY,
+    owner_key TEXT NOT NULL,
+    action TEXT NOT NULL,
+    scan_id TEXT,
+    status TEXT NOT NULL,
+    usage TEXT NOT NULL,
+    bonus_scan INTEGER NOT NULL DEFAULT 0,
+    regen_scan_id TEXT,
+    error TEXT,
+    created_ms INTEGER NOT NULL,
+    settled_ms INTEGER
+  );
+
+  CREATE INDEX quota_charges_owner ON quota_charges (owner_key, created_ms);
+  CREATE INDEX quota_charges_held ON quota_charges (status, created_ms);
+  `,
+  `
+  CREATE TABLE recipe_ratings (
+    id TEXT PRIMARY KEY,
+    owner_key TEXT NOT NULL,
+    source_key TEXT NOT NULL,
+    scan_id TEXT,
+    candidate_id TEXT,
+    recipe_id TEXT,
+    title TEXT,
+    cuisine TEXT,
+    thumb TEXT,
+    stars INTEGER,
+    tags TEXT NOT NULL DEFAULT '[]',
+    created_ms INTEGER NOT NULL,
+    updated_ms INTEGER NOT NULL,
+    UNIQUE (owner_key, source_key)
+  );
+
+  CREATE INDEX recipe_ratings_owner ON recipe_ratings (owner_key, updated_ms);
+
+  ALTER TABLE scans ADD COLUMN cuisine TEXT;
+  `,
+  `
+  ALTER TABLE users ADD COLUMN last_plan_ms INTEGER NOT NULL DEFAULT 0;
+  `,
+];
@@ -0,0 +1,170 @@
+import crypto from "crypto";
+
+import { defineColumns } from "./columns.js";
+import { normalizeItemName } from "../pantry.js";
+
+const columns = defineColumns({
+  id: ["id", "text"],
+  ownerKey: ["owner_key", "text"],
+  name: ["name", "text"],
+  normalizedName: ["normalized_name", "text"],
+  category: ["category", "text"],
+  quantity: ["quantity", "text"],
+  confidence: ["confidence", "text"],
+  source: ["source", "text"],
+  status: ["status", "text"],
+  firstScanId: ["first_scan_id", "text"],
+  lastScanId: ["last_scan_id", "text"],
+  firstSeenMs: ["first_seen_ms", "int"],
+  lastSeenMs: ["last_seen_ms", "int"],
+  usedMs: ["used_ms", "int"],
+  shelfLifeDays: ["shelf_life_days", "int"],
+  expiresMs: ["expires_ms", "int"],
+  createdMs: ["created_ms", "int"],
+  updatedMs: ["updated_ms", "int"],
+});
+
+export function createPantryRepo(db) {
+  const selectOne = db.prepare("SELECT * FROM pantry_items WHERE id = ?");
+  const selectAvailableByName = db.prepare(
+    "SELECT * FROM pantry_items WHERE owner_key = ? AND normalized_name = ? AND status = 'available'"
+  );
+
+  function get(id) {
+    return columns.fromRow(selectOne.get(id));
+  }
+
+  function list(ownerKey, { includeUsed = false } = {}) {
+    const rows = db
+      .prepare(
+        `SELECT * FROM pantry_items WHERE owner_key = ?
+         ${includeUsed ? "" : "AND status = 'available'"}
+         ORDER BY status, last_seen_ms DESC`
+      )
+      .all(ownerKey);
+    return rows.map(columns.fromRow);
+  }
+
+  function update(id, patch) {
+    const stmt = columns.updateSql("pantry_items", "id", id, {
+      ...patch,
+      updatedMs: Date.now(),
+    });
+    if (stmt) db.prepare(stmt.sql).run(stmt.params);
+    return get(id);
+  }
+
+  // Adds a new available item or refreshes the existing one with the same name.
+  function upsert(
+    ownerKey,
+    { name, category, quantity, confidence, source, scanId = null, shelfLifeDays, expiresMs }
+  ) {
+    const normalizedName = normalizeItemName(name);
+    if (!normalizedName) return null;
+
+    const nowMs = Date.now();
+    const existing = columns.fromRow(selectAvailableByName.get(ownerKey, normalizedName));
+
+    if (existing) {
+      return update(existing.id, {
+        lastSeenMs: nowMs,
+        lastScanId: scanId || existing.lastScanId,
+        category: category || existing.category,
+        quantity: quantity !== undefined ? quantity : existing.quantity,
+        confidence: confidence || existing.confidence,
+        shelfLifeDays: shelfLifeDays !== undefined ? shelfLifeDays : existing.shelfLifeDays,
+        expiresMs: expiresMs !== undefined ? expiresMs : existing.expiresMs,
+        // A manual entry or correction confirms an item the model only guessed at.
+        source: existing.source === "scan" ? source : existing.source,
+      });
+    }
+
+    const id = crypto.randomUUID();
+    const { sql, params } = columns.insertSql("pantry_items", {
+      id,
+      ownerKey,
+      name: String(name).trim(),
+      normalizedName,
+      category: category || "other_food",
+      quantity: quantity || "",
+      confidence: confidence || null,
+      source,
+      status: "available",
+      shelfLifeDays: shelfLifeDays ?? null,
+      expiresMs: expiresMs ?? null,
+      firstScanId: scanId,
+      lastScanId: scanId,
+      firstSeenMs: nowMs,
+      lastSeenMs: nowMs,
+      createdMs: nowMs,
+      updatedMs: nowMs,
+    });
+    db.prepare(sql).run(params);
+    return get(id);
+  }
+
+  const mergeDetected = db.transaction((ownerKey, scanId, items) => {
+    const merged = [];
+    for (const item of items) {
+      const row = upsert(ownerKey, {
+        name: item.name,
+        category: item.category,
+        confidence: item.confidence,
+        source: "scan",
+        scanId,
+      });
+      if (row) merged.push(row);
+    }
+    return merged;
+  });
+
+  // Corrected ingredients are a strict override for that scan: confirm what the
+  // user listed and drop what only this scan's detection introduced. Items a
+  // later scan saw again (last_scan_id moved on) stay.
+  const applyCorrections = db.transaction((ownerKey, scanId, names) => {
+    const keep = new Set();
+    for (const name of names) {
+      const row = upsert(ownerKey, { name, source: "correction", scanId });
+      if (row) keep.add(row.normalizedName);
+    }
+
+    const introduced = db
+      .prepare(
+        `SELECT * FROM pantry_items
+         WHERE owner_key = ? AND first_scan_id = ? AND last_scan_id = ?
+           AND source = 'scan' AND status = 'available'`
+      )
+      .all(ownerKey, scanId, scanId)
+      .map(columns.fromRow);
+
+    for (const item of introduced) {
+      if (!keep.has(item.normalizedName)) {
+        db.prepare("DELETE FROM pantry_items WHERE id = ?").run(item.id);
+      }
+    }
+  });
+
+  function rename(id, name) {
+    const item = get(id);
+    const normalizedName = normalizeItemName(name);
+    if (!item || !normalizedName) return { ok: false, error: "INVALID_NAME" };
+
+    if (item.status === "available" && normalizedName !== item.normalizedName) {
+      const clash = selectAvailableByName.get(item.ownerKey, normalizedName);
+      if (clash) return { ok: false, error: "PANTRY_ITEM_EXISTS" };
+    }
+
+    return { ok: true, item: update(id, { name: String(name).trim(), normalizedName }) };
+  }
+
+  function remove(id) {
+    return db.prepare("DELETE FROM pantry_items WHERE id = ?").run(id).changes === 1;
+  }
+
+  function markUsed(id) {
+    const nowMs = Date.now();
+    return update(id, { status: "used", usedMs: nowMs });
+  }
+
+  return { get, list, upsert, update, mergeDetected, applyCorrections, rename, remove, markUsed };
+}
@@ -0,0 +1,77 @@
+import crypto from "crypto";
+
+import { defineColumns } from "./columns.js";
+
+const columns = defineColumns({
+  id: ["id", "text"],
+  ownerKey: ["owner_key", "text"],
+  sourceKey: ["source_key", "text"],
+  scanId: ["scan_id", "text"],
+  candidateId: ["candidate_id", "text"],
+  recipeId: ["recipe_id", "text"],
+  title: ["title", "text"],
+  cuisine: ["cuisine", "text"],
+  thumb: ["thumb", "text"],
+  stars: ["stars", "int"],
+  tags: ["tags", "json"],
+  createdMs: ["created_ms", "int"],
+  updatedMs: ["updated_ms", "int"],
+});
+
+// One rating per generated recipe and owner; `source_key` names the recipe
+// ("scan:<id>", "candidate:<id>" or "recipe:<id>"). Ratings outlive their scans
+// so the taste profile keeps its history.
+export function createRatingsRepo(db) {
+  const selectOne = db.prepare("SELECT * FROM recipe_ratings WHERE id = ?");
+
+  function get(id) {
+    return columns.fromRow(selectOne.get(id));
+  }
+
+  // Rating the same recipe again replaces the earlier rating.
+  function upsert(ownerKey, rating) {
+    const nowMs = Date.now();
+    const { sql, params } = columns.insertSql("recipe_ratings", {
+      id: crypto.randomUUID(),
+      ownerKey,
+      scanId: null,
+      candidateId: null,
+      recipeId: null,
+      ...rating,
+      createdMs: nowMs,
+      updatedMs: nowMs,
+    });
+    db.prepare(
+      `${sql}
+       ON CONFLICT (owner_key, source_key) DO UPDATE SET
+         title = excluded.title,
+         cuisine = excluded.cuisine,
+         thumb = excluded.thumb,
+         stars = excluded.stars,
+         tags = excluded.tags,
+         updated_ms = excluded.updated_ms`
+    ).run(params);
+    return columns.fromRow(
+      db
+        .prepare("SELECT * FROM recipe_ratings WHERE owner_key = ? AND source_key = ?")
+        .get(ownerKey, rating.sourceKey)
+    );
+  }
+
+  function list(ownerKey, { limit = 20, beforeMs = null } = {}) {
+    return db
+      .prepare(
+        `SELECT * FROM recipe_ratings
+         WHERE owner_key = @ownerKey AND (@beforeMs IS NULL OR updated_ms < @beforeMs)
+         ORDER BY updated_ms DESC LIMIT @limit`
+      )
+      .all({ ownerKey, limit, beforeMs })
+      .map(columns.fromRow);
+  }
+
+  function remove(id) {
+    return db.prepare("DELETE FROM recipe_ratings WHERE id = ?").run(id).changes === 1;
+  }
+
+  return { get, upsert, list, remove };
+}
@@ -0,0 +1,108 @@
+import crypto from "crypto";
+
+import { defineColumns } from "./columns.js";
+
+const columns = defineColumns({
+  id: ["id", "text"],
+  ownerKey: ["owner_key", "text"],
+  scanId: ["scan_id", "text"],
+  candidateId: ["candidate_id", "text"],
+  kind: ["kind", "text"],
+  title: ["title", "text"],
+  mealType: ["meal_type", "text"],
+  payload: ["payload", "json"],
+  searchText: ["search_text", "text"],
+  isFavorite: ["is_favorite", "bool"],
+  createdMs: ["created_ms", "int"],
+  updatedMs: ["updated_ms", "int"],
+});
+
+function buildSearchText(payload) {
+  const ingredients = (payload?.ingredients || []).map((x) =>
+    typeof x === "string" ? x : x?.item || ""
+  );
+  return [payload?.title || "", ...ingredients].join(" ").toLowerCase();
+}
+
+function escapeLike(text) {
+  return text.replace(/[\\%_]/g, (c) => `\\${c}`);
+}
+
+// Saved recipes hold a full copy of the payload and are never tied to the
+// scan's lifetime, so the 14-day scan cleanup leaves them alone.
+export function createSavedRecipesRepo(db) {
+  const selectOne = db.prepare("SELECT * FROM saved_recipes WHERE id = ?");
+
+  function get(id) {
+    return columns.fromRow(selectOne.get(id));
+  }
+
+  function findDuplicate(ownerKey, { scanId, candidateId, title }) {
+    const row = db
+      .prepare(
+        `SELECT * FROM saved_recipes
+         WHERE owner_key = @ownerKey AND title = @title
+           AND scan_id IS @scanId AND candidate_id IS @candidateId`
+      )
+      .get({ ownerKey, title, scanId: scanId ?? null, candidateId: candidateId ?? null });
+    return columns.fromRow(row);
+  }
+
+  function create(ownerKey, { scanId = null, candidateId = null, kind, mealType, payload }) {
+    const id = crypto.randomUUID();
+    const nowMs = Date.now();
+    const { sql, params } = columns.insertSql("saved_recipes", {
+      id,
+      ownerKey,
+      scanId,
+      candidateId,
+      kind,
+      title: String(payload.title || "").trim() || "Fridge Find",
+      mealType: mealType || "any",
+      payload,
+      searchText: buildSearchText(payload),
+      isFavorite: false,
+      createdMs: nowMs,
+      updatedMs: nowMs,
+    });
+    db.prepare(sql).run(params);
+    return get(id);
+  }
+
+  function list(ownerKey, { query = "", favoritesOnly = false, limit = 20, beforeMs = null } = {}) {
+    const q = String(query || "").trim().toLowerCase();
+    return db
+      .prepare(
+        `SELECT * FROM saved_recipes
+         WHERE owner_key = @ownerKey
+           AND (@q = '' OR search_text LIKE @pattern ESCAPE '\\')
+           AND (@favoritesOnly = 0 OR is_favorite = 1)
+           AND (@beforeMs IS NULL OR created_ms < @beforeMs)
+         ORDER BY created_ms DESC LIMIT @limit`
+      )
+      .all({
+        ownerKey,
+        q,
+        pattern: `%${escapeLike(q)}%`,
+        favoritesOnly: favoritesOnly ? 1 : 0,
+        beforeMs,
+        limit,
+      })
+      .map(columns.fromRow);
+  }
+
+  function update(id, patch) {
+    const stmt = columns.updateSql("saved_recipes", "id", id, {
+      ...patch,
+      updatedMs: Date.now(),
+    });
+    if (stmt) db.prepare(stmt.sql).run(stmt.params);
+    return get(id);
+  }
+
+  function remove(id) {
+    return db.prepare("DELETE FROM saved_recipes WHERE id = ?").run(id).changes === 1;
+  }
+
+  return { get, findDuplicate, create, list, update, remove };
+}
@@ -0,0 +1,122 @@
+import { defineColumns } from "./columns.js";
+
+const columns = defineColumns({
+  id: ["id", "text"],
+  ownerKey: ["owner_key", "text"],
+  createdMs: ["created_ms", "int"],
+  updatedMs: ["updated_ms", "int"],
+  mealType: ["meal_type", "text"],
+  extraIngredientsText: ["extra_ingredients_text", "text"],
+  correctedIngredientsText: ["corrected_ingredients_text", "text"],
+  nutritionGoals: ["nutrition_goals", "json"],
+  timeLimit: ["time_limit", "text"],
+  difficulty: ["difficulty", "text"],
+  equipment: ["equipment", "json"],
+  regenCount: ["regen_count", "int"],
+  usePantry: ["use_pantry", "bool"],
+  prioritizeExpiring: ["prioritize_expiring", "bool"],
+  lastRecipe: ["last_recipe", "json"],
+  detectedItems: ["detected_items", "json"],
+  locale: ["locale", "text"],
+  cuisine: ["cuisine", "text"],
+});
+
+export function createScansRepo(db) {
+  const selectOne = db.prepare("SELECT * FROM scans WHERE id = ?");
+  const selectImages = db.prepare(
+    "SELECT * FROM scan_images WHERE scan_id = ? ORDER BY position"
+  );
+  const insertImage = db.prepare(
+    `INSERT INTO scan_images
+       (scan_id, position, label, mime_type, width, height, sha256, image_base64)
+     VALUES (@scanId, @position, @label, @mimeType, @width, @height, @sha256, @base64)`
+  );
+
+  // withImage attaches `images`: [{ label, mimeType, width, height, sha256, base64 }].
+  // mimeType is null for images stored before uploads were normalized.
+  function get(scanId, { withImage = false } = {}) {
+    const scan = columns.fromRow(selectOne.get(scanId));
+    if (scan && withImage) {
+      scan.images = selectImages.all(scanId).map((row) => ({
+        label: row.label,
+        mimeType: row.mime_type,
+        width: row.width,
+        height: row.height,
+        sha256: row.sha256,
+        base64: row.image_base64,
+      }));
+    }
+    return scan;
+  }
+
+  const create = db.transaction((scan) => {
+    const { images = [], ...fields } = scan;
+    const { sql, params } = columns.insertSql("scans", fields);
+    db.prepare(sql).run(params);
+    images.forEach((image, position) => {
+      insertImage.run({
+        scanId: scan.id,
+        position,
+        label: image.label ?? null,
+        mimeType: image.mimeType ?? null,
+        width: image.width ?? null,
+        height: image.height ?? null,
+        sha256: image.sha256 ?? null,
+        base64: image.base64,
+      });
+    });
+    return get(scan.id);
+  });
+
+  function update(scanId, patch) {
+    const stmt = columns.updateSql("scans", "id", scanId, patch);
+    if (stmt) db.prepare(stmt.sql).run(stmt.params);
+    return get(scanId);
+  }
+
+  // Returns false when the scan is already at `limit` regenerations.
+  function consumeRegen(scanId, limit) {
+    const info = db
+      .prepare(
+        "UPDATE scans SET regen_count = regen_count + 1 WHERE id = ? AND regen_count < ?"
+      )
+      .run(scanId, limit);
+    return info.changes === 1;
+  }
+
+  function releaseRegen(scanId) {
+    db.prepare(
+      "UPDATE scans SET regen_count = regen_count - 1 WHERE id = ? AND regen_count > 0"
+    ).run(scanId);
+  }
+
+  function listForOwner(ownerKey, { limit = 20, beforeMs = null } = {}) {
+    return db
+      .prepare(
+        `SELECT * FROM scans
+         WHERE owner_key = @ownerKey AND (@beforeMs IS NULL OR created_ms < @beforeMs)
+         ORDER BY created_ms DESC LIMIT @limit`
+      )
+      .all({ ownerKey, beforeMs, limit })
+      .map(columns.fromRow);
+  }
+
+  function remove(scanId) {
+    return db.prepare("DELETE FROM scans WHERE id = ?").run(scanId).changes === 1;
+  }
+
+  function deleteOlderThan(cutoffMs) {
+    return db.prepare("DELETE FROM scans WHERE created_ms < ?").run(cutoffMs).changes;
+  }
+
+  return {
+    get,
+    create,
+    update,
+    consumeRegen,
+    releaseRegen,
+    listForOwner,
+    remove,
+    deleteOlderThan,
+  };
+}
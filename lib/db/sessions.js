@@ -0,0 +1,47 @@
+// Only a hash of each token is stored, so a leaked database can't be replayed.
+export function createSessionsRepo(db) {
+  const selectOne = db.prepare("SELECT * FROM sessions WHERE token_hash = ? AND expires_ms > ?");
+
+  function toSession(row) {
+    return row
+      ? {
+          tokenHash: row.token_hash,
+          identityKey: row.identity_key,
+          createdMs: row.created_ms,
+          lastUsedMs: row.last_used_ms,
+          expiresMs: row.expires_ms,
+        }
+      : null;
+  }
+
+  function get(tokenHash, nowMs = Date.now()) {
+    return toSession(selectOne.get(tokenHash, nowMs));
+  }
+
+  function create({ tokenHash, identityKey, expiresMs }) {
+    const nowMs = Date.now();
+    db.prepare(
+      `INSERT INTO sessions (token_hash, identity_key, created_ms, last_used_ms, expires_ms)
+       VALUES (?, ?, ?, ?, ?)`
+    ).run(tokenHash, identityKey, nowMs, nowMs, expiresMs);
+    return get(tokenHash, nowMs);
+  }
+
+  function touch(tokenHash, nowMs, expiresMs) {
+    db.prepare("UPDATE sessions SET last_used_ms = ?, expires_ms = ? WHERE token_hash = ?").run(
+      nowMs,
+      expiresMs,
+      tokenHash
+    );
+  }
+
+  function remove(tokenHash) {
+    return db.prepare("DELETE FROM sessions WHERE token_hash = ?").run(tokenHash).changes === 1;
+  }
+
+  function deleteExpired(nowMs = Date.now()) {
+    return db.prepare("DELETE FROM sessions WHERE expires_ms <= ?").run(nowMs).changes;
+  }
+
+  return { get, create, touch, remove, deleteExpired };
+}
@@ -0,0 +1,74 @@
+import crypto from "crypto";
+
+import { defineColumns } from "./columns.js";
+
+const columns = defineColumns({
+  id: ["id", "text"],
+  ownerKey: ["owner_key", "text"],
+  scanId: ["scan_id", "text"],
+  candidateId: ["candidate_id", "text"],
+  recipeId: ["recipe_id", "text"],
+  title: ["title", "text"],
+  payload: ["payload", "json"],
+  viewCount: ["view_count", "int"],
+  createdMs: ["created_ms", "int"],
+  revokedMs: ["revoked_ms", "int"],
+});
+
+// A share link holds its own copy of the recipe, so it keeps working after the
+// scan is cleaned up or the saved recipe is deleted. The id is the unguessable
+// part of the public URL.
+export function createShareLinksRepo(db) {
+  const selectOne = db.prepare("SELECT * FROM share_links WHERE id = ?");
+
+  function get(id) {
+    return columns.fromRow(selectOne.get(id));
+  }
+
+  function create(
+    ownerKey,
+    { scanId = null, candidateId = null, recipeId = null, title, payload }
+  ) {
+    const id = crypto.randomBytes(16).toString("base64url");
+    const row = columns.insertSql("share_links", {
+      id,
+      ownerKey,
+      scanId,
+      candidateId,
+      recipeId,
+      title,
+      payload,
+      viewCount: 0,
+      createdMs: Date.now(),
+    });
+    db.prepare(row.sql).run(row.params);
+    return get(id);
+  }
+
+  // Active links only, newest first.
+  function list(ownerKey, { limit = 20, beforeMs = null } = {}) {
+    return db
+      .prepare(
+        `SELECT * FROM share_links
+         WHERE owner_key = @ownerKey AND revoked_ms IS NULL
+           AND (@beforeMs IS NULL OR created_ms < @beforeMs)
+         ORDER BY created_ms DESC LIMIT @limit`
+      )
+      .all({ ownerKey, limit, beforeMs })
+      .map(columns.fromRow);
+  }
+
+  function recordView(id) {
+    db.prepare("UPDATE share_links SET view_count = view_count + 1 WHERE id = ?").run(id);
+  }
+
+  function revoke(id) {
+    db.prepare("UPDATE share_links SET revoked_ms = ? WHERE id = ? AND revoked_ms IS NULL").run(
+      Date.now(),
+      id
+    );
+    return get(id);
+  }
+
+  return { get, create, list, recordView, revoke };
+}
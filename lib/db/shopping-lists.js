@@ -0,0 +1,107 @@
+import crypto from "crypto";
+
+import { defineColumns } from "./columns.js";
+
+const listColumns = defineColumns({
+  id: ["id", "text"],
+  ownerKey: ["owner_key", "text"],
+  title: ["title", "text"],
+  createdMs: ["created_ms", "int"],
+  updatedMs: ["updated_ms", "int"],
+});
+
+const itemColumns = defineColumns({
+  id: ["id", "text"],
+  listId: ["list_id", "text"],
+  position: ["position", "int"],
+  name: ["name", "text"],
+  normalizedName: ["normalized_name", "text"],
+  amounts: ["amounts", "json"],
+  displayAmount: ["display_amount", "text"],
+  sources: ["sources", "json"],
+  isChecked: ["is_checked", "bool"],
+  checkedMs: ["checked_ms", "int"],
+});
+
+export function createShoppingListsRepo(db) {
+  const selectList = db.prepare("SELECT * FROM shopping_lists WHERE id = ?");
+  const selectItems = db.prepare(
+    "SELECT * FROM shopping_list_items WHERE list_id = ? ORDER BY position"
+  );
+
+  function get(id) {
+    return listColumns.fromRow(selectList.get(id));
+  }
+
+  function listItems(listId) {
+    return selectItems.all(listId).map(itemColumns.fromRow);
+  }
+
+  const create = db.transaction((ownerKey, { title, items }) => {
+    const id = crypto.randomUUID();
+    const nowMs = Date.now();
+
+    const list = listColumns.insertSql("shopping_lists", {
+      id,
+      ownerKey,
+      title,
+      createdMs: nowMs,
+      updatedMs: nowMs,
+    });
+    db.prepare(list.sql).run(list.params);
+
+    items.forEach((item, index) => {
+      const row = itemColumns.insertSql("shopping_list_items", {
+        id: crypto.randomUUID(),
+        listId: id,
+        position: index,
+        name: item.name,
+        normalizedName: item.normalizedName,
+        amounts: item.amounts,
+        displayAmount: item.displayAmount,
+        sources: item.sources,
+        isChecked: false,
+      });
+      db.prepare(row.sql).run(row.params);
+    });
+
+    return get(id);
+  });
+
+  function listForOwner(ownerKey, { limit = 20, beforeMs = null } = {}) {
+    return db
+      .prepare(
+        `SELECT l.*,
+           (SELECT COUNT(*) FROM shopping_list_items i WHERE i.list_id = l.id) AS item_count,
+           (SELECT COUNT(*) FROM shopping_list_items i WHERE i.list_id = l.id AND i.is_checked = 1) AS checked_count
+         FROM shopping_lists l
+         WHERE l.owner_key = @ownerKey AND (@beforeMs IS NULL OR l.created_ms < @beforeMs)
+         ORDER BY l.created_ms DESC LIMIT @limit`
+      )
+      .all({ ownerKey, beforeMs, limit })
+      .map((row) => ({
+        ...listColumns.fromRow(row),
+        itemCount: row.item_count,
+        checkedCount: row.checked_count,
+      }));
+  }
+
+  function setChecked(listId, itemId, isChecked) {
+    const nowMs = Date.now();
+    const info = db
+      .prepare(
+        "UPDATE shopping_list_items SET is_checked = ?, checked_ms = ? WHERE id = ? AND list_id = ?"
+      )
+      .run(isChecked ? 1 : 0, isChecked ? nowMs : null, itemId, listId);
+    if (info.changes === 1) {
+      db.prepare("UPDATE shopping_lists SET updated_ms = ? WHERE id = ?").run(nowMs, listId);
+    }
+    return info.changes === 1;
+  }
+
+  function remove(id) {
+    return db.prepare("DELETE FROM shopping_lists WHERE id = ?").run(id).changes === 1;
+  }
+
+  return { get, listItems, create, listForOwner, setChecked, remove };
+}
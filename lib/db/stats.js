@@ -0,0 +1,47 @@
+// Per-day operational counters keyed by UTC date ("2026-10-19").
+function toStatsDay(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+export function createStatsRepo(db) {
+  const bump = db.prepare(
+    `INSERT INTO daily_stats (day, metric, count) VALUES (?, ?, 1)
+     ON CONFLICT (day, metric) DO UPDATE SET count = count + 1`
+  );
+
+  function increment(metric, nowMs = Date.now()) {
+    bump.run(toStatsDay(nowMs), metric);
+  }
+
+  // [{ day, metrics: { [metric]: count } }] from the day of `sinceMs` on,
+  // oldest first.
+  function listDays(sinceMs) {
+    const byDay = new Map();
+    const rows = db
+      .prepare("SELECT * FROM daily_stats WHERE day >= ? ORDER BY day, metric")
+      .all(toStatsDay(sinceMs));
+    for (const row of rows) {
+      if (!byDay.has(row.day)) byDay.set(row.day, { day: row.day, metrics: {} });
+      byDay.get(row.day).metrics[row.metric] = row.count;
+    }
+    return [...byDay.values()];
+  }
+
+  function getTotals() {
+    return db
+      .prepare(
+        `SELECT
+           (SELECT COUNT(*) FROM users) AS users,
+           (SELECT COUNT(*) FROM users WHERE is_premium = 1) AS premium_users,
+           (SELECT COUNT(*) FROM accounts) AS accounts,
+           (SELECT COUNT(*) FROM scans) AS stored_scans`
+      )
+      .get();
+  }
+
+  function deleteBefore(cutoffMs) {
+    return db.prepare("DELETE FROM daily_stats WHERE day < ?").run(toStatsDay(cutoffMs)).changes;
+  }
+
+  return { increment, listDays, getTotals, deleteBefore };
+}
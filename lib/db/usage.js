@@ -0,0 +1,88 @@
+// Per-period action counters. The subject is an identity key or "ip:<addr>";
+// a counter whose period has rolled over reads as zero.
+export function createUsageRepo(db) {
+  const selectOne = db.prepare(
+    `SELECT period_start_ms, count FROM usage_counters
+     WHERE subject_key = ? AND action = ? AND period = ?`
+  );
+  const increment = db.prepare(
+    `INSERT INTO usage_counters (subject_key, action, period, period_start_ms, count)
+     VALUES (@subjectKey, @action, @period, @periodStartMs, 1)
+     ON CONFLICT (subject_key, action, period) DO UPDATE SET
+       count = CASE WHEN period_start_ms = excluded.period_start_ms THEN count + 1 ELSE 1 END,
+       period_start_ms = excluded.period_start_ms`
+  );
+
+  function getCount({ subjectKey, action, period, periodStartMs }) {
+    const row = selectOne.get(subjectKey, action, period);
+    return row && row.period_start_ms === periodStartMs ? row.count : 0;
+  }
+
+  // All-or-nothing: every counter is checked against its limit (null means
+  // unlimited) before any is incremented. Returns { ok: true } or
+  // { ok: false, entry, count } for the first one that is full.
+  const consume = db.transaction((entries) => {
+    for (const entry of entries) {
+      const count = getCount(entry);
+      if (entry.limit !== null && count >= entry.limit) {
+        return { ok: false, entry, count };
+      }
+    }
+    for (const entry of entries) {
+      increment.run({
+        subjectKey: entry.subjectKey,
+        action: entry.action,
+        period: entry.period,
+        periodStartMs: entry.periodStartMs,
+      });
+    }
+    return { ok: true };
+  });
+
+  // Gives back one use per entry. Counters that have since rolled over to a
+  // new period are left alone.
+  const release = db.transaction((entries) => {
+    const decrement = db.prepare(
+      `UPDATE usage_counters SET count = count - 1
+       WHERE subject_key = @subjectKey AND action = @action AND period = @period
+         AND period_start_ms = @periodStartMs AND count > 0`
+    );
+    for (const { subjectKey, action, period, periodStartMs } of entries) {
+      decrement.run({ subjectKey, action, period, periodStartMs });
+    }
+  });
+
+  function set({ subjectKey, action, period, periodStartMs }, count) {
+    db.prepare(
+      `INSERT INTO usage_counters (subject_key, action, period, period_start_ms, count)
+       VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT (subject_key, action, period) DO UPDATE SET
+         count = excluded.count,
+         period_start_ms = excluded.period_start_ms`
+    ).run(subjectKey, action, period, periodStartMs, count);
+  }
+
+  // Adds one subject's counters onto another's; counters from an older period
+  // lose to the newer one.
+  function mergeInto(fromKey, toKey) {
+    db.prepare(
+      `INSERT INTO usage_counters (subject_key, action, period, period_start_ms, count)
+       SELECT @toKey, action, period, period_start_ms, count
+       FROM usage_counters WHERE subject_key = @fromKey
+       ON CONFLICT (subject_key, action, period) DO UPDATE SET
+         count = CASE
+           WHEN period_start_ms = excluded.period_start_ms THEN count + excluded.count
+           WHEN period_start_ms < excluded.period_start_ms THEN excluded.count
+           ELSE count
+         END,
+         period_start_ms = MAX(period_start_ms, excluded.period_start_ms)`
+    ).run({ fromKey, toKey });
+    db.prepare("DELETE FROM usage_counters WHERE subject_key = ?").run(fromKey);
+  }
+
+  function deleteOlderThan(cutoffMs) {
+    return db.prepare("DELETE FROM usage_counters WHERE period_start_ms < ?").run(cutoffMs).changes;
+  }
+
+  return { getCount, consume, release, set, mergeInto, deleteOlderThan };
+}
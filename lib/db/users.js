@@ -0,0 +1,97 @@
+import { defineColumns } from "./columns.js";
+
+const columns = defineColumns({
+  identityKey: ["identity_key", "text"],
+  isPremium: ["is_premium", "bool"],
+  weekStartMs: ["week_start_ms", "int"],
+  freeUsedThisWeek: ["free_used_this_week", "int"],
+  lastAnalyzeMs: ["last_analyze_ms", "int"],
+  lastRegenMs: ["last_regen_ms", "int"],
+  lastPlanMs: ["last_plan_ms", "int"],
+  isLockedUntilReset: ["is_locked_until_reset", "bool"],
+  unlockAtMs: ["unlock_at_ms", "int"],
+  dietProfile: ["diet_profile", "json"],
+  unitSystem: ["unit_system", "text"],
+  timeZone: ["timezone", "text"],
+  locale: ["locale", "text"],
+  bonusScans: ["bonus_scans", "int"],
+  claimedMs: ["claimed_ms", "int"],
+  createdMs: ["created_ms", "int"],
+});
+
+const COOLDOWN_COLUMNS = {
+  analyze: "last_analyze_ms",
+  regen: "last_regen_ms",
+  plan: "last_plan_ms",
+};
+
+export function createUsersRepo(db) {
+  const selectOne = db.prepare("SELECT * FROM users WHERE identity_key = ?");
+
+  function get(identityKey) {
+    return columns.fromRow(selectOne.get(identityKey));
+  }
+
+  function create(identityKey, fields) {
+    const { sql, params } = columns.insertSql("users", {
+      ...fields,
+      identityKey,
+      createdMs: fields.createdMs || Date.now(),
+    });
+    db.prepare(sql).run(params);
+    return get(identityKey);
+  }
+
+  function update(identityKey, patch) {
+    const stmt = columns.updateSql("users", "identity_key", identityKey, patch);
+    if (stmt) db.prepare(stmt.sql).run(stmt.params);
+    return get(identityKey);
+  }
+
+  // Case-insensitive substring match on the identity key, newest first.
+  function search(query, { limit = 20 } = {}) {
+    const pattern = `%${String(query).replace(/[\\%_]/g, "\\$&")}%`;
+    return db
+      .prepare(
+        `SELECT * FROM users WHERE identity_key LIKE ? ESCAPE '\\'
+         ORDER BY created_ms DESC LIMIT ?`
+      )
+      .all(pattern, limit)
+      .map(columns.fromRow);
+  }
+
+  function addBonusScans(identityKey, count) {
+    db.prepare("UPDATE users SET bonus_scans = bonus_scans + ? WHERE identity_key = ?").run(
+      count,
+      identityKey
+    );
+    return get(identityKey);
+  }
+
+  // Conditional decrement: never lets two requests both take the last bonus scan.
+  function spendBonusScan(identityKey) {
+    const info = db
+      .prepare(
+        "UPDATE users SET bonus_scans = bonus_scans - 1 WHERE identity_key = ? AND bonus_scans > 0"
+      )
+      .run(identityKey);
+    return info.changes === 1;
+  }
+
+  function claimCooldown(identityKey, kind, nowMs, seconds) {
+    const column = COOLDOWN_COLUMNS[kind];
+    const info = db
+      .prepare(
+        `UPDATE users SET ${column} = @nowMs
+         WHERE identity_key = @identityKey AND @nowMs - ${column} >= @windowMs`
+      )
+      .run({ identityKey, nowMs, windowMs: seconds * 1000 });
+    return info.changes === 1;
+  }
+
+  function remove(identityKey) {
+    return db.prepare("DELETE FROM users WHERE identity_key = ?").run(identityKey).changes === 1;
+  }
+
+  return { get, create, update, remove, search, addBonusScans, spendBonusScan, claimCooldown };
+}
@@ -0,0 +1,346 @@
+export const DIETS = ["vegetarian", "vegan", "halal", "gluten_free"];
+
+const MAX_ALLERGENS = 20;
+
+const MEAT = [
+  "meat",
+  "beef",
+  "steak",
+  "veal",
+  "pork",
+  "bacon",
+  "ham",
+  "prosciutto",
+  "pancetta",
+  "chorizo",
+  "salami",
+  "pepperoni",
+  "sausage",
+  "hot dog",
+  "chicken",
+  "turkey",
+  "duck",
+  "goose",
+  "lamb",
+  "mutton",
+  "venison",
+  "mince",
+  "meatball",
+  "burger",
+  "jerky",
+  "liver",
+  "lard",
+  "gelatin",
+  "bone broth",
+];
+
+const FISH = [
+  "fish",
+  "salmon",
+  "tuna",
+  "cod",
+  "tilapia",
+  "trout",
+  "sardine",
+  "anchovy",
+  "anchovies",
+  "mackerel",
+  "halibut",
+  "bonito",
+  "dashi",
+];
+
+const SHELLFISH = [
+  "shrimp",
+  "prawn",
+  "crab",
+  "lobster",
+  "crayfish",
+  "langoustine",
+  "clam",
+  "mussel",
+  "oyster",
+  "scallop",
+  "squid",
+  "calamari",
+  "octopus",
+];
+
+const DAIRY = [
+  "milk",
+  "buttermilk",
+  "cheese",
+  "cheddar",
+  "mozzarella",
+  "parmesan",
+  "feta",
+  "ricotta",
+  "mascarpone",
+  "paneer",
+  "butter",
+  "ghee",
+  "cream",
+  "yogurt",
+  "yoghurt",
+  "kefir",
+  "whey",
+  "casein",
+  "custard",
+];
+
+const EGGS = ["egg", "mayonnaise", "mayo", "aioli", "meringue"];
+
+const PORK = [
+  "pork",
+  "bacon",
+  "ham",
+  "prosciutto",
+  "pancetta",
+  "chorizo",
+  "salami",
+  "pepperoni",
+  "lard",
+  "gelatin",
+  "hot dog",
+];
+
+const ALCOHOL = [
+  "wine",
+  "beer",
+  "rum",
+  "vodka",
+  "whiskey",
+  "whisky",
+  "bourbon",
+  "brandy",
+  "sherry",
+  "marsala",
+  "sake",
+  "mirin",
+  "liqueur",
+];
+
+const GLUTEN = [
+  "wheat",
+  "flour",
+  "bread",
+  "breadcrumb",
+  "panko",
+  "pasta",
+  "spaghetti",
+  "penne",
+  "macaroni",
+  "lasagna",
+  "orzo",
+  "noodle",
+  "udon",
+  "ramen",
+  "couscous",
+  "bulgur",
+  "barley",
+  "rye",
+  "farro",
+  "spelt",
+  "semolina",
+  "seitan",
+  "malt",
+  "beer",
+  "soy sauce",
+  "tortilla",
+  "pita",
+  "naan",
+  "bun",
+  "bagel",
+  "croissant",
+  "cracker",
+  "crouton",
+];
+
+// Phrases that contain a restricted word but are fine for that rule.
+const PLANT_BASED =
+  /\b(?:vegan|veggie|plant[- ]based|meatless|vegetarian|dairy[- ]free|egg[- ]free|non[- ]dairy)(?:\s+[\w-]+)?|\b(?:coconut|almond|oat|soy|rice|cashew) (?:milk|cream|yogurt|yoghurt)\b|\b(?:peanut|nut|almond|cashew|cocoa|apple|shea) butter\b|\bcream of tartar\b|\boyster mushrooms?\b/gi;
+const GLUTEN_FREE =
+  /\bgluten[- ]free(?:\s+[\w-]+)?|\b(?:rice|glass|soba|buckwheat|shirataki) noodles?\b|\b(?:rice|almond|coconut|chickpea|corn|buckwheat|tapioca|cassava|oat) flour\b|\bcorn tortillas?\b|\brice paper\b/gi;
+
+const RULES = {
+  vegetarian: {
+    words: [...MEAT, ...FISH, ...SHELLFISH, "fish sauce", "oyster sauce"],
+    safe: PLANT_BASED,
+  },
+  vegan: {
+    words: [...MEAT, ...FISH, ...SHELLFISH, ...DAIRY, ...EGGS, "honey", "fish sauce"],
+    safe: PLANT_BASED,
+  },
+  halal: { words: [...PORK, ...ALCOHOL], safe: null },
+  gluten_free: { words: GLUTEN, safe: GLUTEN_FREE },
+};
+
+const ALLERGENS = {
+  peanut: { words: ["peanut", "groundnut"], safe: null },
+  tree_nut: {
+    words: [
+      "almond",
+      "walnut",
+      "cashew",
+      "pecan",
+      "pistachio",
+      "hazelnut",
+      "macadamia",
+      "brazil nut",
+      "pine nut",
+      "praline",
+      "marzipan",
+      "nutella",
+    ],
+    safe: null,
+  },
+  milk: { words: DAIRY, safe: PLANT_BASED },
+  egg: { words: EGGS, safe: PLANT_BASED },
+  soy: { words: ["soy", "soya", "tofu", "edamame", "tempeh", "miso", "tamari"], safe: null },
+  wheat: { words: GLUTEN, safe: GLUTEN_FREE },
+  fish: { words: [...FISH, "fish sauce"], safe: null },
+  shellfish: { words: [...SHELLFISH, "oyster sauce"], safe: null },
+  sesame: { words: ["sesame", "tahini"], safe: null },
+};
+
+const ALLERGEN_ALIASES = {
+  peanuts: "peanut",
+  nuts: "tree_nut",
+  "tree nut": "tree_nut",
+  "tree nuts": "tree_nut",
+  dairy: "milk",
+  lactose: "milk",
+  eggs: "egg",
+  soya: "soy",
+  gluten: "wheat",
+  crustaceans: "shellfish",
+};
+
+const DIET_LABELS = {
+  vegetarian:
+    "Vegetarian: no meat, poultry, fish or seafood, including stocks and sauces made from them.",
+  vegan: "Vegan: no animal products at all: no meat, fish, dairy, eggs or honey.",
+  halal: "Halal: no pork or pork products and no alcohol; any meat must be halal.",
+  gluten_free:
+    "Gluten-free: no wheat, barley, rye or regular soy sauce; use gluten-free alternatives.",
+};
+
+export function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+const matcherCache = new Map();
+
+function getMatcher(words) {
+  const key = words.join("|");
+  if (!matcherCache.has(key)) {
+    const alternatives = [...new Set(words)]
+      .sort((a, b) => b.length - a.length)
+      .map(escapeRegExp)
+      .join("|");
+    matcherCache.set(key, new RegExp(`\\b(?:${alternatives})(?:e?s)?\\b`, "i"));
+  }
+  return matcherCache.get(key);
+}
+
+function findTerm(rule, text) {
+  const cleaned = rule.safe ? text.replace(rule.safe, " ") : text;
+  return cleaned.match(getMatcher(rule.words))?.[0]?.toLowerCase() || null;
+}
+
+function getAllergenRule(name) {
+  return ALLERGENS[name] || { words: [name], safe: null };
+}
+
+export function normalizeAllergen(name) {
+  const key = String(name || "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, 40);
+  if (!key) return "";
+  if (ALLERGEN_ALIASES[key]) return ALLERGEN_ALIASES[key];
+  const known = key.replace(/ /g, "_");
+  return ALLERGENS[known] ? known : key;
+}
+
+export function emptyDietProfile() {
+  return { diets: [], allergens: [] };
+}
+
+// Validates user input into { diets, allergens }; unknown allergens are kept
+// as literal words to avoid.
+export function normalizeDietProfile(input) {
+  const diets = Array.isArray(input?.diets) ? input.diets.map((d) => String(d)) : [];
+  const unknown = diets.filter((d) => !DIETS.includes(d));
+  if (unknown.length) {
+    return { error: "INVALID_DIET", unknown };
+  }
+
+  const allergens = Array.isArray(input?.allergens)
+    ? [...new Set(input.allergens.map(normalizeAllergen).filter(Boolean))]
+    : [];
+  if (allergens.length > MAX_ALLERGENS) {
+    return { error: "TOO_MANY_ALLERGENS", max: MAX_ALLERGENS };
+  }
+
+  return { profile: { diets: DIETS.filter((d) => diets.includes(d)), allergens } };
+}
+
+// Per-scan goals like "vegetarian" count as a diet for that request.
+export function mergeDietSignals(profile, texts = []) {
+  const hay = texts.join(" ").toLowerCase();
+  const diets = new Set(profile?.diets || []);
+
+  if (/\bvegan\b/.test(hay)) diets.add("vegan");
+  if (/\bvegetarian\b/.test(hay)) diets.add("vegetarian");
+  if (/\bhalal\b/.test(hay)) diets.add("halal");
+  if (/\bgluten[- ]free\b/.test(hay)) diets.add("gluten_free");
+
+  return { diets: DIETS.filter((d) => diets.has(d)), allergens: profile?.allergens || [] };
+}
+
+export function allowsMeat(profile) {
+  const diets = profile?.diets || [];
+  return !diets.includes("vegetarian") && !diets.includes("vegan");
+}
+
+export function describeDietRules(profile) {
+  const diets = profile?.diets || [];
+  const allergens = profile?.allergens || [];
+  if (!diets.length && !allergens.length) return "";
+
+  const lines = diets.map((d) => `- ${DIET_LABELS[d]}`);
+  if (allergens.length) {
+    lines.push(
+      `- Allergies: never include ${allergens
+        .map((a) => a.replace(/_/g, " "))
+        .join(", ")} or anything made from them.`
+    );
+  }
+
+  return `Dietary requirements (strict, never break these, even if the items are in the photo):
+${lines.join("\n")}`;
+}
+
+// Returns [{ rule, term }] for every requirement the texts break.
+export function findDietViolations(profile, texts) {
+  const checks = [
+    ...(profile?.diets || []).map((d) => [d, RULES[d]]),
+    ...(profile?.allergens || []).map((a) => [`allergen:${a}`, getAllergenRule(a)]),
+  ];
+  if (!checks.length) return [];
+
+  const violations = [];
+  const seen = new Set();
+  for (const text of texts) {
+    for (const [rule, def] of checks) {
+      const term = findTerm(def, String(text || ""));
+      if (term && !seen.has(`${rule}:${term}`)) {
+        seen.add(`${rule}:${term}`);
+        violations.push({ rule, term });
+      }
+    }
+  }
+  return violations;
+}
@@ -0,0 +1,70 @@
+import { ERROR_MESSAGES } from "./messages.js";
+import { stripFreeRecipeDetails } from "./sanitize.js";
+
+export const SUPPORTED_LANGUAGES = ["en", "es", "de", "fr", "it", "pt"];
+export const DEFAULT_LOCALE = "en";
+
+export function getLanguage(locale) {
+  return String(locale || DEFAULT_LOCALE)
+    .split("-")[0]
+    .toLowerCase();
+}
+
+// Canonical BCP 47 tag (e.g. "es-MX", "de") when its language is supported,
+// otherwise null. Underscores are accepted since mobile platforms send them.
+export function normalizeLocale(value) {
+  if (typeof value !== "string" || !value || value.length > 35) return null;
+  try {
+    const [locale] = Intl.getCanonicalLocales(value.replace(/_/g, "-"));
+    return SUPPORTED_LANGUAGES.includes(getLanguage(locale)) ? locale : null;
+  } catch {
+    return null;
+  }
+}
+
+export function isDefaultLanguage(locale) {
+  return getLanguage(locale) === getLanguage(DEFAULT_LOCALE);
+}
+
+const languageNames = new Intl.DisplayNames(["en"], { type: "language" });
+
+// English name of the locale's language for prompts, e.g. "Mexican Spanish".
+export function describeLanguage(locale) {
+  try {
+    return languageNames.of(locale);
+  } catch {
+    return languageNames.of(getLanguage(locale));
+  }
+}
+
+export function sanitizeFreeRecipe(text, locale = DEFAULT_LOCALE) {
+  return stripFreeRecipeDetails(text, getLanguage(locale));
+}
+
+// Highest-ranked supported locale in an Accept-Language header, or null.
+export function pickAcceptedLocale(header) {
+  const ranked = String(header || "")
+    .split(",")
+    .map((part) => {
+      const [tag, ...params] = part.trim().split(";");
+      const q = params.map((p) => /^\s*q=([\d.]+)\s*$/.exec(p)?.[1]).find(Boolean);
+      return { tag: tag.trim(), q: q === undefined ? 1 : Number(q) };
+    })
+    .filter((x) => x.tag && x.tag !== "*" && x.q > 0)
+    .sort((a, b) => b.q - a.q);
+
+  for (const { tag } of ranked) {
+    const locale = normalizeLocale(tag);
+    if (locale) return locale;
+  }
+  return null;
+}
+
+// Human-readable text for an error code in the locale's language, falling back
+// to English. Unknown *_FAILED codes share the generic INTERNAL message.
+export function getErrorMessage(code, locale = DEFAULT_LOCALE) {
+  if (typeof code !== "string") return null;
+  const key = ERROR_MESSAGES.en[code] ? code : code.endsWith("_FAILED") ? "INTERNAL" : null;
+  if (!key) return null;
+  return ERROR_MESSAGES[getLanguage(locale)]?.[key] || ERROR_MESSAGES.en[key];
+}
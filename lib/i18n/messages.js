@@ -0,0 +1,197 @@
+// Text shown to users next to the error codes clients branch on. English is
+// the fallback for anything missing in another language.
+export const ERROR_MESSAGES = {
+  en: {
+    AUTH_REQUIRED: "Please sign in to continue.",
+    INVALID_TOKEN: "Your session has expired. Please sign in again.",
+    TOO_MANY_REQUESTS: "You're going a little fast. Please wait a moment and try again.",
+    FREE_LIMIT_REACHED: "You've used all your free scans for this week.",
+    QUOTA_REACHED: "You've reached your limit for now. It resets soon.",
+    IP_LIMIT_REACHED: "Too many scans from this network this week.",
+    REGEN_LIMIT_REACHED: "You can't regenerate this recipe any more times.",
+    PREMIUM_REQUIRED: "This feature needs Premium.",
+    NO_FOOD_DETECTED: "We couldn't find any food in that photo.",
+    DIET_VIOLATION: "We couldn't make a recipe that fits your diet from these ingredients.",
+    AI_BAD_OUTPUT: "The recipe didn't come out right. Please try again.",
+    AI_UNAVAILABLE: "Our recipe service is busy right now. Please try again in a few minutes.",
+    MISSING_IMAGE: "Please add a photo.",
+    INVALID_IMAGE: "That photo couldn't be read.",
+    INVALID_IMAGE_ENCODING: "That photo couldn't be read.",
+    UNSUPPORTED_IMAGE_TYPE: "That image format isn't supported.",
+    IMAGE_TOO_LARGE: "That photo is too large.",
+    IMAGE_TOO_SMALL: "That photo is too small.",
+    IMAGE_DIMENSIONS_TOO_LARGE: "That photo is too large.",
+    TOO_MANY_IMAGES: "Too many photos at once.",
+    PAYLOAD_TOO_LARGE: "That upload is too large.",
+    SCAN_NOT_FOUND: "That scan no longer exists.",
+    RECIPE_NOT_FOUND: "That recipe no longer exists.",
+    INVALID_LOCALE: "That language isn't supported.",
+    INVALID_EMAIL: "Please enter a valid email address.",
+    WEAK_PASSWORD: "Please choose a longer password.",
+    EMAIL_TAKEN: "An account with this email already exists.",
+    INVALID_CREDENTIALS: "Wrong email or password.",
+    INTERNAL: "Something went wrong. Please try again.",
+  },
+  es: {
+    AUTH_REQUIRED: "Inicia sesión para continuar.",
+    INVALID_TOKEN: "Tu sesión ha caducado. Vuelve a iniciar sesión.",
+    TOO_MANY_REQUESTS: "Vas un poco rápido. Espera un momento y vuelve a intentarlo.",
+    FREE_LIMIT_REACHED: "Has usado todos tus escaneos gratuitos de esta semana.",
+    QUOTA_REACHED: "Has alcanzado tu límite por ahora. Se restablece pronto.",
+    IP_LIMIT_REACHED: "Demasiados escaneos desde esta red esta semana.",
+    REGEN_LIMIT_REACHED: "Ya no puedes volver a generar esta receta.",
+    PREMIUM_REQUIRED: "Esta función requiere Premium.",
+    NO_FOOD_DETECTED: "No encontramos comida en esa foto.",
+    DIET_VIOLATION: "No pudimos crear una receta apta para tu dieta con estos ingredientes.",
+    AI_BAD_OUTPUT: "La receta no salió bien. Inténtalo de nuevo.",
+    AI_UNAVAILABLE: "Nuestro servicio de recetas está ocupado. Inténtalo en unos minutos.",
+    MISSING_IMAGE: "Añade una foto.",
+    INVALID_IMAGE: "No se pudo leer esa foto.",
+    INVALID_IMAGE_ENCODING: "No se pudo leer esa foto.",
+    UNSUPPORTED_IMAGE_TYPE: "Ese formato de imagen no es compatible.",
+    IMAGE_TOO_LARGE: "Esa foto es demasiado grande.",
+    IMAGE_TOO_SMALL: "Esa foto es demasiado pequeña.",
+    IMAGE_DIMENSIONS_TOO_LARGE: "Esa foto es demasiado grande.",
+    TOO_MANY_IMAGES: "Demasiadas fotos a la vez.",
+    PAYLOAD_TOO_LARGE: "El archivo es demasiado grande.",
+    SCAN_NOT_FOUND: "Ese escaneo ya no existe.",
+    RECIPE_NOT_FOUND: "Esa receta ya no existe.",
+    INVALID_LOCALE: "Ese idioma no es compatible.",
+    INVALID_EMAIL: "Introduce un correo electrónico válido.",
+    WEAK_PASSWORD: "Elige una contraseña más larga.",
+    EMAIL_TAKEN: "Ya existe una cuenta con este correo.",
+    INVALID_CREDENTIALS: "Correo o contraseña incorrectos.",
+    INTERNAL: "Algo salió mal. Inténtalo de nuevo.",
+  },
+  de: {
+    AUTH_REQUIRED: "Bitte melde dich an, um fortzufahren.",
+    INVALID_TOKEN: "Deine Sitzung ist abgelaufen. Bitte melde dich erneut an.",
+    TOO_MANY_REQUESTS: "Etwas zu schnell. Bitte warte kurz und versuche es erneut.",
+    FREE_LIMIT_REACHED: "Du hast alle kostenlosen Scans dieser Woche verbraucht.",
+    QUOTA_REACHED: "Du hast dein Limit vorerst erreicht. Es wird bald zurückgesetzt.",
+    IP_LIMIT_REACHED: "Zu viele Scans aus diesem Netzwerk in dieser Woche.",
+    REGEN_LIMIT_REACHED: "Dieses Rezept kann nicht noch einmal neu erstellt werden.",
+    PREMIUM_REQUIRED: "Diese Funktion erfordert Premium.",
+    NO_FOOD_DETECTED: "Auf diesem Foto haben wir keine Lebensmittel gefunden.",
+    DIET_VIOLATION:
+      "Aus diesen Zutaten konnten wir kein Rezept passend zu deiner Ernährung erstellen.",
+    AI_BAD_OUTPUT: "Das Rezept ist nicht gelungen. Bitte versuche es erneut.",
+    AI_UNAVAILABLE:
+      "Unser Rezeptdienst ist gerade ausgelastet. Bitte versuche es in ein paar Minuten erneut.",
+    MISSING_IMAGE: "Bitte füge ein Foto hinzu.",
+    INVALID_IMAGE: "Dieses Foto konnte nicht gelesen werden.",
+    INVALID_IMAGE_ENCODING: "Dieses Foto konnte nicht gelesen werden.",
+    UNSUPPORTED_IMAGE_TYPE: "Dieses Bildformat wird nicht unterstützt.",
+    IMAGE_TOO_LARGE: "Dieses Foto ist zu groß.",
+    IMAGE_TOO_SMALL: "Dieses Foto ist zu klein.",
+    IMAGE_DIMENSIONS_TOO_LARGE: "Dieses Foto ist zu groß.",
+    TOO_MANY_IMAGES: "Zu viele Fotos auf einmal.",
+    PAYLOAD_TOO_LARGE: "Der Upload ist zu groß.",
+    SCAN_NOT_FOUND: "Dieser Scan existiert nicht mehr.",
+    RECIPE_NOT_FOUND: "Dieses Rezept existiert nicht mehr.",
+    INVALID_LOCALE: "Diese Sprache wird nicht unterstützt.",
+    INVALID_EMAIL: "Bitte gib eine gültige E-Mail-Adresse ein.",
+    WEAK_PASSWORD: "Bitte wähle ein längeres Passwort.",
+    EMAIL_TAKEN: "Es gibt bereits ein Konto mit dieser E-Mail-Adresse.",
+    INVALID_CREDENTIALS: "E-Mail-Adresse oder Passwort ist falsch.",
+    INTERNAL: "Etwas ist schiefgelaufen. Bitte versuche es erneut.",
+  },
+  fr: {
+    AUTH_REQUIRED: "Connectez-vous pour continuer.",
+    INVALID_TOKEN: "Votre session a expiré. Reconnectez-vous.",
+    TOO_MANY_REQUESTS: "Vous allez un peu vite. Patientez un instant puis réessayez.",
+    FREE_LIMIT_REACHED: "Vous avez utilisé tous vos scans gratuits de la semaine.",
+    QUOTA_REACHED:
+      "Vous avez atteint votre limite pour le moment. Elle sera bientôt réinitialisée.",
+    IP_LIMIT_REACHED: "Trop de scans depuis ce réseau cette semaine.",
+    REGEN_LIMIT_REACHED: "Vous ne pouvez plus régénérer cette recette.",
+    PREMIUM_REQUIRED: "Cette fonctionnalité nécessite Premium.",
+    NO_FOOD_DETECTED: "Nous n'avons trouvé aucun aliment sur cette photo.",
+    DIET_VIOLATION:
+      "Impossible de créer une recette adaptée à votre régime avec ces ingrédients.",
+    AI_BAD_OUTPUT: "La recette n'a pas abouti. Veuillez réessayer.",
+    AI_UNAVAILABLE:
+      "Notre service de recettes est surchargé. Veuillez réessayer dans quelques minutes.",
+    MISSING_IMAGE: "Ajoutez une photo.",
+    INVALID_IMAGE: "Cette photo n'a pas pu être lue.",
+    INVALID_IMAGE_ENCODING: "Cette photo n'a pas pu être lue.",
+    UNSUPPORTED_IMAGE_TYPE: "Ce format d'image n'est pas pris en charge.",
+    IMAGE_TOO_LARGE: "Cette photo est trop grande.",
+    IMAGE_TOO_SMALL: "Cette photo est trop petite.",
+    IMAGE_DIMENSIONS_TOO_LARGE: "Cette photo est trop grande.",
+    TOO_MANY_IMAGES: "Trop de photos à la fois.",
+    PAYLOAD_TOO_LARGE: "Ce fichier est trop volumineux.",
+    SCAN_NOT_FOUND: "Ce scan n'existe plus.",
+    RECIPE_NOT_FOUND: "Cette recette n'existe plus.",
+    INVALID_LOCALE: "Cette langue n'est pas prise en charge.",
+    INVALID_EMAIL: "Saisissez une adresse e-mail valide.",
+    WEAK_PASSWORD: "Choisissez un mot de passe plus long.",
+    EMAIL_TAKEN: "Un compte existe déjà avec cette adresse e-mail.",
+    INVALID_CREDENTIALS: "Adresse e-mail ou mot de passe incorrect.",
+    INTERNAL: "Une erreur s'est produite. Veuillez réessayer.",
+  },
+  it: {
+    AUTH_REQUIRED: "Accedi per continuare.",
+    INVALID_TOKEN: "La sessione è scaduta. Accedi di nuovo.",
+    TOO_MANY_REQUESTS: "Stai andando un po' veloce. Attendi un momento e riprova.",
+    FREE_LIMIT_REACHED: "Hai usato tutte le scansioni gratuite di questa settimana.",
+    QUOTA_REACHED: "Hai raggiunto il limite per ora. Verrà azzerato a breve.",
+    IP_LIMIT_REACHED: "Troppe scansioni da questa rete questa settimana.",
+    REGEN_LIMIT_REACHED: "Non puoi rigenerare questa ricetta altre volte.",
+    PREMIUM_REQUIRED: "Questa funzione richiede Premium.",
+    NO_FOOD_DETECTED: "Non abbiamo trovato cibo in questa foto.",
+    DIET_VIOLATION:
+      "Non siamo riusciti a creare una ricetta adatta alla tua dieta con questi ingredienti.",
+    AI_BAD_OUTPUT: "La ricetta non è venuta bene. Riprova.",
+    AI_UNAVAILABLE: "Il servizio ricette è occupato. Riprova tra qualche minuto.",
+    MISSING_IMAGE: "Aggiungi una foto.",
+    INVALID_IMAGE: "Impossibile leggere questa foto.",
+    INVALID_IMAGE_ENCODING: "Impossibile leggere questa foto.",
+    UNSUPPORTED_IMAGE_TYPE: "Questo formato di immagine non è supportato.",
+    IMAGE_TOO_LARGE: "Questa foto è troppo grande.",
+    IMAGE_TOO_SMALL: "Questa foto è troppo piccola.",
+    IMAGE_DIMENSIONS_TOO_LARGE: "Questa foto è troppo grande.",
+    TOO_MANY_IMAGES: "Troppe foto in una volta.",
+    PAYLOAD_TOO_LARGE: "Il caricamento è troppo grande.",
+    SCAN_NOT_FOUND: "Questa scansione non esiste più.",
+    RECIPE_NOT_FOUND: "Questa ricetta non esiste più.",
+    INVALID_LOCALE: "Questa lingua non è supportata.",
+    INVALID_EMAIL: "Inserisci un indirizzo email valido.",
+    WEAK_PASSWORD: "Scegli una password più lunga.",
+    EMAIL_TAKEN: "Esiste già un account con questa email.",
+    INVALID_CREDENTIALS: "Email o password errate.",
+    INTERNAL: "Qualcosa è andato storto. Riprova.",
+  },
+  pt: {
+    AUTH_REQUIRED: "Entre na sua conta para continuar.",
+    INVALID_TOKEN: "A sua sessão expirou. Entre novamente.",
+    TOO_MANY_REQUESTS: "Está indo um pouco rápido. Aguarde um momento e tente novamente.",
+    FREE_LIMIT_REACHED: "Você usou todas as digitalizações gratuitas desta semana.",
+    QUOTA_REACHED: "Você atingiu seu limite por agora. Ele será redefinido em breve.",
+    IP_LIMIT_REACHED: "Muitas digitalizações desta rede nesta semana.",
+    REGEN_LIMIT_REACHED: "Não é possível gerar esta receita novamente.",
+    PREMIUM_REQUIRED: "Este recurso requer Premium.",
+    NO_FOOD_DETECTED: "Não encontramos alimentos nessa foto.",
+    DIET_VIOLATION:
+      "Não conseguimos criar uma receita adequada à sua dieta com esses ingredientes.",
+    AI_BAD_OUTPUT: "A receita não saiu bem. Tente novamente.",
+    AI_UNAVAILABLE: "Nosso serviço de receitas está ocupado. Tente novamente em alguns minutos.",
+    MISSING_IMAGE: "Adicione uma foto.",
+    INVALID_IMAGE: "Não foi possível ler essa foto.",
+    INVALID_IMAGE_ENCODING: "Não foi possível ler essa foto.",
+    UNSUPPORTED_IMAGE_TYPE: "Esse formato de imagem não é compatível.",
+    IMAGE_TOO_LARGE: "Essa foto é grande demais.",
+    IMAGE_TOO_SMALL: "Essa foto é pequena demais.",
+    IMAGE_DIMENSIONS_TOO_LARGE: "Essa foto é grande demais.",
+    TOO_MANY_IMAGES: "Fotos demais de uma vez.",
+    PAYLOAD_TOO_LARGE: "O envio é grande demais.",
+    SCAN_NOT_FOUND: "Essa digitalização não existe mais.",
+    RECIPE_NOT_FOUND: "Essa receita não existe mais.",
+    INVALID_LOCALE: "Esse idioma não é compatível.",
+    INVALID_EMAIL: "Digite um endereço de e-mail válido.",
+    WEAK_PASSWORD: "Escolha uma senha mais longa.",
+    EMAIL_TAKEN: "Já existe uma conta com este e-mail.",
+    INVALID_CREDENTIALS: "E-mail ou senha incorretos.",
+    INTERNAL: "Algo deu errado. Tente novamente.",
+  },
+};
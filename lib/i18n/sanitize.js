@@ -0,0 +1,140 @@
+// Measurement, time and temperature words that free recipes must not contain.
+// Longer phrases come first so "cuillère à soupe" goes as a whole. English is
+// stripped in every language since models mix in "g", "ml" or "min".
+const MEASURE_WORDS = {
+  en: [
+    "cups?",
+    "tbsp",
+    "tablespoons?",
+    "tsp",
+    "teaspoons?",
+    "oz",
+    "ounces?",
+    "grams?",
+    "g",
+    "kg",
+    "ml",
+    "l",
+    "minutes?",
+    "mins?",
+    "degrees?",
+    "°f",
+    "°c",
+    "fahrenheit",
+    "celsius",
+  ],
+  es: [
+    "cucharadas? soperas?",
+    "cucharaditas?",
+    "cucharadas?",
+    "cdtas?",
+    "cditas?",
+    "cdas?",
+    "tazas?",
+    "onzas?",
+    "gramos?",
+    "gr",
+    "kilogramos?",
+    "kilos?",
+    "mililitros?",
+    "litros?",
+    "minutos?",
+    "horas?",
+    "grados?",
+  ],
+  de: [
+    "esslöffel",
+    "teelöffel",
+    "el",
+    "tl",
+    "tassen?",
+    "becher",
+    "gramm",
+    "kilogramm",
+    "kilo",
+    "milliliter",
+    "liter",
+    "minuten?",
+    "stunden?",
+    "grad",
+    "unzen?",
+  ],
+  fr: [
+    "cuillères? à soupe",
+    "cuillères? à café",
+    "c\\. à s\\.",
+    "c\\. à c\\.",
+    "càs",
+    "càc",
+    "cuillères?",
+    "tasses?",
+    "grammes?",
+    "kilogrammes?",
+    "kilos?",
+    "millilitres?",
+    "litres?",
+    "heures?",
+    "degrés?",
+    "onces?",
+  ],
+  it: [
+    "cucchiaini",
+    "cucchiaino",
+    "cucchiai",
+    "cucchiaio",
+    "tazz[ae]",
+    "grammi",
+    "grammo",
+    "chilogramm[io]",
+    "millilitri",
+    "litr[io]",
+    "minuti",
+    "minuto",
+    "ore",
+    "gradi",
+    "grado",
+    "once",
+    "oncia",
+  ],
+  pt: [
+    "colher(?:es)? de sopa",
+    "colher(?:es)? de chá",
+    "colher(?:es)?",
+    "xícaras?",
+    "gramas?",
+    "quilogramas?",
+    "quilos?",
+    "mililitros?",
+    "litros?",
+    "minutos?",
+    "horas?",
+    "graus?",
+    "onças?",
+  ],
+};
+
+const patterns = new Map();
+
+// Letters on either side (or an elided article like "l'olio") mean the match
+// is part of another word.
+function getMeasurePattern(language) {
+  if (!patterns.has(language)) {
+    const words = [...(MEASURE_WORDS[language] || []), ...MEASURE_WORDS.en];
+    patterns.set(
+      language,
+      new RegExp(`(?<![\\p{L}\\p{N}])(?:${words.join("|")})(?![\\p{L}\\p{N}'’])`, "giu")
+    );
+  }
+  return patterns.get(language);
+}
+
+// Free recipes are a single paragraph with no numbers, measurements, times or
+// temperatures; anything the model slipped in is removed.
+export function stripFreeRecipeDetails(text, language) {
+  let recipe = String(text || "").trim();
+  recipe = recipe.replace(/^\s*\d+\s*[\).\:-]\s*/gm, "");
+  recipe = recipe.replace(/\d+([\/.,]\d+)?|[¼½¾⅓⅔⅛]/g, "");
+  recipe = recipe.replace(getMeasurePattern(language), "");
+  recipe = recipe.replace(/\s{2,}/g, " ").trim();
+  return recipe;
+}
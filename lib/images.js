@@ -0,0 +1,150 @@
+import crypto from "crypto";
+import sharp from "sharp";
+
+export const IMAGE_LIMITS = {
+  maxImages: 4,
+  maxBytes: 10 * 1024 * 1024,
+  minEdge: 200,
+  maxPixels: 50_000_000,
+  // Longest edge sent to the model; larger photos only cost tokens.
+  outputEdge: 1568,
+  outputQuality: 82,
+};
+
+export const IMAGE_LABELS = ["fridge", "freezer", "pantry", "counter", "other"];
+
+const PNG_MAGIC = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const SIGNATURES = [
+  { mimeType: "image/jpeg", test: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { mimeType: "image/png", test: (b) => b.subarray(0, 8).equals(PNG_MAGIC) },
+  {
+    mimeType: "image/webp",
+    test: (b) => b.toString("ascii", 0, 4) === "RIFF" && b.toString("ascii", 8, 12) === "WEBP",
+  },
+  { mimeType: "image/gif", test: (b) => b.toString("ascii", 0, 4) === "GIF8" },
+  {
+    mimeType: "image/heic",
+    test: (b) =>
+      b.toString("ascii", 4, 8) === "ftyp" &&
+      ["heic", "heix", "hevc", "mif1", "msf1"].includes(b.toString("ascii", 8, 12)),
+  },
+  {
+    mimeType: "image/avif",
+    test: (b) => b.toString("ascii", 4, 8) === "ftyp" && b.toString("ascii", 8, 12) === "avif",
+  },
+];
+
+// Types sharp can decode here; HEIC needs converting on the device first.
+const SUPPORTED_TYPES = new Set([
+  "image/jpeg",
+  "image/png",
+  "image/webp",
+  "image/gif",
+  "image/avif",
+]);
+
+export function sniffImageType(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+  return SIGNATURES.find((s) => s.test(buffer))?.mimeType || null;
+}
+
+// Accepts raw base64 or a data URL; the declared type is ignored.
+function decodeBase64(input) {
+  const raw = String(input).replace(/^data:[^;,]*;base64,/, "").replace(/\s+/g, "");
+  if (!raw || !/^[A-Za-z0-9+/_-]+={0,2}$/.test(raw)) return null;
+  return Buffer.from(raw, "base64");
+}
+
+// Validates one upload and re-encodes it as a downscaled JPEG. Returns
+// { ok: true, image } or { ok: false, status, error, ...details }.
+export async function prepareImage(input) {
+  if (typeof input !== "string" || !input) {
+    return { ok: false, status: 400, error: "MISSING_IMAGE" };
+  }
+
+  const buffer = decodeBase64(input);
+  if (!buffer) {
+    return { ok: false, status: 400, error: "INVALID_IMAGE_ENCODING" };
+  }
+  if (buffer.length > IMAGE_LIMITS.maxBytes) {
+    return { ok: false, status: 413, error: "IMAGE_TOO_LARGE", maxBytes: IMAGE_LIMITS.maxBytes };
+  }
+
+  const detectedType = sniffImageType(buffer);
+  if (!SUPPORTED_TYPES.has(detectedType)) {
+    return {
+      ok: false,
+      status: 415,
+      error: "UNSUPPORTED_IMAGE_TYPE",
+      detectedType,
+      supportedTypes: [...SUPPORTED_TYPES],
+    };
+  }
+
+  let meta;
+  try {
+    meta = await sharp(buffer, { limitInputPixels: false }).metadata();
+  } catch {
+    return { ok: false, status: 400, error: "INVALID_IMAGE" };
+  }
+
+  const { width = 0, height = 0 } = meta;
+  if (width * height > IMAGE_LIMITS.maxPixels) {
+    return {
+      ok: false,
+      status: 422,
+      error: "IMAGE_DIMENSIONS_TOO_LARGE",
+      width,
+      height,
+      maxPixels: IMAGE_LIMITS.maxPixels,
+    };
+  }
+  if (Math.min(width, height) < IMAGE_LIMITS.minEdge) {
+    return {
+      ok: false,
+      status: 422,
+      error: "IMAGE_TOO_SMALL",
+      width,
+      height,
+      minEdge: IMAGE_LIMITS.minEdge,
+    };
+  }
+
+  try {
+    const { data, info } = await sharp(buffer, { limitInputPixels: IMAGE_LIMITS.maxPixels })
+      .rotate()
+      .resize({
+        width: IMAGE_LIMITS.outputEdge,
+        height: IMAGE_LIMITS.outputEdge,
+        fit: "inside",
+        withoutEnlargement: true,
+      })
+      .flatten({ background: "#ffffff" })
+      .jpeg({ quality: IMAGE_LIMITS.outputQuality, mozjpeg: true })
+      .toBuffer({ resolveWithObject: true });
+
+    return {
+      ok: true,
+      image: {
+        base64: data.toString("base64"),
+        mimeType: "image/jpeg",
+        width: info.width,
+        height: info.height,
+        originalType: detectedType,
+        originalBytes: buffer.length,
+        // Hash of the upload as sent, used to recognise repeat uploads.
+        sha256: crypto.createHash("sha256").update(buffer).digest("hex"),
+      },
+    };
+  } catch {
+    return { ok: false, status: 400, error: "INVALID_IMAGE" };
+  }
+}
+
+// Older stored images have no recorded type, so sniff it from the bytes.
+export function toDataUrl(image) {
+  const head = Buffer.from(image.base64.slice(0, 24), "base64");
+  const mimeType = image.mimeType || sniffImageType(head) || "image/jpeg";
+  return `data:${mimeType};base64,${image.base64}`;
+}
@@ -0,0 +1,93 @@
+import { log, runWithRequestContext } from "./logger.js";
+
+// Reported for jobs that were never queued before a restart.
+const INTERRUPTED = { status: 503, body: { error: "JOB_INTERRUPTED" } };
+
+// Runs queued jobs from store.jobs in the background. `run(job)` returns a
+// { status, body } reply that is stored as the result; a thrown error for
+// which `isRetryable` holds is tried again with exponential backoff, up to
+// `maxAttempts` in all.
+export function createJobQueue({
+  store,
+  run,
+  isRetryable = () => false,
+  concurrency = 2,
+  maxAttempts = 3,
+  baseDelayMs = 2000,
+  maxDelayMs = 30000,
+  pollMs = 1000,
+  onFinish = () => {},
+}) {
+  let active = 0;
+  let timer = null;
+
+  // 2s, 4s, 8s... with up to a quarter of jitter so retries don't bunch up.
+  function getRetryDelayMs(attempts) {
+    const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempts - 1));
+    return Math.round(delay * (1 - Math.random() * 0.25));
+  }
+
+  function finish(job, status, reply, error = null) {
+    const done = store.jobs.finish(job.id, {
+      status,
+      resultStatus: reply.status,
+      result: reply.body,
+      error,
+    });
+    onFinish(done);
+  }
+
+  async function runOne(job) {
+    try {
+      const reply = await run(job);
+      finish(job, reply.status === 200 ? "succeeded" : "failed", reply);
+    } catch (err) {
+      if (isRetryable(err) && job.attempts < maxAttempts) {
+        const delayMs = getRetryDelayMs(job.attempts);
+        log.warn("JOB RETRY", { jobId: job.id, attempts: job.attempts, delayMs, err });
+        store.jobs.retryLater(job.id, { nextRunMs: Date.now() + delayMs, error: err.message });
+        return;
+      }
+      log.error("JOB ERROR", { jobId: job.id, attempts: job.attempts, err });
+      const reply = isRetryable(err)
+        ? { status: 503, body: { error: "AI_UNAVAILABLE" } }
+        : { status: 500, body: { error: "JOB_FAILED" } };
+      finish(job, "failed", reply, err?.message || String(err));
+    }
+  }
+
+  // Claims due jobs until every worker slot is busy, then checks back on the
+  // next finish or poll.
+  function pump() {
+    clearTimeout(timer);
+    try {
+      while (active < concurrency) {
+        const job = store.jobs.claimNext(Date.now());
+        if (!job) break;
+        active += 1;
+        // Under the submitting request's id, so the job's log lines and model
+        // usage trace back to it.
+        const context = {
+          requestId: job.requestId,
+          route: `job:${job.kind}`,
+          identityKey: job.ownerKey,
+        };
+        runWithRequestContext(context, () => runOne(job)).finally(() => {
+          active -= 1;
+          pump();
+        });
+      }
+    } catch (err) {
+      log.error("JOB QUEUE ERROR", { err });
+    }
+    timer = setTimeout(pump, pollMs);
+    timer.unref();
+  }
+
+  function start() {
+    store.jobs.recover(INTERRUPTED);
+    pump();
+  }
+
+  return { start, kick: pump };
+}
@@ -0,0 +1,49 @@
+import { AsyncLocalStorage } from "async_hooks";
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+
+const requestContext = new AsyncLocalStorage();
+
+// Runs fn with a mutable { requestId, route, identityKey } that log lines and
+// model usage records made anywhere below it pick up.
+export function runWithRequestContext(context, fn) {
+  return requestContext.run(context, fn);
+}
+
+export function getRequestContext() {
+  return requestContext.getStore() || null;
+}
+
+function serializeError(err) {
+  if (!(err instanceof Error)) return { message: String(err) };
+  return { name: err.name, message: err.message, code: err.code, stack: err.stack };
+}
+
+// One JSON object per line; warnings and errors go to stderr.
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < MIN_LEVEL) return;
+
+  const ctx = getRequestContext();
+  const { err, ...rest } = fields;
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    requestId: ctx?.requestId,
+    route: ctx?.route,
+    identityKey: ctx?.identityKey || undefined,
+    ...rest,
+  };
+  if (err !== undefined) entry.err = serializeError(err);
+
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+export const log = {
+  debug: (msg, fields) => write("debug", msg, fields),
+  info: (msg, fields) => write("info", msg, fields),
+  warn: (msg, fields) => write("warn", msg, fields),
+  error: (msg, fields) => write("error", msg, fields),
+};
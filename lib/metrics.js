@@ -0,0 +1,82 @@
+// A small in-process Prometheus registry: counters and histograms with
+// labels, rendered in the text exposition format.
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function formatLabels(names, values, extra = "") {
+  const pairs = names.map((n, i) => `${n}="${escapeLabel(values[i])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+}
+
+export function createMetricsRegistry() {
+  const metrics = [];
+
+  function readLabels(labelNames, labels) {
+    const values = labelNames.map((n) => String(labels[n] ?? ""));
+    return { key: values.join("\u0000"), values };
+  }
+
+  function counter(name, help, labelNames = []) {
+    const series = new Map();
+    metrics.push({
+      render() {
+        const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+        for (const { values, value } of series.values()) {
+          lines.push(`${name}${formatLabels(labelNames, values)} ${value}`);
+        }
+        return lines;
+      },
+    });
+
+    return {
+      inc(labels = {}, value = 1) {
+        const { key, values } = readLabels(labelNames, labels);
+        const s = series.get(key) || { values, value: 0 };
+        s.value += value;
+        series.set(key, s);
+      },
+    };
+  }
+
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const series = new Map();
+    metrics.push({
+      render() {
+        const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+        for (const { values, counts, sum, count } of series.values()) {
+          buckets.forEach((le, i) => {
+            const labels = formatLabels(labelNames, values, `le="${le}"`);
+            lines.push(`${name}_bucket${labels} ${counts[i]}`);
+          });
+          lines.push(`${name}_bucket${formatLabels(labelNames, values, 'le="+Inf"')} ${count}`);
+          lines.push(`${name}_sum${formatLabels(labelNames, values)} ${sum}`);
+          lines.push(`${name}_count${formatLabels(labelNames, values)} ${count}`);
+        }
+        return lines;
+      },
+    });
+
+    return {
+      observe(labels, value) {
+        const { key, values } = readLabels(labelNames, labels);
+        const s = series.get(key) || { values, counts: buckets.map(() => 0), sum: 0, count: 0 };
+        buckets.forEach((le, i) => {
+          if (value <= le) s.counts[i]++;
+        });
+        s.sum += value;
+        s.count++;
+        series.set(key, s);
+      },
+    };
+  }
+
+  function render() {
+    return `${metrics.flatMap((m) => m.render()).join("\n")}\n`;
+  }
+
+  return { counter, histogram, render };
+}
@@ -0,0 +1,175 @@
+import fs from "fs";
+import { fileURLToPath } from "url";
+import { normalizeItemName } from "./pantry.js";
+import { isKnownUnit, parseAmount } from "./quantity.js";
+
+const NUTRIENTS_FILE = fileURLToPath(new URL("../data/nutrients.json", import.meta.url));
+
+// Below this share of matched ingredients the model's own macros are used.
+export const MIN_COMPUTED_COVERAGE = 0.75;
+
+const NUTRIENT_KEYS = ["calories", "protein", "carbs", "fat", "fiber", "sugar", "sodium"];
+
+const MASS_GRAMS = { g: 1, kg: 1000, mg: 0.001, oz: 28.35, lb: 453.6 };
+const VOLUME_ML = { ml: 1, l: 1000, tsp: 4.93, tbsp: 14.79, cup: 236.6, "fl oz": 29.57 };
+
+// Count words for foods that don't list their own weight for them.
+const GENERIC_UNIT_GRAMS = { pinch: 0.4, dash: 0.6, handful: 30, bunch: 100, can: 400, slice: 25 };
+const SIZE_FACTORS = { small: 0.75, medium: 1, large: 1.25 };
+
+// Amounts with no number that still mean "a negligible bit".
+const NEGLIGIBLE_AMOUNT = /\b(?:to taste|as needed|for garnish|garnish|optional|pinch|dash|sprinkle)\b/i;
+
+function loadFoods(file) {
+  const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  const byKey = new Map();
+
+  for (const food of raw.foods) {
+    for (const name of [food.name, ...(food.aliases || [])]) {
+      const key = normalizeItemName(name);
+      if (key && !byKey.has(key)) byKey.set(key, food);
+    }
+  }
+
+  // Longest names first so "peanut butter" wins over "butter".
+  return [...byKey.entries()]
+    .sort((a, b) => b[0].length - a[0].length)
+    .map(([key, food]) => ({ padded: ` ${key} `, food }));
+}
+
+let foods = null;
+
+function getFoods() {
+  if (!foods) foods = loadFoods(NUTRIENTS_FILE);
+  return foods;
+}
+
+export function matchFood(item) {
+  const name = normalizeItemName(String(item || "").replace(/\([^)]*\)/g, " ").split(",")[0]);
+  if (!name) return null;
+  const padded = ` ${name} `;
+  return getFoods().find((f) => padded.includes(f.padded))?.food || null;
+}
+
+// Grams for one parsed amount of a food, or null when it can't be worked out.
+function toGrams(food, { quantity, unit }) {
+  if (unit && MASS_GRAMS[unit]) return quantity * MASS_GRAMS[unit];
+  if (unit && VOLUME_ML[unit]) return quantity * VOLUME_ML[unit] * (food.gramsPerMl || 1);
+
+  const units = food.units || {};
+  if (unit && units[unit]) return quantity * units[unit];
+  if (unit && SIZE_FACTORS[unit] && units.each) return quantity * units.each * SIZE_FACTORS[unit];
+  if (unit && GENERIC_UNIT_GRAMS[unit]) return quantity * GENERIC_UNIT_GRAMS[unit];
+  // Words that aren't units count pieces: "2 chicken breasts" parses unit "chicken".
+  const isCount = !unit || unit === "piece" || unit === "whole" || !isKnownUnit(unit);
+  if (isCount && units.each) return quantity * units.each;
+
+  return null;
+}
+
+function emptyTotals() {
+  return Object.fromEntries(NUTRIENT_KEYS.map((k) => [k, 0]));
+}
+
+function round(n, digits = 1) {
+  const f = 10 ** digits;
+  return Math.round(n * f) / f;
+}
+
+function toPublicNutrients(totals) {
+  return {
+    calories: Math.round(totals.calories),
+    proteinGrams: round(totals.protein),
+    carbsGrams: round(totals.carbs),
+    fatGrams: round(totals.fat),
+    fiberGrams: round(totals.fiber),
+    sugarGrams: round(totals.sugar),
+    sodiumMg: Math.round(totals.sodium),
+  };
+}
+
+export function parseServings(text) {
+  const { quantity } = parseAmount(String(text ?? "").replace(/^\D+/, ""));
+  return quantity && quantity > 0 ? quantity : 1;
+}
+
+// Sums the table values for [{ item, amount, quantity?, unit? }]. Anything
+// without a table entry or a usable amount is reported in `unmatched` instead
+// of being guessed at.
+export function calculateNutrition(ingredients, { servings = 1 } = {}) {
+  const totals = emptyTotals();
+  const unmatched = [];
+  let counted = 0;
+  let matched = 0;
+
+  for (const ing of Array.isArray(ingredients) ? ingredients : []) {
+    const item = String(typeof ing === "string" ? ing : ing?.item || "").trim();
+    const amount = String(typeof ing === "string" ? "" : ing?.amount ?? "").trim();
+    if (!item) continue;
+    counted++;
+
+    const food = matchFood(item);
+    if (!food) {
+      unmatched.push({ item, amount, reason: "UNKNOWN_FOOD" });
+      continue;
+    }
+
+    const parsed =
+      typeof ing?.quantity === "number"
+        ? { quantity: ing.quantity, unit: ing.unit ?? null }
+        : parseAmount(amount);
+    let grams = parsed.quantity === null ? null : toGrams(food, parsed);
+    if (grams === null && parsed.quantity === null && NEGLIGIBLE_AMOUNT.test(amount)) {
+      grams = GENERIC_UNIT_GRAMS.pinch;
+    }
+    if (grams === null) {
+      unmatched.push({ item, amount, reason: "UNKNOWN_AMOUNT" });
+      continue;
+    }
+
+    matched++;
+    for (const k of NUTRIENT_KEYS) {
+      totals[k] += ((food.per100g[k] || 0) * grams) / 100;
+    }
+  }
+
+  const perServing = Object.fromEntries(NUTRIENT_KEYS.map((k) => [k, totals[k] / servings]));
+
+  return {
+    servings,
+    total: toPublicNutrients(totals),
+    perServing: toPublicNutrients(perServing),
+    coverage: counted ? round(matched / counted, 2) : 0,
+    unmatched,
+  };
+}
+
+function readModelMacros(macros) {
+  const fields = ["calories", "proteinGrams", "carbsGrams", "fatGrams"];
+  if (!macros || fields.some((f) => typeof macros[f] !== "number")) return null;
+  return Object.fromEntries(fields.map((f) => [f, macros[f]]));
+}
+
+// Table-computed macros for a premium recipe, falling back to the model's
+// numbers only when too few ingredients could be matched. Macros are null when
+// nothing matched and the model gave none.
+export function buildRecipeNutrition({ ingredients, servings, macros }) {
+  const computed = calculateNutrition(ingredients, { servings: parseServings(servings) });
+  const modelMacros = readModelMacros(macros);
+  const useComputed = computed.coverage >= MIN_COMPUTED_COVERAGE || !modelMacros;
+  const hasComputed = computed.coverage > 0;
+
+  const { calories, proteinGrams, carbsGrams, fatGrams } = computed.perServing;
+  const computedMacros = hasComputed ? { calories, proteinGrams, carbsGrams, fatGrams } : null;
+  return {
+    macros: useComputed ? computedMacros : modelMacros,
+    nutrition: {
+      source: useComputed ? (hasComputed ? "computed" : null) : "model",
+      servings: computed.servings,
+      perServing: computed.perServing,
+      total: computed.total,
+      coverage: computed.coverage,
+      unmatched: computed.unmatched,
+    },
+  };
+}
@@ -0,0 +1,115 @@
+export const PANTRY_CATEGORIES = [
+  "produce",
+  "leftover",
+  "cooked_food",
+  "meat",
+  "seafood",
+  "dairy",
+  "drink",
+  "condiment",
+  "pantry",
+  "sauce",
+  "other_food",
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Rough fridge shelf life once an item is first seen; users can override per item.
+export const SHELF_LIFE_DAYS = {
+  produce: 7,
+  leftover: 4,
+  cooked_food: 4,
+  meat: 3,
+  seafood: 2,
+  dairy: 10,
+  drink: 30,
+  condiment: 180,
+  pantry: 365,
+  sauce: 60,
+  other_food: 14,
+};
+
+export function getShelfLifeDays(category) {
+  return SHELF_LIFE_DAYS[category] ?? SHELF_LIFE_DAYS.other_food;
+}
+
+// An explicit expiry date wins, then a per-item shelf life, then the category default.
+export function getItemExpiry(item) {
+  if (typeof item.expiresMs === "number") {
+    return { expiresMs: item.expiresMs, shelfLifeDays: null, source: "date" };
+  }
+
+  const override = typeof item.shelfLifeDays === "number";
+  const shelfLifeDays = override ? item.shelfLifeDays : getShelfLifeDays(item.category);
+  return {
+    expiresMs: (item.firstSeenMs || Date.now()) + shelfLifeDays * DAY_MS,
+    shelfLifeDays,
+    source: override ? "user" : "category",
+  };
+}
+
+export function getDaysLeft(expiresMs, nowMs = Date.now()) {
+  return Math.floor((expiresMs - nowMs) / DAY_MS);
+}
+
+// Soonest-to-spoil first; already expired items are left out of recipe prompts.
+export function pickExpiringItems(items, { withinDays = 3, limit = Infinity, includeExpired = true } = {}) {
+  const nowMs = Date.now();
+  const horizonMs = nowMs + withinDays * DAY_MS;
+
+  return items
+    .map((item) => ({ item, expiry: getItemExpiry(item) }))
+    .filter(({ expiry }) => expiry.expiresMs <= horizonMs)
+    .filter(({ expiry }) => includeExpired || expiry.expiresMs > nowMs)
+    .sort((a, b) => a.expiry.expiresMs - b.expiry.expiresMs)
+    .slice(0, limit)
+    .map(({ item }) => item);
+}
+
+// Loose singular/lowercase key so "Eggs" from one scan merges with "egg" from the next.
+export function normalizeItemName(name) {
+  const words = String(name || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s'-]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .split(" ")
+    .filter(Boolean);
+
+  if (!words.length) return "";
+
+  const last = words[words.length - 1];
+  if (last.length > 3) {
+    if (last.endsWith("ies")) words[words.length - 1] = `${last.slice(0, -3)}y`;
+    else if (last.endsWith("oes")) words[words.length - 1] = last.slice(0, -2);
+    else if (last.endsWith("s") && !last.endsWith("ss")) words[words.length - 1] = last.slice(0, -1);
+  }
+
+  return words.join(" ");
+}
+
+export function parseIngredientList(text) {
+  return String(text || "")
+    .split(/[,;\n]+/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+export function toPublicPantryItem(item) {
+  const expiry = getItemExpiry(item);
+  return {
+    id: item.id,
+    name: item.name,
+    category: item.category,
+    quantity: item.quantity || "",
+    source: item.source,
+    status: item.status,
+    firstSeenMs: item.firstSeenMs,
+    lastSeenMs: item.lastSeenMs,
+    usedMs: item.usedMs ?? null,
+    shelfLifeDays: expiry.shelfLifeDays,
+    expiresMs: expiry.expiresMs,
+    expirySource: expiry.source,
+    daysLeft: getDaysLeft(expiry.expiresMs),
+  };
+}
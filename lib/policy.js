@@ -0,0 +1,289 @@
+import fs from "fs";
+import { fileURLToPath } from "url";
+import {
+  DEFAULT_TIME_ZONE,
+  WEEKDAYS,
+  addLocalDays,
+  formatLocalTime,
+  getLocalParts,
+  startOfLocalDay,
+} from "./timezone.js";
+
+const DEFAULT_POLICY_FILE = fileURLToPath(new URL("../config/policy.json", import.meta.url));
+
+export const POLICY_ACTIONS = ["analyze", "regenerate", "plan"];
+
+// Config keys to the period names stored with the counters.
+const QUOTA_PERIODS = { daily: "day", weekly: "week" };
+export const QUOTA_PERIOD_KEYS = Object.keys(QUOTA_PERIODS);
+
+// Periods follow the user's calendar: a day starts at local midnight and a
+// week at local midnight on `weekStartsOn` (0 = Sunday).
+export function getPeriodStartMs(
+  period,
+  nowMs = Date.now(),
+  { timeZone = DEFAULT_TIME_ZONE, weekStartsOn = 0 } = {}
+) {
+  const today = getLocalParts(nowMs, timeZone);
+  const back = period === "week" ? (today.weekday - weekStartsOn + 7) % 7 : 0;
+  return startOfLocalDay(addLocalDays(today, -back), timeZone);
+}
+
+export function getPeriodEndMs(period, startMs, { timeZone = DEFAULT_TIME_ZONE } = {}) {
+  const first = getLocalParts(startMs, timeZone);
+  return startOfLocalDay(addLocalDays(first, period === "week" ? 7 : 1), timeZone);
+}
+
+function isLimit(value) {
+  return value === null || (Number.isInteger(value) && value >= 0);
+}
+
+function checkQuotas(quotas, where) {
+  for (const [action, periods] of Object.entries(quotas || {})) {
+    if (!POLICY_ACTIONS.includes(action)) {
+      throw new Error(`${where}: unknown action "${action}"`);
+    }
+    for (const [key, limit] of Object.entries(periods || {})) {
+      if (!QUOTA_PERIODS[key] || !isLimit(limit)) {
+        throw new Error(`${where}.${action}: "${key}" must be daily/weekly with a whole number`);
+      }
+    }
+  }
+}
+
+function checkPolicy(raw, file) {
+  const tiers = raw?.tiers || {};
+  for (const name of ["free", "premium"]) {
+    if (!tiers[name]) throw new Error(`Policy in ${file} needs a "${name}" tier`);
+  }
+
+  for (const [name, tier] of Object.entries(tiers)) {
+    checkQuotas(tier.quotas, `Policy tier "${name}" quotas`);
+    for (const [action, seconds] of Object.entries(tier.cooldownSeconds || {})) {
+      if (!POLICY_ACTIONS.includes(action) || !(Number(seconds) >= 0)) {
+        throw new Error(`Policy tier "${name}" has a bad cooldown for "${action}"`);
+      }
+    }
+    if (tier.regensPerScan !== undefined && !isLimit(tier.regensPerScan)) {
+      throw new Error(`Policy tier "${name}" regensPerScan must be a whole number or null`);
+    }
+    const candidates = tier.candidatesPerScan;
+    if (candidates !== undefined && !(Number.isInteger(candidates) && candidates >= 0)) {
+      throw new Error(`Policy tier "${name}" candidatesPerScan must be a whole number`);
+    }
+  }
+
+  for (const [productId, tier] of Object.entries(raw.productTiers || {})) {
+    if (!tiers[tier]) throw new Error(`Product "${productId}" maps to unknown tier "${tier}"`);
+  }
+  checkQuotas(raw.ipLimits?.quotas, "Policy ipLimits quotas");
+
+  const weekStartsOn = WEEKDAYS.indexOf(raw.weekStartsOn ?? "sunday");
+  if (weekStartsOn < 0) {
+    throw new Error(`Policy weekStartsOn must be one of ${WEEKDAYS.join(", ")}`);
+  }
+
+  return {
+    weekStartsOn,
+    tiers,
+    productTiers: raw.productTiers || {},
+    ipLimits: { tiers: raw.ipLimits?.tiers || [], quotas: raw.ipLimits?.quotas || {} },
+  };
+}
+
+export function loadPolicy(file = process.env.POLICY_FILE || DEFAULT_POLICY_FILE) {
+  return checkPolicy(JSON.parse(fs.readFileSync(file, "utf8")), file);
+}
+
+// Quotas, cooldowns and regen allowances per tier. Counters live in
+// store.usage, one per subject, action and period.
+export function createPolicyService({ store, policy = loadPolicy() }) {
+  // Premium users get the tier their product maps to, e.g. a trial.
+  function getTier(user, entitlement = null) {
+    if (!user?.isPremium) return "free";
+    return policy.productTiers[entitlement?.productId] || "premium";
+  }
+
+  function getTierConfig(tier) {
+    return policy.tiers[tier] || policy.tiers.free;
+  }
+
+  function getCooldownSeconds(tier, action) {
+    return Number(getTierConfig(tier).cooldownSeconds?.[action]) || 0;
+  }
+
+  // null means unlimited.
+  function getRegensPerScan(tier) {
+    return getTierConfig(tier).regensPerScan ?? null;
+  }
+
+  // Most candidate dishes one scan may ask for; 0 turns them off.
+  function getCandidatesPerScan(tier) {
+    return getTierConfig(tier).candidatesPerScan ?? 0;
+  }
+
+  function getCalendar(timeZone) {
+    return { timeZone: timeZone || DEFAULT_TIME_ZONE, weekStartsOn: policy.weekStartsOn };
+  }
+
+  // { startMs, endMs } of the current week in the given zone.
+  function getWeekWindow(timeZone, nowMs = Date.now()) {
+    const calendar = getCalendar(timeZone);
+    const startMs = getPeriodStartMs("week", nowMs, calendar);
+    return { startMs, endMs: getPeriodEndMs("week", startMs, calendar) };
+  }
+
+  function toEntries(subjectKey, action, quotas, { timeZone, nowMs }) {
+    return Object.entries(quotas?.[action] || {})
+      .filter(([, limit]) => limit !== null)
+      .map(([key, limit]) => {
+        const period = QUOTA_PERIODS[key];
+        return {
+          subjectKey,
+          action,
+          period,
+          periodStartMs: getPeriodStartMs(period, nowMs, getCalendar(timeZone)),
+          timeZone,
+          limit,
+        };
+      });
+  }
+
+  // IP counters aren't tied to one user, so they run on the default zone.
+  function getEntries({ tier, action, identityKey, ip, timeZone, nowMs }) {
+    const quotas = getTierConfig(tier).quotas;
+    const entries = toEntries(identityKey, action, quotas, { timeZone, nowMs });
+    if (ip && policy.ipLimits.tiers.includes(tier)) {
+      entries.push(
+        ...toEntries(`ip:${ip}`, action, policy.ipLimits.quotas, { timeZone: null, nowMs }).map(
+          (e) => ({ ...e, scope: "ip" })
+        )
+      );
+    }
+    return entries;
+  }
+
+  function getResetsAtMs(entry) {
+    return getPeriodEndMs(entry.period, entry.periodStartMs, getCalendar(entry.timeZone));
+  }
+
+  // Spends one use of `action`. Returns { ok: true, entries } with the counters
+  // to pass to release(), or { ok: false, scope, action, period, limit, used,
+  // resetsAtMs } for the quota that is spent.
+  function consume({ tier, action, identityKey, ip = null, timeZone = null, nowMs = Date.now() }) {
+    const entries = getEntries({ tier, action, identityKey, ip, timeZone, nowMs });
+    const result = store.usage.consume(entries);
+    if (result.ok) {
+      return {
+        ok: true,
+        entries: entries.map(({ subjectKey, action, period, periodStartMs, scope }) => ({
+          subjectKey,
+          action,
+          period,
+          periodStartMs,
+          scope: scope || "identity",
+        })),
+      };
+    }
+
+    const { entry, count } = result;
+    return {
+      ok: false,
+      scope: entry.scope || "identity",
+      action,
+      period: entry.period,
+      limit: entry.limit,
+      used: count,
+      resetsAtMs: getResetsAtMs(entry),
+    };
+  }
+
+  // Undoes a consume(). `identityKey` is where the user's counters live now,
+  // in case the identity was merged into an account since.
+  function release(entries, identityKey = null) {
+    store.usage.release(
+      entries.map((e) =>
+        identityKey && e.scope === "identity" ? { ...e, subjectKey: identityKey } : e
+      )
+    );
+  }
+
+  // Moving to another zone keeps this period's usage instead of starting the
+  // new zone's period from zero.
+  function carryUsage(identityKey, fromTimeZone, toTimeZone, nowMs = Date.now()) {
+    for (const action of POLICY_ACTIONS) {
+      for (const period of Object.values(QUOTA_PERIODS)) {
+        const base = { subjectKey: identityKey, action, period };
+        const count = store.usage.getCount({
+          ...base,
+          periodStartMs: getPeriodStartMs(period, nowMs, getCalendar(fromTimeZone)),
+        });
+        if (count > 0) {
+          store.usage.set(
+            { ...base, periodStartMs: getPeriodStartMs(period, nowMs, getCalendar(toTimeZone)) },
+            count
+          );
+        }
+      }
+    }
+  }
+
+  // Overwrites the current period's count for one action, e.g. to give a
+  // user their week back. `key` is "daily" or "weekly".
+  function setUsage({ identityKey, action, key, used, timeZone = null, nowMs = Date.now() }) {
+    const period = QUOTA_PERIODS[key];
+    store.usage.set(
+      {
+        subjectKey: identityKey,
+        action,
+        period,
+        periodStartMs: getPeriodStartMs(period, nowMs, getCalendar(timeZone)),
+      },
+      used
+    );
+  }
+
+  // { [action]: { daily, weekly, cooldownSeconds } } where each period is
+  // null (unlimited) or { limit, used, remaining, resetsAtMs, resetsAtLocal }.
+  function describe({ tier, identityKey, timeZone = null, nowMs = Date.now() }) {
+    const config = getTierConfig(tier);
+    const localZone = getCalendar(timeZone).timeZone;
+    const out = {};
+
+    for (const action of POLICY_ACTIONS) {
+      const entry = {
+        daily: null,
+        weekly: null,
+        cooldownSeconds: getCooldownSeconds(tier, action),
+      };
+      for (const e of toEntries(identityKey, action, config.quotas, { timeZone, nowMs })) {
+        const used = store.usage.getCount(e);
+        const resetsAtMs = getResetsAtMs(e);
+        entry[e.period === "day" ? "daily" : "weekly"] = {
+          limit: e.limit,
+          used,
+          remaining: Math.max(0, e.limit - used),
+          resetsAtMs,
+          resetsAtLocal: formatLocalTime(resetsAtMs, localZone),
+        };
+      }
+      if (action === "regenerate") entry.perScan = getRegensPerScan(tier);
+      out[action] = entry;
+    }
+
+    return out;
+  }
+
+  return {
+    getTier,
+    getCooldownSeconds,
+    getRegensPerScan,
+    getCandidatesPerScan,
+    getWeekWindow,
+    consume,
+    release,
+    carryUsage,
+    setUsage,
+    describe,
+  };
+}
@@ -0,0 +1,83 @@
+const PRODUCTION_URL = "https://buy.itunes.apple.com/verifyReceipt";
+const SANDBOX_URL = "https://sandbox.itunes.apple.com/verifyReceipt";
+
+// verifyReceipt status codes that mean "try again later" rather than "bad receipt".
+const RETRYABLE_STATUSES = new Set([21002, 21005, 21009]);
+
+async function postReceipt(url, body) {
+  const resp = await fetch(url, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(10_000),
+  });
+  if (!resp.ok) {
+    throw new Error(`App Store verifyReceipt HTTP ${resp.status}`);
+  }
+  return resp.json();
+}
+
+export function createAppleVerifier({
+  sharedSecret = process.env.APPLE_SHARED_SECRET,
+} = {}) {
+  return {
+    name: "app_store",
+
+    async verify({ productId, receiptData }) {
+      const body = {
+        "receipt-data": receiptData,
+        password: sharedSecret,
+        "exclude-old-transactions": true,
+      };
+
+      let data = await postReceipt(PRODUCTION_URL, body);
+      if (data?.status === 21007) {
+        data = await postReceipt(SANDBOX_URL, body);
+      }
+
+      if (RETRYABLE_STATUSES.has(data?.status) || data?.is_retryable) {
+        return { ok: false, error: "VERIFIER_UNAVAILABLE" };
+      }
+      if (data?.status !== 0) {
+        return { ok: false, error: "RECEIPT_INVALID" };
+      }
+
+      const transactions = (data.latest_receipt_info || []).filter(
+        (t) => !productId || t.product_id === productId
+      );
+      if (!transactions.length) {
+        return { ok: false, error: "RECEIPT_INVALID" };
+      }
+
+      const latest = transactions.reduce((best, t) =>
+        Number(t.expires_date_ms || 0) > Number(best.expires_date_ms || 0) ? t : best
+      );
+      const renewal = (data.pending_renewal_info || []).find(
+        (r) => r.original_transaction_id === latest.original_transaction_id
+      );
+
+      const nowMs = Date.now();
+      const expiresMs = Number(latest.expires_date_ms) || null;
+      const graceUntilMs = Number(renewal?.grace_period_expires_date_ms) || null;
+
+      let status = "expired";
+      if (latest.cancellation_date_ms) status = "refunded";
+      else if (!expiresMs || expiresMs > nowMs) status = "active";
+      else if (graceUntilMs && graceUntilMs > nowMs) status = "grace_period";
+
+      return {
+        ok: true,
+        entitlement: {
+          platform: "app_store",
+          productId: latest.product_id,
+          originalTransactionId: String(latest.original_transaction_id),
+          status,
+          expiresMs,
+          graceUntilMs,
+          autoRenew: renewal?.auto_renew_status === "1",
+          purchasedMs: Number(latest.original_purchase_date_ms) || null,
+        },
+      };
+    },
+  };
+}
@@ -0,0 +1,148 @@
+import { log } from "../logger.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+function parseProductIds(raw) {
+  return String(raw || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+// When to re-verify with the store: around renewal time, often during grace,
+// and daily while anything could still change (refunds, billing retry).
+function computeNextCheckMs(entitlement, nowMs) {
+  if (entitlement.platform === "manual") return null;
+
+  switch (entitlement.status) {
+    case "active":
+      return Math.min(entitlement.expiresMs || nowMs + DAY_MS, nowMs + DAY_MS);
+    case "grace_period":
+      return nowMs + 6 * HOUR_MS;
+    case "expired":
+      return entitlement.autoRenew ? nowMs + DAY_MS : null;
+    default:
+      return null;
+  }
+}
+
+function toPublicEntitlement(e) {
+  if (!e) return null;
+  return {
+    platform: e.platform,
+    productId: e.productId,
+    status: e.status,
+    expiresMs: e.expiresMs ?? null,
+    graceUntilMs: e.graceUntilMs ?? null,
+    autoRenew: !!e.autoRenew,
+  };
+}
+
+export function createEntitlementService({
+  store,
+  verifier,
+  premiumProductIds = parseProductIds(process.env.PREMIUM_PRODUCT_IDS),
+}) {
+  function isEligibleProduct(productId) {
+    return premiumProductIds.length === 0 || premiumProductIds.includes(productId);
+  }
+
+  async function verifyPurchase({ identityKey, platform, productId, receiptData }) {
+    if (productId && !isEligibleProduct(productId)) {
+      return { ok: false, error: "PRODUCT_NOT_ELIGIBLE" };
+    }
+
+    let result;
+    try {
+      result = await verifier.verify({ platform, productId, receiptData });
+    } catch (err) {
+      log.error("PURCHASE VERIFY ERROR", { err });
+      return { ok: false, error: "VERIFIER_UNAVAILABLE" };
+    }
+
+    if (!result.ok) return result;
+
+    if (!isEligibleProduct(result.entitlement.productId)) {
+      return { ok: false, error: "PRODUCT_NOT_ELIGIBLE" };
+    }
+
+    const nowMs = Date.now();
+    const { entitlement, previousOwnerKey } = store.entitlements.upsert({
+      ...result.entitlement,
+      identityKey,
+      receiptData,
+      nextCheckMs: computeNextCheckMs(result.entitlement, nowMs),
+    });
+
+    return {
+      ok: true,
+      entitlement: toPublicEntitlement(entitlement),
+      transferredFromKey:
+        previousOwnerKey && previousOwnerKey !== identityKey ? previousOwnerKey : null,
+    };
+  }
+
+  async function refreshDue({ identityKey = null, limit = 50 } = {}) {
+    const due = store.entitlements.listDueForCheck(Date.now(), { identityKey, limit });
+
+    for (const e of due) {
+      try {
+        const result = await verifier.verify({
+          platform: e.platform,
+          productId: e.productId,
+          receiptData: e.receiptData,
+        });
+        const nowMs = Date.now();
+
+        if (result.ok) {
+          store.entitlements.update(e.id, {
+            status: result.entitlement.status,
+            expiresMs: result.entitlement.expiresMs,
+            graceUntilMs: result.entitlement.graceUntilMs,
+            autoRenew: result.entitlement.autoRenew,
+            nextCheckMs: computeNextCheckMs({ ...e, ...result.entitlement }, nowMs),
+          });
+        } else if (result.error === "RECEIPT_INVALID") {
+          store.entitlements.update(e.id, { status: "revoked", nextCheckMs: null });
+        } else {
+          store.entitlements.update(e.id, { nextCheckMs: nowMs + HOUR_MS });
+        }
+      } catch (err) {
+        log.error("ENTITLEMENT REFRESH ERROR", { err });
+        store.entitlements.update(e.id, { nextCheckMs: Date.now() + HOUR_MS });
+      }
+    }
+
+    return due.length;
+  }
+
+  function isPremium(identityKey, nowMs = Date.now()) {
+    return !!store.entitlements.findActive(identityKey, nowMs);
+  }
+
+  function getActive(identityKey, nowMs = Date.now()) {
+    return toPublicEntitlement(store.entitlements.findActive(identityKey, nowMs));
+  }
+
+  function grantManual(identityKey) {
+    store.entitlements.upsert({
+      identityKey,
+      platform: "manual",
+      productId: "manual",
+      originalTransactionId: `manual:${identityKey}`,
+      status: "active",
+      expiresMs: null,
+      graceUntilMs: null,
+      autoRenew: false,
+      purchasedMs: Date.now(),
+      nextCheckMs: null,
+    });
+  }
+
+  function revokeManual(identityKey) {
+    store.entitlements.revokeManual(identityKey);
+  }
+
+  return { verifyPurchase, refreshDue, isPremium, getActive, grantManual, revokeManual };
+}
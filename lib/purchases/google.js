@@ -0,0 +1,121 @@
+import crypto from "crypto";
+
+const TOKEN_URL = "https://oauth2.googleapis.com/token";
+const SCOPE = "https://www.googleapis.com/auth/androidpublisher";
+
+function base64Url(input) {
+  return Buffer.from(input).toString("base64url");
+}
+
+function createServiceAccountAuth(serviceAccount) {
+  let cached = { token: null, expiresMs: 0 };
+
+  return async function getAccessToken() {
+    if (cached.token && Date.now() < cached.expiresMs - 60_000) {
+      return cached.token;
+    }
+
+    const nowSec = Math.floor(Date.now() / 1000);
+    const header = base64Url(JSON.stringify({ alg: "RS256", typ: "JWT" }));
+    const claims = base64Url(
+      JSON.stringify({
+        iss: serviceAccount.client_email,
+        scope: SCOPE,
+        aud: TOKEN_URL,
+        iat: nowSec,
+        exp: nowSec + 3600,
+      })
+    );
+    const signature = crypto
+      .createSign("RSA-SHA256")
+      .update(`${header}.${claims}`)
+      .sign(serviceAccount.private_key, "base64url");
+
+    const resp = await fetch(TOKEN_URL, {
+      method: "POST",
+      headers: { "content-type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({
+        grant_type: "urn:ietf:params:oauth:grant-type:jwt-bearer",
+        assertion: `${header}.${claims}.${signature}`,
+      }),
+      signal: AbortSignal.timeout(10_000),
+    });
+    if (!resp.ok) {
+      throw new Error(`Google OAuth HTTP ${resp.status}`);
+    }
+
+    const data = await resp.json();
+    cached = { token: data.access_token, expiresMs: Date.now() + data.expires_in * 1000 };
+    return cached.token;
+  };
+}
+
+// subscriptionsv2 states; CANCELED still runs until expiryTime. Revoked (refunded)
+// subscriptions come back EXPIRED, so they lose premium the same way.
+const STATE_MAP = {
+  SUBSCRIPTION_STATE_ACTIVE: "active",
+  SUBSCRIPTION_STATE_CANCELED: "active",
+  SUBSCRIPTION_STATE_IN_GRACE_PERIOD: "grace_period",
+  SUBSCRIPTION_STATE_ON_HOLD: "expired",
+  SUBSCRIPTION_STATE_PAUSED: "expired",
+  SUBSCRIPTION_STATE_EXPIRED: "expired",
+};
+
+export function createGoogleVerifier({
+  packageName = process.env.GOOGLE_PLAY_PACKAGE_NAME,
+  serviceAccountJson = process.env.GOOGLE_SERVICE_ACCOUNT_JSON,
+} = {}) {
+  let getAccessToken = null;
+
+  return {
+    name: "google_play",
+
+    async verify({ productId, receiptData }) {
+      if (!getAccessToken) {
+        getAccessToken = createServiceAccountAuth(JSON.parse(serviceAccountJson || "{}"));
+      }
+
+      const url =
+        "https://androidpublisher.googleapis.com/androidpublisher/v3/applications/" +
+        `${encodeURIComponent(packageName)}/purchases/subscriptionsv2/tokens/${encodeURIComponent(receiptData)}`;
+
+      const resp = await fetch(url, {
+        headers: { authorization: `Bearer ${await getAccessToken()}` },
+        signal: AbortSignal.timeout(10_000),
+      });
+
+      if (resp.status === 400 || resp.status === 404 || resp.status === 410) {
+        return { ok: false, error: "RECEIPT_INVALID" };
+      }
+      if (!resp.ok) {
+        return { ok: false, error: "VERIFIER_UNAVAILABLE" };
+      }
+
+      const data = await resp.json();
+      const lineItem =
+        (data.lineItems || []).find((li) => !productId || li.productId === productId) || null;
+      if (!lineItem) {
+        return { ok: false, error: "RECEIPT_INVALID" };
+      }
+
+      const nowMs = Date.now();
+      const expiresMs = Date.parse(lineItem.expiryTime) || null;
+      let status = STATE_MAP[data.subscriptionState] || "expired";
+      if (status === "active" && expiresMs && expiresMs <= nowMs) status = "expired";
+
+      return {
+        ok: true,
+        entitlement: {
+          platform: "google_play",
+          productId: lineItem.productId,
+          originalTransactionId: String(data.latestOrderId || receiptData).replace(/\.\.\d+$/, ""),
+          status,
+          expiresMs,
+          graceUntilMs: status === "grace_period" ? expiresMs : null,
+          autoRenew: lineItem.autoRenewingPlan?.autoRenewEnabled === true,
+          purchasedMs: Date.parse(data.startTime) || null,
+        },
+      };
+    },
+  };
+}
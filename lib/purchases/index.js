@@ -0,0 +1,30 @@
+import { createStubVerifier } from "./stub.js";
+import { createAppleVerifier } from "./apple.js";
+import { createGoogleVerifier } from "./google.js";
+
+export { createEntitlementService } from "./entitlements.js";
+
+export const PLATFORMS = ["app_store", "google_play"];
+
+// Verifiers expose verify({ platform, productId, receiptData }) and resolve to
+// { ok: true, entitlement } or { ok: false, error }.
+export function createVerifier(name = process.env.PURCHASE_VERIFIER || "store") {
+  if (name === "stub") {
+    return createStubVerifier();
+  }
+  if (name !== "store") {
+    throw new Error(`Unknown PURCHASE_VERIFIER: ${name}`);
+  }
+
+  const byPlatform = {
+    app_store: createAppleVerifier(),
+    google_play: createGoogleVerifier(),
+  };
+
+  return {
+    name: "store",
+    verify(args) {
+      return byPlatform[args.platform].verify(args);
+    },
+  };
+}
@@ -0,0 +1,57 @@
+import crypto from "crypto";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Local verifier for tests and dev. Accepts "stub:<state>[:<id>]" where state is
+// active | grace | expired | refunded; the same <id> always maps to the same
+// transaction, so a later "stub:refunded:<id>" refunds an earlier purchase.
+export function createStubVerifier() {
+  return {
+    name: "stub",
+
+    async verify({ platform, productId, receiptData }) {
+      const match = /^stub:(active|grace|expired|refunded)(?::(.+))?$/.exec(
+        String(receiptData || "")
+      );
+      if (!match) {
+        return { ok: false, error: "RECEIPT_INVALID" };
+      }
+
+      const [, state, id = "default"] = match;
+      const nowMs = Date.now();
+      const originalTransactionId = `stub-${crypto
+        .createHash("sha256")
+        .update(`${platform}:${id}`)
+        .digest("hex")
+        .slice(0, 16)}`;
+
+      const base = {
+        platform,
+        productId: productId || "premium_monthly",
+        originalTransactionId,
+        purchasedMs: nowMs - DAY_MS,
+        graceUntilMs: null,
+        autoRenew: state === "active" || state === "grace",
+      };
+
+      switch (state) {
+        case "active":
+          return { ok: true, entitlement: { ...base, status: "active", expiresMs: nowMs + 30 * DAY_MS } };
+        case "grace":
+          return {
+            ok: true,
+            entitlement: {
+              ...base,
+              status: "grace_period",
+              expiresMs: nowMs - DAY_MS,
+              graceUntilMs: nowMs + 3 * DAY_MS,
+            },
+          };
+        case "expired":
+          return { ok: true, entitlement: { ...base, status: "expired", expiresMs: nowMs - DAY_MS } };
+        default:
+          return { ok: true, entitlement: { ...base, status: "refunded", expiresMs: nowMs - DAY_MS } };
+      }
+    },
+  };
+}
@@ -0,0 +1,206 @@
+const UNICODE_FRACTIONS = {
+  "¼": 0.25,
+  "½": 0.5,
+  "¾": 0.75,
+  "⅓": 1 / 3,
+  "⅔": 2 / 3,
+  "⅛": 0.125,
+};
+
+const UNIT_ALIASES = {
+  tsp: ["tsp", "tsps", "teaspoon", "teaspoons", "t"],
+  tbsp: ["tbsp", "tbsps", "tbs", "tablespoon", "tablespoons", "T"],
+  cup: ["cup", "cups", "c"],
+  g: ["g", "gram", "grams", "gr"],
+  kg: ["kg", "kgs", "kilogram", "kilograms"],
+  mg: ["mg", "milligram", "milligrams"],
+  ml: ["ml", "milliliter", "milliliters", "millilitre", "millilitres"],
+  l: ["l", "liter", "liters", "litre", "litres"],
+  oz: ["oz", "ounce", "ounces"],
+  "fl oz": ["fl oz", "fluid ounce", "fluid ounces"],
+  lb: ["lb", "lbs", "pound", "pounds"],
+  pinch: ["pinch", "pinches"],
+  clove: ["clove", "cloves"],
+  can: ["can", "cans"],
+  slice: ["slice", "slices"],
+  piece: ["piece", "pieces", "pc", "pcs"],
+  bunch: ["bunch", "bunches"],
+  handful: ["handful", "handfuls"],
+};
+
+const UNIT_LOOKUP = new Map();
+for (const [unit, aliases] of Object.entries(UNIT_ALIASES)) {
+  for (const alias of aliases) {
+    // Single-letter "t"/"T" are case-sensitive (teaspoon vs tablespoon).
+    UNIT_LOOKUP.set(alias.length === 1 ? alias : alias.toLowerCase(), unit);
+  }
+}
+
+function lookupUnit(word) {
+  if (!word) return null;
+  return UNIT_LOOKUP.get(word) || UNIT_LOOKUP.get(word.toLowerCase()) || null;
+}
+
+function parseNumber(token) {
+  if (UNICODE_FRACTIONS[token] !== undefined) return UNICODE_FRACTIONS[token];
+
+  const mixedUnicode = /^(\d+)([¼½¾⅓⅔⅛])$/.exec(token);
+  if (mixedUnicode) return Number(mixedUnicode[1]) + UNICODE_FRACTIONS[mixedUnicode[2]];
+
+  const fraction = /^(\d+)\/(\d+)$/.exec(token);
+  if (fraction) return Number(fraction[2]) ? Number(fraction[1]) / Number(fraction[2]) : null;
+
+  const n = Number(token.replace(",", "."));
+  return Number.isFinite(n) ? n : null;
+}
+
+const AMOUNT_PATTERN =
+  /^(\d+\s+\d+\/\d+|\d+\/\d+|\d*[¼½¾⅓⅔⅛]|\d+(?:[.,]\d+)?(?:\s*[-–]\s*\d+(?:[.,]\d+)?)?)\s*(.*)$/;
+
+function parseNumberPart(numberPart) {
+  if (/\s/.test(numberPart) && numberPart.includes("/")) {
+    const [whole, frac] = numberPart.split(/\s+/);
+    return Number(whole) + parseNumber(frac);
+  }
+  if (/[-–]/.test(numberPart)) return parseNumber(numberPart.split(/[-–]/).pop().trim());
+  return parseNumber(numberPart);
+}
+
+// The known unit at the start of `rest` ("fl oz", "cups.") and the text after it.
+function matchUnitWords(rest) {
+  const words = rest.split(/\s+/);
+  const twoWords = lookupUnit(words.slice(0, 2).join(" "));
+  if (twoWords) return { unit: twoWords, after: words.slice(2).join(" ") };
+  const oneWord = lookupUnit((words[0] || "").replace(/\.$/, ""));
+  if (oneWord) return { unit: oneWord, after: words.slice(1).join(" ") };
+  return null;
+}
+
+// "1 1/2 cups" -> { quantity: 1.5, unit: "cup", text }. Ranges take the upper
+// bound ("2-3 cloves" -> 3). Unknown words stay as the unit ("1 large").
+export function parseAmount(text) {
+  const raw = String(text || "").trim();
+  const out = { quantity: null, unit: null, text: raw };
+  if (!raw) return out;
+
+  const m = AMOUNT_PATTERN.exec(raw);
+  if (!m) return out;
+
+  const quantity = parseNumberPart(m[1]);
+  if (quantity === null || !Number.isFinite(quantity)) return out;
+
+  const rest = m[2].replace(/^of\s+/i, "").trim();
+  const oneWord = rest.split(/\s+/)[0] || "";
+  const unit =
+    matchUnitWords(rest)?.unit ||
+    (oneWord ? oneWord.toLowerCase().replace(/[^\p{L}]/gu, "") || null : null);
+
+  return { quantity, unit, text: raw };
+}
+
+export function isKnownUnit(unit) {
+  return Boolean(unit && UNIT_ALIASES[unit]);
+}
+
+export function formatQuantity(n) {
+  if (!Number.isFinite(n)) return "";
+  const rounded = Math.round(n * 100) / 100;
+  return String(rounded);
+}
+
+const COUNT_UNIT_PLURALS = {
+  cup: "cups",
+  pinch: "pinches",
+  clove: "cloves",
+  can: "cans",
+  slice: "slices",
+  piece: "pieces",
+  bunch: "bunches",
+  handful: "handfuls",
+};
+
+export function formatAmount({ quantity, unit, text }) {
+  if (quantity === null || quantity === undefined) return text || "";
+  if (!unit) return formatQuantity(quantity);
+
+  const label = quantity > 1 && COUNT_UNIT_PLURALS[unit] ? COUNT_UNIT_PLURALS[unit] : unit;
+  return `${formatQuantity(quantity)} ${label}`;
+}
+
+// `text` with its leading quantity, and its unit when that is a known one,
+// swapped for the new amount: "2 large onions, diced" -> "4 large onions,
+// diced". Null when the text has no leading quantity, or when a known unit
+// would have to be added to words that aren't one.
+export function replaceAmount(text, { quantity, unit }) {
+  const m = AMOUNT_PATTERN.exec(String(text || "").trim());
+  if (!m || parseNumberPart(m[1]) === null) return null;
+
+  const rest = m[2].replace(/^of\s+/i, "").trim();
+  const known = matchUnitWords(rest);
+  if (known) return [formatAmount({ quantity, unit }), known.after].filter(Boolean).join(" ");
+  if (isKnownUnit(unit)) return null;
+  return [formatQuantity(quantity), m[2]].filter(Boolean).join(" ");
+}
+
+export const UNIT_SYSTEMS = ["metric", "imperial"];
+
+// Canonical unit for a word, or the word itself when it isn't a known unit.
+export function normalizeUnit(word) {
+  const text = String(word || "").trim();
+  if (!text) return null;
+  return lookupUnit(text) || text.toLowerCase();
+}
+
+const GRAMS_PER = { g: 1, kg: 1000, oz: 28.3495, lb: 453.592 };
+const ML_PER = { ml: 1, l: 1000, tsp: 4.929, tbsp: 14.787, cup: 236.588, "fl oz": 29.574 };
+
+function roundTo(n, step) {
+  return Math.max(step, Math.round(n / step) * step);
+}
+
+function toMetric(quantity, unit) {
+  if (unit === "oz" || unit === "lb") {
+    const g = quantity * GRAMS_PER[unit];
+    return g >= 1000
+      ? { quantity: roundTo(g / 1000, 0.05), unit: "kg" }
+      : { quantity: roundTo(g, g >= 50 ? 5 : 1), unit: "g" };
+  }
+  if (unit === "cup" || unit === "fl oz") {
+    const ml = quantity * ML_PER[unit];
+    return ml >= 1000
+      ? { quantity: roundTo(ml / 1000, 0.05), unit: "l" }
+      : { quantity: roundTo(ml, ml >= 50 ? 5 : 1), unit: "ml" };
+  }
+  return null;
+}
+
+function toImperial(quantity, unit) {
+  if (unit === "g" || unit === "kg") {
+    const oz = (quantity * GRAMS_PER[unit]) / GRAMS_PER.oz;
+    return oz >= 16
+      ? { quantity: roundTo(oz / 16, 0.25), unit: "lb" }
+      : { quantity: roundTo(oz, 0.25), unit: "oz" };
+  }
+  if (unit === "ml" || unit === "l") {
+    const ml = quantity * ML_PER[unit];
+    if (ml < ML_PER.tbsp) return { quantity: roundTo(ml / ML_PER.tsp, 0.25), unit: "tsp" };
+    if (ml < ML_PER.cup / 4) return { quantity: roundTo(ml / ML_PER.tbsp, 0.5), unit: "tbsp" };
+    return { quantity: roundTo(ml / ML_PER.cup, 0.25), unit: "cup" };
+  }
+  return null;
+}
+
+// Multiplies a parsed amount and moves weights and volumes into the given
+// system. Spoons, counts and unparsed text are left as they are.
+export function convertAmount({ quantity, unit, text }, { factor = 1, system = null } = {}) {
+  if (quantity === null || quantity === undefined) return { quantity: null, unit, text };
+
+  const scaled = { quantity: quantity * factor, unit };
+  const converted =
+    (system === "metric" && toMetric(scaled.quantity, unit)) ||
+    (system === "imperial" && toImperial(scaled.quantity, unit)) ||
+    scaled;
+
+  const rounded = { quantity: Math.round(converted.quantity * 100) / 100, unit: converted.unit };
+  return { ...rounded, text: formatAmount(rounded) };
+}
@@ -0,0 +1,264 @@
+import { getRecipeIngredients } from "./shopping.js";
+
+export const EXPORT_FORMATS = ["jsonld", "markdown", "html"];
+
+export const EXPORT_CONTENT_TYPES = {
+  jsonld: "application/ld+json; charset=utf-8",
+  markdown: "text/markdown; charset=utf-8",
+  html: "text/html; charset=utf-8",
+};
+
+function cleanText(value) {
+  return String(value ?? "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function readMacro(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? Math.round(n) : null;
+}
+
+// The fields every export works from. Free recipes carry a single method
+// paragraph in `recipe`; premium ones have amounts, steps, time and macros
+// (per serving).
+export function toRecipeDocument(out, { mealType = null } = {}) {
+  const doc = {
+    kind: out?.kind === "premium" ? "premium" : "free",
+    title: cleanText(out?.title) || "Fridge Find",
+    mealType: mealType && mealType !== "any" ? mealType : null,
+    ingredients: getRecipeIngredients(out).map((x) => ({
+      item: cleanText(x.name),
+      amount: cleanText(x.amount),
+    })),
+  };
+  if (doc.kind === "free") {
+    return { ...doc, recipe: cleanText(out?.recipe) };
+  }
+
+  const macros = out?.macros || {};
+  const timeMinutes = Number(out?.timeMinutes);
+  return {
+    ...doc,
+    steps: (Array.isArray(out?.steps) ? out.steps : []).map(cleanText).filter(Boolean),
+    servings: cleanText(out?.servings) || null,
+    timeMinutes: Number.isFinite(timeMinutes) && timeMinutes > 0 ? Math.round(timeMinutes) : null,
+    macros: {
+      calories: readMacro(macros.calories),
+      proteinGrams: readMacro(macros.proteinGrams),
+      carbsGrams: readMacro(macros.carbsGrams),
+      fatGrams: readMacro(macros.fatGrams),
+    },
+  };
+}
+
+function ingredientLine({ item, amount }) {
+  return amount ? `${amount} ${item}` : item;
+}
+
+// ISO 8601 duration, e.g. 90 -> "PT1H30M".
+function toDuration(minutes) {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return `PT${hours ? `${hours}H` : ""}${rest || !hours ? `${rest}M` : ""}`;
+}
+
+function formatMinutes(minutes) {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (!hours) return `${rest} min`;
+  return rest ? `${hours} h ${rest} min` : `${hours} h`;
+}
+
+function hasMacros(doc) {
+  return doc.kind === "premium" && Object.values(doc.macros).some((v) => v !== null);
+}
+
+// schema.org Recipe. `url` and `createdMs` are added when known.
+export function toSchemaOrgRecipe(doc, { url = null, createdMs = null } = {}) {
+  const recipe = {
+    "@context": "https://schema.org",
+    "@type": "Recipe",
+    name: doc.title,
+    recipeIngredient: doc.ingredients.map(ingredientLine),
+  };
+  if (url) recipe.url = url;
+  if (createdMs) recipe.datePublished = new Date(createdMs).toISOString().slice(0, 10);
+  if (doc.mealType) recipe.recipeCategory = doc.mealType;
+
+  if (doc.kind === "free") {
+    if (doc.recipe) recipe.recipeInstructions = [{ "@type": "HowToStep", text: doc.recipe }];
+    return recipe;
+  }
+
+  recipe.recipeInstructions = doc.steps.map((text, i) => ({
+    "@type": "HowToStep",
+    position: i + 1,
+    text,
+  }));
+  if (doc.servings) recipe.recipeYield = doc.servings;
+  if (doc.timeMinutes) recipe.totalTime = toDuration(doc.timeMinutes);
+  if (hasMacros(doc)) {
+    const { calories, proteinGrams, carbsGrams, fatGrams } = doc.macros;
+    recipe.nutrition = {
+      "@type": "NutritionInformation",
+      servingSize: "1 serving",
+      ...(calories !== null && { calories: `${calories} calories` }),
+      ...(proteinGrams !== null && { proteinContent: `${proteinGrams} g` }),
+      ...(carbsGrams !== null && { carbohydrateContent: `${carbsGrams} g` }),
+      ...(fatGrams !== null && { fatContent: `${fatGrams} g` }),
+    };
+  }
+  return recipe;
+}
+
+function escapeMarkdown(text) {
+  return text.replace(/[\\`*_[\]<>#|]/g, (c) => `\\${c}`);
+}
+
+function describeMeta(doc) {
+  if (doc.kind !== "premium") return [];
+  return [
+    doc.servings && (/^\d+$/.test(doc.servings) ? `Serves ${doc.servings}` : doc.servings),
+    doc.timeMinutes && formatMinutes(doc.timeMinutes),
+  ].filter(Boolean);
+}
+
+function describeMacros({ calories, proteinGrams, carbsGrams, fatGrams }) {
+  return [
+    ["Calories", calories, ""],
+    ["Protein", proteinGrams, " g"],
+    ["Carbs", carbsGrams, " g"],
+    ["Fat", fatGrams, " g"],
+  ].filter(([, value]) => value !== null);
+}
+
+export function toMarkdown(doc) {
+  const lines = [`# ${escapeMarkdown(doc.title)}`, ""];
+  const meta = describeMeta(doc);
+  if (meta.length) lines.push(`*${meta.join(" · ")}*`, "");
+
+  lines.push("## Ingredients", "");
+  for (const x of doc.ingredients) lines.push(`- ${escapeMarkdown(ingredientLine(x))}`);
+  lines.push("");
+
+  if (doc.kind === "free") {
+    lines.push("## Method", "", escapeMarkdown(doc.recipe), "");
+    return lines.join("\n");
+  }
+
+  lines.push("## Steps", "");
+  doc.steps.forEach((step, i) => lines.push(`${i + 1}. ${escapeMarkdown(step)}`));
+  lines.push("");
+
+  if (hasMacros(doc)) {
+    const macros = describeMacros(doc.macros);
+    lines.push(
+      "## Nutrition (per serving)",
+      "",
+      `| ${macros.map(([label]) => label).join(" | ")} |`,
+      `|${macros.map(() => " --- |").join("")}`,
+      `| ${macros.map(([, value, unit]) => `${value}${unit}`).join(" | ")} |`,
+      ""
+    );
+  }
+  return lines.join("\n");
+}
+
+function escapeHtml(text) {
+  return String(text).replace(
+    /[&<>"']/g,
+    (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]
+  );
+}
+
+// Keeps "</script>" in model text from closing the JSON-LD block.
+function toScriptJson(value) {
+  return JSON.stringify(value).replace(/</g, "\\u003c");
+}
+
+const PRINT_STYLES = `
+  body { font: 16px/1.5 Georgia, serif; color: #222; }
+  body { max-width: 40em; margin: 2em auto; padding: 0 1em; }
+  h1 { font-size: 1.8em; margin-bottom: 0.2em; }
+  h2 { font-size: 1.1em; text-transform: uppercase; letter-spacing: 0.05em; margin-top: 1.6em; }
+  .meta { color: #666; font-style: italic; }
+  table { border-collapse: collapse; }
+  th, td { border: 1px solid #ccc; padding: 0.3em 0.8em; text-align: left; }
+  footer { margin-top: 2em; color: #888; font-size: 0.85em; }
+  @media print { body { margin: 0; max-width: none; } footer { display: none; } }
+`;
+
+// A standalone printable page with the JSON-LD embedded. `robots: false` keeps
+// search engines off pages reached through private links.
+export function toHtml(doc, { url = null, createdMs = null, footer = null, robots = true } = {}) {
+  const parts = [];
+  const meta = describeMeta(doc);
+  parts.push(`<h1>${escapeHtml(doc.title)}</h1>`);
+  if (meta.length) parts.push(`<p class="meta">${escapeHtml(meta.join(" · "))}</p>`);
+
+  parts.push("<h2>Ingredients</h2>", "<ul>");
+  for (const x of doc.ingredients) parts.push(`  <li>${escapeHtml(ingredientLine(x))}</li>`);
+  parts.push("</ul>");
+
+  if (doc.kind === "free") {
+    parts.push("<h2>Method</h2>", `<p>${escapeHtml(doc.recipe)}</p>`);
+  } else {
+    parts.push("<h2>Steps</h2>", "<ol>");
+    for (const step of doc.steps) parts.push(`  <li>${escapeHtml(step)}</li>`);
+    parts.push("</ol>");
+
+    if (hasMacros(doc)) {
+      const macros = describeMacros(doc.macros);
+      parts.push(
+        "<h2>Nutrition (per serving)</h2>",
+        "<table>",
+        `  <tr>${macros.map(([label]) => `<th>${label}</th>`).join("")}</tr>`,
+        `  <tr>${macros.map(([, value, unit]) => `<td>${value}${unit}</td>`).join("")}</tr>`,
+        "</table>"
+      );
+    }
+  }
+  if (footer) parts.push(`<footer>${escapeHtml(footer)}</footer>`);
+
+  const jsonLd = toSchemaOrgRecipe(doc, { url, createdMs });
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+${robots ? "" : '<meta name="robots" content="noindex">\n'}<title>${escapeHtml(doc.title)}</title>
+<style>${PRINT_STYLES}</style>
+<script type="application/ld+json">${toScriptJson(jsonLd)}</script>
+</head>
+<body>
+<article>
+${parts.join("\n")}
+</article>
+</body>
+</html>
+`;
+}
+
+export function renderRecipe(doc, format, options = {}) {
+  if (format === "jsonld") return JSON.stringify(toSchemaOrgRecipe(doc, options), null, 2);
+  if (format === "markdown") return toMarkdown(doc);
+  return toHtml(doc, options);
+}
+
+export function renderNotFoundPage() {
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="robots" content="noindex">
+<title>Recipe not found</title>
+<style>${PRINT_STYLES}</style>
+</head>
+<body>
+<h1>Recipe not found</h1>
+<p>This link doesn't exist or was turned off by the person who shared it.</p>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,86 @@
+import { buildRecipeNutrition, parseServings } from "./nutrition.js";
+import {
+  convertAmount,
+  isKnownUnit,
+  normalizeUnit,
+  parseAmount,
+  replaceAmount,
+} from "./quantity.js";
+
+export const MAX_SERVINGS = 50;
+
+export function readServingsCount(out) {
+  const n = Number(out?.servingsCount);
+  return Number.isFinite(n) && n > 0 ? n : parseServings(out?.servings);
+}
+
+// { item, amount } plus a numeric quantity and canonical unit. The model's own
+// quantity/unit are used when present, otherwise the amount text is parsed.
+export function structureIngredients(ingredients) {
+  return (Array.isArray(ingredients) ? ingredients : [])
+    .filter((x) => x && typeof x === "object" && String(x.item || "").trim())
+    .map((x) => {
+      const amount = String(x.amount ?? "").trim();
+      const parsed =
+        typeof x.quantity === "number" && Number.isFinite(x.quantity) && x.quantity > 0
+          ? { quantity: x.quantity, unit: normalizeUnit(x.unit) }
+          : parseAmount(amount);
+      return {
+        item: String(x.item).trim(),
+        amount: amount || (parsed.quantity !== null ? convertAmount(parsed).text : ""),
+        quantity: parsed.quantity,
+        unit: parsed.unit,
+      };
+    });
+}
+
+// Rescales a premium recipe to `servings` and/or moves its amounts into
+// `unitSystem`, recomputing macros for the new quantities. `englishNames`, in
+// ingredient order, are matched against the nutrient table instead of the
+// recipe's own (translated) names.
+export function scaleRecipe(out, { servings = null, unitSystem = null, englishNames = null } = {}) {
+  const baseServings = readServingsCount(out);
+  const targetServings = servings || baseServings;
+  const factor = targetServings / baseServings;
+
+  const ingredients = structureIngredients(out.ingredients).map((x) => {
+    const converted = convertAmount(
+      { quantity: x.quantity, unit: x.unit, text: x.amount },
+      { factor, system: unitSystem }
+    );
+    // The model's wording ("2 chicken breasts", "1 large onion, diced") stays
+    // unless the quantity actually changed.
+    const changed = factor !== 1 || converted.unit !== x.unit;
+    const amount = changed
+      ? replaceAmount(x.amount, converted) ??
+        (isKnownUnit(converted.unit) ? converted.text : x.amount)
+      : x.amount;
+    return {
+      item: x.item,
+      amount,
+      quantity: converted.quantity,
+      unit: converted.unit,
+    };
+  });
+
+  const tableIngredients =
+    englishNames?.length === ingredients.length
+      ? ingredients.map((x, i) => ({ ...x, item: englishNames[i] }))
+      : ingredients;
+
+  // Stored macros are per serving, so they still hold as the fallback.
+  const { macros, nutrition } = buildRecipeNutrition({
+    ingredients: tableIngredients,
+    servings: targetServings,
+    macros: out.nutrition?.source === "computed" ? null : out.macros,
+  });
+
+  return {
+    ...out,
+    ingredients,
+    servings: targetServings === baseServings ? out.servings : String(targetServings),
+    servingsCount: targetServings,
+    macros,
+    nutrition,
+  };
+}
@@ -0,0 +1,99 @@
+import { normalizeItemName } from "./pantry.js";
+import { formatAmount, parseAmount } from "./quantity.js";
+
+// Things recipes assume are always around; left off lists unless asked for.
+const STAPLES = new Set([
+  "salt",
+  "black pepper",
+  "salt and pepper",
+  "water",
+  "oil",
+  "olive oil",
+  "vegetable oil",
+  "cooking oil",
+  "cooking spray",
+]);
+
+// Free recipes list bare names, premium ones { item, amount }.
+export function getRecipeIngredients(payload) {
+  return (Array.isArray(payload?.ingredients) ? payload.ingredients : [])
+    .map((x) =>
+      typeof x === "string"
+        ? { name: x, amount: "" }
+        : { name: String(x?.item || ""), amount: String(x?.amount || "") }
+    )
+    .filter((x) => x.name.trim());
+}
+
+function isOnHand(normalizedName, haveNames) {
+  const padded = ` ${normalizedName} `;
+  return haveNames.some((have) => padded.includes(` ${have} `) || ` ${have} `.includes(padded));
+}
+
+// Sums amounts that share a unit; anything unparseable is kept verbatim.
+function mergeAmounts(amounts) {
+  const byUnit = new Map();
+  const texts = new Set();
+
+  for (const a of amounts) {
+    if (a.quantity === null) {
+      if (a.text) texts.add(a.text);
+      continue;
+    }
+    const key = a.unit || "";
+    byUnit.set(key, (byUnit.get(key) || 0) + a.quantity);
+  }
+
+  return [
+    ...[...byUnit].map(([unit, quantity]) => ({ quantity, unit: unit || null, text: "" })),
+    ...[...texts].map((text) => ({ quantity: null, unit: null, text })),
+  ];
+}
+
+// recipes: [{ title, payload, haveNames }] where haveNames are what the user
+// already has for that recipe (normalized).
+export function buildShoppingItems(recipes, { skipStaples = true } = {}) {
+  const byName = new Map();
+
+  for (const recipe of recipes) {
+    const haveNames = (recipe.haveNames || []).filter(Boolean);
+
+    for (const ingredient of getRecipeIngredients(recipe.payload)) {
+      const normalizedName = normalizeItemName(ingredient.name);
+      if (!normalizedName) continue;
+      if (skipStaples && STAPLES.has(normalizedName)) continue;
+      if (isOnHand(normalizedName, haveNames)) continue;
+
+      const entry = byName.get(normalizedName) || {
+        name: ingredient.name.trim(),
+        normalizedName,
+        amounts: [],
+        sources: [],
+      };
+
+      if (ingredient.amount) entry.amounts.push(parseAmount(ingredient.amount));
+      if (recipe.title && !entry.sources.includes(recipe.title)) entry.sources.push(recipe.title);
+      byName.set(normalizedName, entry);
+    }
+  }
+
+  return [...byName.values()].map((entry) => {
+    const amounts = mergeAmounts(entry.amounts);
+    return {
+      name: entry.name,
+      normalizedName: entry.normalizedName,
+      amounts,
+      displayAmount: amounts.map(formatAmount).join(" + "),
+      sources: entry.sources,
+    };
+  });
+}
+
+export function formatShoppingListText(list, items) {
+  const lines = [list.title, ""];
+  for (const item of items) {
+    const mark = item.isChecked ? "[x]" : "[ ]";
+    lines.push(`${mark} ${item.name}${item.displayAmount ? ` (${item.displayAmount})` : ""}`);
+  }
+  return `${lines.join("\n")}\n`;
+}
@@ -0,0 +1,165 @@
+import crypto from "crypto";
+
+export const CUISINE_STYLES = [
+  "Mediterranean",
+  "Mexican",
+  "Korean",
+  "Italian",
+  "American",
+  "Middle Eastern",
+  "Japanese",
+];
+
+export const RATING_THUMBS = ["up", "down"];
+
+// Tags a user can attach to a rating, and how the next prompts react to them.
+const TAG_RULES = {
+  too_spicy: "Keep the heat mild; go easy on chili and hot sauce.",
+  too_bland: "Season boldly and finish with acid, fresh herbs or a punchy sauce.",
+  too_salty: "Go light on salt and salty sauces.",
+  too_sweet: "Keep sweetness restrained.",
+  too_heavy: "Lean lighter: less cream, butter and oil, more vegetables.",
+  not_filling: "Make it hearty enough to be a full meal.",
+  too_complicated: "Keep the technique simple, with few steps and little equipment.",
+  too_long: "Favor quick methods with little hands-on time.",
+};
+export const RATING_TAGS = Object.keys(TAG_RULES);
+
+// Share of picks made as if nothing had been rated, so users keep seeing
+// cuisines they haven't tried.
+export const EXPLORATION_RATE = 0.2;
+// Older ratings count for less: one from a month ago weighs half.
+const HALF_LIFE_DAYS = 30;
+// Every cuisine starts as if rated neutrally this many times, so one thumbs
+// down doesn't rule it out.
+const PRIOR_RATINGS = 2;
+// exp(STRENGTH * score): a cuisine that is always loved is picked e^2 (about 7)
+// times as often as a neutral one.
+const STRENGTH = 2;
+// A tag shapes the prompts once it is on about a third of recent ratings.
+const TAG_SHARE = 0.3;
+
+// The listed spelling of a cuisine, matched case-insensitively, or null.
+export function normalizeCuisine(value) {
+  if (typeof value !== "string") return null;
+  const wanted = value.trim().toLowerCase();
+  return CUISINE_STYLES.find((c) => c.toLowerCase() === wanted) || null;
+}
+
+// { thumb, stars, tags } from a request body. Returns { rating } or { error }.
+export function normalizeRatingInput(input) {
+  const thumb = input?.thumb ?? null;
+  if (thumb !== null && !RATING_THUMBS.includes(thumb)) {
+    return { error: "INVALID_RATING", field: "thumb", supported: RATING_THUMBS };
+  }
+
+  const stars = input?.stars ?? null;
+  if (stars !== null && !(Number.isInteger(stars) && stars >= 1 && stars <= 5)) {
+    return { error: "INVALID_RATING", field: "stars", min: 1, max: 5 };
+  }
+
+  const tags = Array.isArray(input?.tags) ? input.tags.map((t) => String(t)) : [];
+  const unknown = tags.filter((t) => !RATING_TAGS.includes(t));
+  if (unknown.length) {
+    return { error: "INVALID_RATING_TAG", unknown, supported: RATING_TAGS };
+  }
+
+  if (thumb === null && stars === null && !tags.length) {
+    return { error: "MISSING_RATING" };
+  }
+  return { rating: { thumb, stars, tags: RATING_TAGS.filter((t) => tags.includes(t)) } };
+}
+
+// -1 (disliked) to 1 (loved). Thumbs and stars are averaged when both are given.
+function scoreRating({ thumb, stars }) {
+  const signals = [];
+  if (thumb) signals.push(thumb === "up" ? 1 : -1);
+  if (stars) signals.push((stars - 3) / 2);
+  return signals.length ? signals.reduce((a, b) => a + b, 0) / signals.length : 0;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// What a user's ratings say about their taste: a weight per cuisine for the
+// picker and the tags that keep coming up.
+export function buildTasteProfile(ratings, nowMs = Date.now()) {
+  const byCuisine = new Map(CUISINE_STYLES.map((c) => [c, { total: 0, weight: 0, count: 0 }]));
+  const tagWeights = new Map();
+  let totalWeight = 0;
+
+  for (const r of ratings) {
+    const ageDays = Math.max(0, nowMs - r.updatedMs) / (24 * 60 * 60 * 1000);
+    const weight = 0.5 ** (ageDays / HALF_LIFE_DAYS);
+    totalWeight += weight;
+    for (const tag of r.tags || []) {
+      tagWeights.set(tag, (tagWeights.get(tag) || 0) + weight);
+    }
+
+    const entry = byCuisine.get(normalizeCuisine(r.cuisine));
+    if (entry && (r.thumb || r.stars)) {
+      entry.total += weight * scoreRating(r);
+      entry.weight += weight;
+      entry.count += 1;
+    }
+  }
+
+  const cuisines = CUISINE_STYLES.map((cuisine) => {
+    const { total, weight: rated, count } = byCuisine.get(cuisine);
+    const score = total / (rated + PRIOR_RATINGS);
+    const weight = round(Math.exp(STRENGTH * score));
+    return { cuisine, ratings: count, score: round(score), weight };
+  });
+  const tags = RATING_TAGS.filter(
+    (t) => (tagWeights.get(t) || 0) >= 1 && tagWeights.get(t) >= TAG_SHARE * totalWeight
+  );
+
+  return { ratingCount: ratings.length, cuisines, tags };
+}
+
+// Two numbers in [0, 1) from the seed, or random ones without a seed.
+function getFractions(seed) {
+  if (!seed) return [Math.random(), Math.random()];
+  const h = crypto.createHash("sha256").update(String(seed)).digest();
+  return [h.readUInt32BE(0) / 2 ** 32, h.readUInt32BE(4) / 2 ** 32];
+}
+
+function getWeights(profile, explore) {
+  return CUISINE_STYLES.map((cuisine) => {
+    if (explore || !profile) return 1;
+    return profile.cuisines.find((c) => c.cuisine === cuisine)?.weight ?? 1;
+  });
+}
+
+// Same seed (the scan id), same profile, same cuisine, so regenerating a scan
+// doesn't jump between cuisines. A share of picks ignores the profile.
+export function pickCuisine(seed, profile = null) {
+  const [exploreAt, at] = getFractions(seed);
+  const weights = getWeights(profile, exploreAt < EXPLORATION_RATE);
+  let target = at * weights.reduce((a, b) => a + b, 0);
+  for (let i = 0; i < CUISINE_STYLES.length; i++) {
+    target -= weights[i];
+    if (target < 0) return CUISINE_STYLES[i];
+  }
+  return CUISINE_STYLES[CUISINE_STYLES.length - 1];
+}
+
+// Every cuisine but `exclude`, better liked ones tending to come first
+// (weighted shuffle, stable for a seed).
+export function rankCuisines(seed, profile = null, exclude = null) {
+  const weights = getWeights(profile, false);
+  return CUISINE_STYLES.map((cuisine, i) => {
+    const [u] = getFractions(seed ? `${seed}:${cuisine}` : null);
+    return { cuisine, key: u ** (1 / weights[i]) };
+  })
+    .filter((x) => x.cuisine !== exclude)
+    .sort((a, b) => b.key - a.key)
+    .map((x) => x.cuisine);
+}
+
+export function describeTasteRules(profile) {
+  if (!profile?.tags.length) return "";
+  return `The user's feedback on earlier recipes:
+${profile.tags.map((t) => `- ${TAG_RULES[t]}`).join("\n")}`;
+}
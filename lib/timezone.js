@@ -0,0 +1,111 @@
+export const WEEKDAYS = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const HOUR_MS = 60 * 60 * 1000;
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        weekday: "short",
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        second: "numeric",
+      })
+    );
+  }
+  return formatters.get(timeZone);
+}
+
+// Canonical IANA name (e.g. "Europe/Berlin"), or null when the runtime
+// doesn't know the zone.
+export function normalizeTimeZone(value) {
+  if (typeof value !== "string" || !value || value.length > 64) return null;
+  try {
+    return new Intl.DateTimeFormat("en-US", { timeZone: value }).resolvedOptions().timeZone;
+  } catch {
+    return null;
+  }
+}
+
+export const DEFAULT_TIME_ZONE =
+  normalizeTimeZone(process.env.DEFAULT_TIMEZONE) ||
+  Intl.DateTimeFormat().resolvedOptions().timeZone ||
+  "UTC";
+
+// Wall-clock fields of an instant in a zone; month is 1-based.
+export function getLocalParts(ms, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(new Date(ms))) {
+    parts[type] = value;
+  }
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAY_INDEX[parts.weekday],
+  };
+}
+
+function getOffsetMs(ms, timeZone) {
+  const p = getLocalParts(ms, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(ms / 1000) * 1000;
+}
+
+// Calendar arithmetic on a local date; the time of day doesn't matter here.
+export function addLocalDays({ year, month, day }, days) {
+  const d = new Date(Date.UTC(year, month - 1, day + days));
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+}
+
+// First instant of a local date. Where DST skips midnight the day starts at
+// the end of the gap; where midnight repeats it starts at the first one.
+export function startOfLocalDay({ year, month, day }, timeZone) {
+  const guess = Date.UTC(year, month - 1, day);
+  const first = guess - getOffsetMs(guess, timeZone);
+  const second = guess - getOffsetMs(first, timeZone);
+  // An hour earlier catches the first pass of a repeated midnight.
+  const earlier = Math.min(first, second) - HOUR_MS;
+
+  const onDay = [first, second, earlier].filter((ms) => {
+    const p = getLocalParts(ms, timeZone);
+    return p.year === year && p.month === month && p.day === day;
+  });
+  return onDay.length ? Math.min(...onDay) : Math.max(first, second);
+}
+
+function pad(n) {
+  return String(n).padStart(2, "0");
+}
+
+// ISO 8601 local time with the zone's offset, e.g. "2026-10-25T00:00:00+02:00".
+export function formatLocalTime(ms, timeZone) {
+  const p = getLocalParts(ms, timeZone);
+  const offsetMinutes = Math.round(getOffsetMs(ms, timeZone) / 60000);
+  const sign = offsetMinutes < 0 ? "-" : "+";
+  const abs = Math.abs(offsetMinutes);
+  return (
+    `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}` +
+    `${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`
+  );
+}
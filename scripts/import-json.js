@@ -0,0 +1,32 @@
+import "dotenv/config";
+
+import path from "path";
+
+import { createStore } from "../lib/db/index.js";
+import { importJsonFiles } from "../lib/db/import-json.js";
+
+const force = process.argv.includes("--force");
+const store = createStore();
+
+try {
+  const result = importJsonFiles(store, {
+    usersFile: path.join(process.cwd(), "users.json"),
+    scansFile: path.join(process.cwd(), "scans.json"),
+    force,
+  });
+
+  if (result.skipped) {
+    console.log(
+      `JSON import already ran at ${new Date(result.importedAtMs).toISOString()}; pass --force to run it again.`
+    );
+  } else {
+    console.log(
+      `Imported ${result.users} users and ${result.scans} scans (${result.skippedScans} scans skipped).`
+    );
+  }
+} catch (err) {
+  console.error("IMPORT ERROR:", err);
+  process.exitCode = 1;
+} finally {
+  store.close();
+}
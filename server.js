@@ -1,50 +1,304 @@
 import "dotenv/config";
 
 import express from "express";
-import OpenAI from "openai";
-import fs from "fs";
-import path from "path";
 import crypto from "crypto";
 
+import { createAiProvider, getModelConfig, isTransientAiError } from "./lib/ai/index.js";
+import { scanPartialJson } from "./lib/ai/partial-json.js";
+import { estimateCostUsd } from "./lib/ai/pricing.js";
+import { AI_USAGE_GROUPS, createStore } from "./lib/db/index.js";
+import { getRequestContext, log, runWithRequestContext } from "./lib/logger.js";
+import { createMetricsRegistry } from "./lib/metrics.js";
+import { createJobQueue } from "./lib/jobs.js";
+import {
+  PANTRY_CATEGORIES,
+  getDaysLeft,
+  getItemExpiry,
+  getShelfLifeDays,
+  normalizeItemName,
+  pickExpiringItems,
+  parseIngredientList,
+  toPublicPantryItem,
+} from "./lib/pantry.js";
+import { PLATFORMS, createEntitlementService, createVerifier } from "./lib/purchases/index.js";
+import { buildShoppingItems, formatShoppingListText } from "./lib/shopping.js";
+import { IMAGE_LABELS, IMAGE_LIMITS, prepareImage, toDataUrl } from "./lib/images.js";
+import { MAX_SERVINGS, scaleRecipe } from "./lib/scaling.js";
+import {
+  EXPORT_CONTENT_TYPES,
+  EXPORT_FORMATS,
+  renderNotFoundPage,
+  renderRecipe,
+  toHtml,
+  toRecipeDocument,
+} from "./lib/recipe-export.js";
+import {
+  accountIdentityKey,
+  createAccountService,
+  getAccountId,
+  isAccountIdentity,
+} from "./lib/accounts.js";
+import { UNIT_SYSTEMS } from "./lib/quantity.js";
+import { POLICY_ACTIONS, QUOTA_PERIOD_KEYS, createPolicyService } from "./lib/policy.js";
+import { createAdminAuth } from "./lib/admin.js";
+import { DEFAULT_TIME_ZONE, formatLocalTime, normalizeTimeZone } from "./lib/timezone.js";
+import {
+  CUISINE_STYLES,
+  EXPLORATION_RATE,
+  RATING_TAGS,
+  buildTasteProfile,
+  describeTasteRules,
+  normalizeCuisine,
+  normalizeRatingInput,
+  pickCuisine,
+  rankCuisines,
+} from "./lib/taste.js";
+import {
+  DEFAULT_LOCALE,
+  SUPPORTED_LANGUAGES,
+  describeLanguage,
+  getErrorMessage,
+  getLanguage,
+  isDefaultLanguage,
+  normalizeLocale,
+  pickAcceptedLocale,
+  sanitizeFreeRecipe,
+} from "./lib/i18n/index.js";
+import {
+  allowsMeat,
+  describeDietRules,
+  emptyDietProfile,
+  escapeRegExp,
+  findDietViolations,
+  mergeDietSignals,
+  normalizeDietProfile,
+} from "./lib/diet.js";
+
 const app = express();
-app.use(express.json({ limit: "20mb" }));
+// Behind a load balancer, TRUST_PROXY (true, a hop count or addresses) makes
+// req.ip the client address that per-IP limits count against.
+const TRUST_PROXY = process.env.TRUST_PROXY;
+if (TRUST_PROXY) {
+  app.set(
+    "trust proxy",
+    TRUST_PROXY === "true" ? true : /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY
+  );
+}
+// Bodies are parsed in memory, so this caps the whole request rather than
+// fitting IMAGE_LIMITS.maxImages photos at their largest; base64 grows a photo
+// by a third. Each decoded photo is still checked against IMAGE_LIMITS.maxBytes.
+const JSON_BODY_LIMIT_BYTES = 20 * 1024 * 1024;
+app.use(express.json({ limit: JSON_BODY_LIMIT_BYTES }));
 
 app.get("/", (_req, res) => {
   res.send("FridgeSnap backend running.");
 });
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+const ai = createAiProvider(undefined, { onCall: recordModelCall });
+const store = createStore();
+const entitlements = createEntitlementService({ store, verifier: createVerifier() });
+const policy = createPolicyService({ store });
+const accounts = createAccountService({ store, policy });
 
-/* ---------------- USERS STORAGE ---------------- */
+/* ---------------- OBSERVABILITY ---------------- */
+
+const metrics = createMetricsRegistry();
+const httpRequests = metrics.counter(
+  "fridgesnap_http_requests_total",
+  "HTTP requests by route and status.",
+  ["method", "route", "status"]
+);
+const httpDuration = metrics.histogram(
+  "fridgesnap_http_request_duration_seconds",
+  "HTTP request latency in seconds.",
+  ["method", "route"]
+);
+const aiCalls = metrics.counter("fridgesnap_ai_calls_total", "Model calls by outcome.", [
+  "kind",
+  "model",
+  "outcome",
+]);
+const aiCallDuration = metrics.histogram(
+  "fridgesnap_ai_call_duration_seconds",
+  "Model call latency in seconds.",
+  ["kind", "model"]
+);
+const aiTokens = metrics.counter(
+  "fridgesnap_ai_tokens_total",
+  "Model tokens by type (input includes cached_input).",
+  ["route", "kind", "model", "type"]
+);
+const aiCost = metrics.counter(
+  "fridgesnap_ai_cost_usd_total",
+  "Estimated model cost in USD from config/model-pricing.json.",
+  ["route", "kind", "model"]
+);
+const generationOutcomes = metrics.counter(
+  "fridgesnap_generation_outcomes_total",
+  "Failed generations returned to clients, e.g. NO_FOOD_DETECTED or AI_BAD_OUTPUT.",
+  ["route", "outcome"]
+);
+
+const REQUEST_ID_PATTERN = /^[\w.-]{8,128}$/;
+
+// Gives every request an id (x-request-id, echoed back) and a context that
+// log lines and model usage pick up, then records its metrics, daily stats
+// and access log line.
+app.use((req, res, next) => {
+  const incoming = req.headers["x-request-id"];
+  const requestId = REQUEST_ID_PATTERN.test(incoming || "") ? incoming : crypto.randomUUID();
+  const context = { requestId, route: req.path, identityKey: null };
+  const startedNs = process.hrtime.bigint();
+  res.set("x-request-id", requestId);
+
+  res.on("finish", () => {
+    const seconds = Number(process.hrtime.bigint() - startedNs) / 1e9;
+    // The matched pattern keeps label values bounded.
+    const route = req.route?.path || "unmatched";
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpDuration.observe({ method: req.method, route }, seconds);
+
+    runWithRequestContext(context, () => {
+      log.info("request", {
+        method: req.method,
+        status: res.statusCode,
+        durationMs: Math.round(seconds * 1000),
+      });
+      try {
+        store.stats.increment("requests");
+        if (res.statusCode >= 500) store.stats.increment("server_errors");
+      } catch (err) {
+        log.error("STATS ERROR", { err });
+      }
+    });
+  });
+
+  runWithRequestContext(context, next);
+});
+
+const warnedUnpricedModels = new Set();
 
-const USERS_FILE = path.join(process.cwd(), "users.json");
-let users = {};
+// Provider callback for every model call: a usage row, metrics and a log
+// line, attributed to the request in progress.
+function recordModelCall({ kind, model, usage, ok, durationMs }) {
+  const context = getRequestContext();
+  const route = context?.route || "background";
+  const costUsd = estimateCostUsd(model, usage);
+
+  aiCalls.inc({ kind, model, outcome: ok ? "ok" : "error" });
+  aiCallDuration.observe({ kind, model }, durationMs / 1000);
+  if (usage) {
+    aiTokens.inc({ route, kind, model, type: "input" }, usage.inputTokens);
+    aiTokens.inc({ route, kind, model, type: "cached_input" }, usage.cachedInputTokens);
+    aiTokens.inc({ route, kind, model, type: "output" }, usage.outputTokens);
+  }
+  if (costUsd !== null) {
+    aiCost.inc({ route, kind, model }, costUsd);
+  } else if (usage && !warnedUnpricedModels.has(model)) {
+    warnedUnpricedModels.add(model);
+    log.warn("no price for model, cost not estimated", { model });
+  }
 
-if (fs.existsSync(USERS_FILE)) {
   try {
-    users = JSON.parse(fs.readFileSync(USERS_FILE, "utf8"));
-  } catch {
-    users = {};
+    store.aiUsage.record({
+      requestId: context?.requestId,
+      identityKey: context?.identityKey,
+      route,
+      kind,
+      model,
+      ok,
+      durationMs,
+      usage,
+      costUsd,
+    });
+  } catch (err) {
+    log.error("AI USAGE ERROR", { err });
+  }
+
+  log.info("model call", { kind, model, ok, durationMs, ...usage, costUsd });
+}
+
+// Prometheus scrape endpoint. With METRICS_TOKEN set it needs that token as a
+// bearer token.
+const METRICS_TOKEN = process.env.METRICS_TOKEN || "";
+
+function digest(value) {
+  return crypto.createHash("sha256").update(String(value)).digest();
+}
+
+app.get("/metrics", (req, res) => {
+  const token = readBearerToken(req);
+  if (METRICS_TOKEN && !(token && crypto.timingSafeEqual(digest(token), digest(METRICS_TOKEN)))) {
+    return res.status(401).json({ error: "UNAUTHORIZED" });
   }
+  res.type("text/plain; version=0.0.4").send(metrics.render());
+});
+
+/* ---------------- LOCALE ---------------- */
+
+function readLocale(value) {
+  if (value === undefined || value === null) return { locale: null };
+  const locale = normalizeLocale(value);
+  return locale ? { locale } : { error: "INVALID_LOCALE", supported: SUPPORTED_LANGUAGES };
 }
 
-function saveUsers() {
-  fs.writeFileSync(USERS_FILE, JSON.stringify(users, null, 2));
+// Messages follow the request's `locale`, then the caller's saved one, then
+// Accept-Language.
+function getMessageLocale(req) {
+  const identityKey = getRequestContext()?.identityKey;
+  return (
+    normalizeLocale(req.body?.locale) ||
+    (identityKey && store.users.get(identityKey)?.locale) ||
+    pickAcceptedLocale(req.headers["accept-language"]) ||
+    DEFAULT_LOCALE
+  );
 }
 
-function getStartOfWeekMs() {
-  const now = new Date();
-  const day = now.getDay();
-  const start = new Date(now);
-  start.setDate(now.getDate() - day);
-  start.setHours(0, 0, 0, 0);
-  return start.getTime();
+// Adds a human-readable `message` next to a known error code.
+function withErrorMessage(req, body) {
+  if (typeof body?.error !== "string" || body.message !== undefined) return body;
+  const message = getErrorMessage(body.error, getMessageLocale(req));
+  return message ? { ...body, message } : body;
 }
 
-function getNextWeekStartMs(weekStartMs) {
-  return weekStartMs + 7 * 24 * 60 * 60 * 1000;
+app.use((req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) => json(res.statusCode >= 400 ? withErrorMessage(req, body) : body);
+  next();
+});
+
+// Recipes are written in the user's language; JSON keys and enum values stay
+// English so the schemas and checks still apply.
+function describeLanguageRules(locale) {
+  if (isDefaultLanguage(locale)) return "";
+  return `Write the title, ingredient names, amounts, steps, servings and recipe text in ${describeLanguage(locale)}. Keep JSON keys and error codes in English.`;
 }
 
+// { locale: BCP 47 tag | null }; null goes back to English. Applies to new
+// scans; a scan keeps the language it was made in unless a request overrides it.
+app.post("/locale/set", (req, res) => {
+  try {
+    const { identityKey, authError } = getRequestIdentity(req);
+    if (!identityKey) {
+      return res.status(401).json({ error: authError });
+    }
+
+    const { locale, error, supported } = readLocale(req.body?.locale);
+    if (error) {
+      return res.status(400).json({ error, supported });
+    }
+
+    ensureUser(identityKey);
+    const user = store.users.update(identityKey, { locale });
+    return res.json({ locale: user.locale || DEFAULT_LOCALE, isDefault: !user.locale });
+  } catch (err) {
+    log.error("LOCALE ERROR", { err });
+    return res.status(500).json({ error: "LOCALE_FAILED" });
+  }
+});
+
+/* ---------------- USERS STORAGE ---------------- */
+
 function getIdentityKey({ guestId, deviceId }) {
   if (guestId && typeof guestId === "string" && guestId.length > 0) {
     return `guest:${guestId}`;
@@ -55,144 +309,297 @@ function getIdentityKey({ guestId, deviceId }) {
   return null;
 }
 
-function ensureUser(identityKey, fallbackDeviceKey = null) {
-  const weekStart = getStartOfWeekMs();
+function readBearerToken(req) {
+  return /^Bearer\s+(\S+)$/i.exec(req.headers?.authorization || "")?.[1] || null;
+}
+
+// Older app builds send raw guestId / deviceId instead of a token. That is only
+// honoured with ALLOW_BODY_IDENTITY, and never for an identity already claimed
+// through /auth/guest or linked to an account.
+const ALLOW_BODY_IDENTITY = process.env.ALLOW_BODY_IDENTITY === "true";
 
-  if (!users[identityKey] && fallbackDeviceKey && users[fallbackDeviceKey]) {
-    users[identityKey] = { ...users[fallbackDeviceKey] };
-    saveUsers();
+// Resolves the caller from `Authorization: Bearer <token>` to
+// { identityKey, session, clientIp }, or { identityKey: null, authError }.
+function getRequestIdentity(req) {
+  const clientIp = req.ip || null;
+  const token = readBearerToken(req);
+  if (token) {
+    const session = accounts.authenticate(token);
+    return session
+      ? withIdentityContext({ identityKey: session.identityKey, session, clientIp })
+      : { identityKey: null, authError: "INVALID_TOKEN" };
   }
 
-  if (!users[identityKey]) {
-    users[identityKey] = {
-      isPremium: false,
-      weekStartMs: weekStart,
-      freeUsedThisWeek: 0,
-      lastAnalyzeMs: 0,
-      lastRegenMs: 0,
-      isLockedUntilReset: false,
-      unlockAtMs: 0,
-    };
-    saveUsers();
+  if (ALLOW_BODY_IDENTITY) {
+    const identityKey = getIdentityKey(req.body || {});
+    if (identityKey && !accounts.isClaimed(identityKey)) {
+      return withIdentityContext({ identityKey, session: null, clientIp });
+    }
   }
 
-  const user = users[identityKey];
+  return { identityKey: null, authError: "AUTH_REQUIRED" };
+}
 
-  if (typeof user.isPremium !== "boolean") user.isPremium = false;
-  if (typeof user.weekStartMs !== "number") user.weekStartMs = weekStart;
-  if (typeof user.freeUsedThisWeek !== "number") user.freeUsedThisWeek = 0;
-  if (typeof user.lastAnalyzeMs !== "number") user.lastAnalyzeMs = 0;
-  if (typeof user.lastRegenMs !== "number") user.lastRegenMs = 0;
-  if (typeof user.isLockedUntilReset !== "boolean") user.isLockedUntilReset = false;
-  if (typeof user.unlockAtMs !== "number") user.unlockAtMs = 0;
+// Later log lines and model usage in this request are attributed to the caller.
+function withIdentityContext(identity) {
+  const context = getRequestContext();
+  if (context) context.identityKey = identity.identityKey;
+  return identity;
+}
 
-  if (user.weekStartMs !== weekStart) {
-    user.weekStartMs = weekStart;
-    user.freeUsedThisWeek = 0;
-    user.lastAnalyzeMs = 0;
-    user.lastRegenMs = 0;
-    user.isLockedUntilReset = false;
-    user.unlockAtMs = 0;
-    saveUsers();
-  }
+// Weekly resets follow the user's own timezone (DEFAULT_TIMEZONE until the app
+// sends one through /timezone/set).
+function ensureUser(identityKey) {
+  return store.transaction(() => {
+    let user = store.users.get(identityKey);
 
-  if (user.unlockAtMs > 0 && Date.now() >= user.unlockAtMs) {
-    user.isLockedUntilReset = false;
-    user.unlockAtMs = 0;
-    saveUsers();
-  }
+    if (!user) {
+      user = store.users.create(identityKey, {
+        isPremium: false,
+        weekStartMs: policy.getWeekWindow(null).startMs,
+        lastAnalyzeMs: 0,
+        lastRegenMs: 0,
+        lastPlanMs: 0,
+        isLockedUntilReset: false,
+        unlockAtMs: 0,
+      });
+    }
 
-  return user;
-}
+    const weekStart = policy.getWeekWindow(user.timeZone).startMs;
+    if (user.weekStartMs !== weekStart) {
+      user = store.users.update(identityKey, {
+        weekStartMs: weekStart,
+        lastAnalyzeMs: 0,
+        lastRegenMs: 0,
+        lastPlanMs: 0,
+        isLockedUntilReset: false,
+        unlockAtMs: 0,
+      });
+    }
 
-/* ---------------- SCANS STORAGE ---------------- */
+    if (user.unlockAtMs > 0 && Date.now() >= user.unlockAtMs) {
+      user = store.users.update(identityKey, {
+        isLockedUntilReset: false,
+        unlockAtMs: 0,
+      });
+    }
 
-const SCANS_FILE = path.join(process.cwd(), "scans.json");
-let scans = {};
+    const isPremium = entitlements.isPremium(identityKey);
+    if (user.isPremium !== isPremium) {
+      const patch = { isPremium };
+      if (isPremium) {
+        patch.isLockedUntilReset = false;
+        patch.unlockAtMs = 0;
+      }
+      user = store.users.update(identityKey, patch);
+    }
 
-if (fs.existsSync(SCANS_FILE)) {
-  try {
-    scans = JSON.parse(fs.readFileSync(SCANS_FILE, "utf8"));
-  } catch {
-    scans = {};
-  }
+    return user;
+  });
 }
 
-function saveScans() {
-  fs.writeFileSync(SCANS_FILE, JSON.stringify(scans, null, 2));
+function getUserTier(user) {
+  return policy.getTier(user, entitlements.getActive(user.identityKey));
 }
 
+/* ---------------- SCANS STORAGE ---------------- */
+
 function cleanupOldScans(days = 14) {
   const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
-  let changed = false;
+  store.scans.deleteOlderThan(cutoff);
+  store.detections.deleteUnusedSince(cutoff);
+  store.sessions.deleteExpired();
+  // Older than any zone's current week.
+  store.usage.deleteOlderThan(Date.now() - 8 * 24 * 60 * 60 * 1000);
+  store.stats.deleteBefore(Date.now() - ADMIN_STATS_MAX_DAYS * 24 * 60 * 60 * 1000);
+  store.aiUsage.deleteOlderThan(Date.now() - ADMIN_STATS_MAX_DAYS * 24 * 60 * 60 * 1000);
+  store.jobs.deleteFinishedBefore(Date.now() - JOB_RETENTION_MS);
+  releaseStaleCharges();
+  store.charges.deleteOlderThan(cutoff);
+}
+
+/* ---------------- HELPERS ---------------- */
+
+function getScanImageUrls(scan) {
+  return (scan.images || []).map(toDataUrl);
+}
+
+// Reads `images` ([base64] or [{ imageBase64, label }]) or the older single
+// `imageBase64`, then validates and downscales each photo.
+async function readScanImages(body) {
+  const inputs = Array.isArray(body?.images)
+    ? body.images
+    : body?.imageBase64
+      ? [body.imageBase64]
+      : [];
+
+  if (!inputs.length) {
+    return { error: reply(400, { error: "Missing imageBase64" }) };
+  }
+  if (inputs.length > IMAGE_LIMITS.maxImages) {
+    return {
+      error: reply(400, { error: "TOO_MANY_IMAGES", maxImages: IMAGE_LIMITS.maxImages }),
+    };
+  }
+
+  const images = [];
+  for (const [imageIndex, input] of inputs.entries()) {
+    const raw = typeof input === "string" ? input : input?.imageBase64;
+    const label = IMAGE_LABELS.includes(input?.label) ? input.label : null;
 
-  for (const [scanId, s] of Object.entries(scans)) {
-    if (!s?.createdMs || s.createdMs < cutoff) {
-      delete scans[scanId];
-      changed = true;
+    const prepared = await prepareImage(raw);
+    if (!prepared.ok) {
+      const { ok: _ok, status, ...details } = prepared;
+      return { error: reply(status, { ...details, imageIndex }) };
     }
+    images.push({ ...prepared.image, label });
   }
 
-  if (changed) saveScans();
+  return { images };
 }
 
-/* ---------------- HELPERS ---------------- */
+// Each action has its own cooldown timestamp on the user.
+const COOLDOWN_KINDS = { analyze: "analyze", regenerate: "regen", plan: "plan" };
+const COOLDOWN_FIELDS = { analyze: "lastAnalyzeMs", regen: "lastRegenMs", plan: "lastPlanMs" };
 
-function makeDataUrl(base64) {
-  return `data:image/jpeg;base64,${base64}`;
-}
+function enforceCooldown({ user, tier, action }) {
+  const seconds = policy.getCooldownSeconds(tier, action);
+  if (!seconds) {
+    return { ok: true };
+  }
 
-function sanitizeFreeRecipe(text) {
-  let recipe = String(text || "").trim();
-  recipe = recipe.replace(/^\s*\d+\s*[\).\:-]\s*/gm, "");
-  recipe = recipe.replace(/\d+([\/.]\d+)?/g, "");
-  recipe = recipe.replace(
-    /\b(cups?|tbsp|tablespoons?|tsp|teaspoons?|oz|ounces?|grams?|g|kg|ml|l|minutes?|mins?|degrees?|°f|°c|fahrenheit|celsius)\b/gi,
-    ""
-  );
-  recipe = recipe.replace(/\s{2,}/g, " ").trim();
-  return recipe;
+  const kind = COOLDOWN_KINDS[action];
+  const nowMs = Date.now();
+  if (store.users.claimCooldown(user.identityKey, kind, nowMs, seconds)) {
+    return { ok: true };
+  }
+
+  const current = store.users.get(user.identityKey);
+  const last = current?.[COOLDOWN_FIELDS[kind]] || 0;
+  const remaining = seconds - Math.floor((nowMs - last) / 1000);
+  return { ok: false, retryAfterSeconds: Math.max(1, remaining) };
 }
 
-function getOutputText(resp) {
-  const blocks = resp?.output || [];
-  let text = "";
+// Spends one use of `action` from the user's quotas, and their IP's on tiers
+// with IP limits. Returns { usage, bonusScan } saying what was spent, or
+// { refused } with the reply to send.
+function chargeQuota({ user, tier, action, clientIp }) {
+  const used = policy.consume({
+    tier,
+    action,
+    identityKey: user.identityKey,
+    ip: clientIp,
+    timeZone: user.timeZone,
+  });
+  if (used.ok) {
+    return { usage: used.entries, bonusScan: false };
+  }
 
-  for (const item of blocks) {
-    const content = item?.content || [];
-    for (const c of content) {
-      if (c?.type === "output_text" && typeof c?.text === "string") {
-        text += c.text;
-      }
-    }
+  // Bonus scans from /admin/users/grantBonusScans cover a spent scan quota.
+  if (
+    used.scope === "identity" &&
+    action === "analyze" &&
+    store.users.spendBonusScan(user.identityKey)
+  ) {
+    return { usage: [], bonusScan: true };
+  }
+
+  const details = {
+    action,
+    period: used.period,
+    limit: used.limit,
+    used: used.used,
+    resetsAtMs: used.resetsAtMs,
+  };
+  if (used.scope === "ip") {
+    store.stats.increment("ip_limit_hits");
+    return { refused: reply(429, { error: "IP_LIMIT_REACHED", ...details }) };
+  }
+
+  // Older app builds key their lock screen off FREE_LIMIT_REACHED.
+  if (tier === "free" && action === "analyze" && used.period === "week") {
+    store.stats.increment("free_limit_hits");
+    store.users.update(user.identityKey, {
+      isLockedUntilReset: true,
+      unlockAtMs: used.resetsAtMs,
+    });
+    return {
+      refused: reply(403, {
+        error: "FREE_LIMIT_REACHED",
+        usedThisWeek: used.used,
+        limitPerWeek: used.limit,
+        unlockAtMs: used.resetsAtMs,
+        ...details,
+      }),
+    };
   }
 
-  return text.trim();
+  store.stats.increment("quota_hits");
+  return { refused: reply(403, { error: "QUOTA_REACHED", ...details }) };
 }
 
-function safeJsonParse(text) {
-  const cleaned = String(text || "")
-    .replace(/^```json\s*/i, "")
-    .replace(/^```\s*/i, "")
-    .replace(/```$/i, "")
-    .trim();
+// Gives back what chargeQuota spent, plus a regen slot taken on the scan.
+function refundQuota(identityKey, { usage, bonusScan, regenScanId = null }) {
+  policy.release(usage, identityKey);
+  if (bonusScan) {
+    store.users.addBonusScans(identityKey, 1);
+  }
+  if (regenScanId) {
+    store.scans.releaseRegen(regenScanId);
+  }
+  // A refund can bring a locked free user back under the weekly limit.
+  if (store.users.get(identityKey)?.isLockedUntilReset) {
+    store.users.update(identityKey, { isLockedUntilReset: false, unlockAtMs: 0 });
+  }
+}
 
-  return JSON.parse(cleaned);
+// Keeps a held charge when the request produced its recipe or plan and refunds it
+// otherwise. Settling twice is a no-op.
+function settleCharge(chargeId, { ok, error = null }) {
+  return store.transaction(() => {
+    const charge = store.charges.settle(chargeId, {
+      status: ok ? "charged" : "refunded",
+      error: ok ? null : error,
+    });
+    if (charge && !ok) {
+      refundQuota(charge.ownerKey, charge);
+    }
+    return charge;
+  });
 }
 
-function enforceCooldown({ user, kind, seconds }) {
-  const nowMs = Date.now();
-  const field = kind === "regen" ? "lastRegenMs" : "lastAnalyzeMs";
-  const last = user[field] || 0;
-  const elapsed = nowMs - last;
-  const remaining = seconds - Math.floor(elapsed / 1000);
+// Charges held longer than any request or job retry can take belong to a
+// request that died with the process.
+const CHARGE_HOLD_MAX_MS = 60 * 60 * 1000;
 
-  if (elapsed < seconds * 1000) {
-    return { ok: false, retryAfterSeconds: Math.max(1, remaining) };
+function releaseStaleCharges() {
+  for (const charge of store.charges.listHeldBefore(Date.now() - CHARGE_HOLD_MAX_MS)) {
+    log.warn("STALE CHARGE REFUNDED", { chargeId: charge.id, action: charge.action });
+    settleCharge(charge.id, { ok: false, error: "INTERRUPTED" });
   }
+}
+
+function toPublicCharge(charge) {
+  if (!charge) return null;
+  return {
+    chargeId: charge.id,
+    action: charge.action,
+    scanId: charge.scanId || null,
+    status: charge.status,
+    error: charge.error || null,
+    createdMs: charge.createdMs,
+    settledMs: charge.settledMs || null,
+  };
+}
 
-  user[field] = nowMs;
-  return { ok: true };
+// { usedThisWeek, limitPerWeek } for free recipe responses.
+function getWeeklyScanUsage(tier, user) {
+  const weekly = policy.describe({
+    tier,
+    identityKey: user.identityKey,
+    timeZone: user.timeZone,
+  }).analyze.weekly;
+  return { usedThisWeek: weekly?.used ?? 0, limitPerWeek: weekly?.limit ?? null };
 }
 
 const MEAT_KEYWORDS = [
@@ -210,6 +617,8 @@ const MEAT_KEYWORDS = [
   "ham",
   "tuna",
 ];
+// Whole words only, so "ham" doesn't match "hamburger" or "hamachi".
+const MEAT_PATTERN = new RegExp(`\\b(?:${MEAT_KEYWORDS.map(escapeRegExp).join("|")})s?\\b`);
 
 function hasMeatSignal(scan, detectedItems = []) {
   const hay = [
@@ -221,143 +630,57 @@ function hasMeatSignal(scan, detectedItems = []) {
     .join(" ")
     .toLowerCase();
 
-  return MEAT_KEYWORDS.some((k) => hay.includes(k));
+  return MEAT_PATTERN.test(hay);
 }
 
-const CUISINE_STYLES = [
-  "Mediterranean",
-  "Mexican",
-  "Korean",
-  "Italian",
-  "American",
-  "Middle Eastern",
-  "Japanese",
-];
+const TASTE_RATINGS_LIMIT = 200;
 
-function pickCuisine(scanId) {
-  if (!scanId) {
-    return CUISINE_STYLES[Math.floor(Math.random() * CUISINE_STYLES.length)];
-  }
-  const h = crypto.createHash("sha256").update(String(scanId)).digest();
-  return CUISINE_STYLES[h[0] % CUISINE_STYLES.length];
-}
-
-/* ---------------- SCHEMAS ---------------- */
-
-const DETECTION_JSON_SCHEMA = {
-  type: "object",
-  additionalProperties: false,
-  properties: {
-    items: {
-      type: "array",
-      items: {
-        type: "object",
-        additionalProperties: false,
-        properties: {
-          name: { type: "string" },
-          category: {
-            type: "string",
-            enum: [
-              "produce",
-              "leftover",
-              "cooked_food",
-              "meat",
-              "seafood",
-              "dairy",
-              "drink",
-              "condiment",
-              "pantry",
-              "sauce",
-              "other_food",
-            ],
-          },
-          confidence: {
-            type: "string",
-            enum: ["high", "medium", "low"],
-          },
-        },
-        required: ["name", "category", "confidence"],
-      },
-    },
-  },
-  required: ["items"],
-};
+// Rebuilt from the latest ratings for each generation, so a new rating counts
+// from the next recipe on.
+function getTasteProfile(identityKey) {
+  return buildTasteProfile(store.ratings.list(identityKey, { limit: TASTE_RATINGS_LIMIT }));
+}
 
-const FREE_JSON_SCHEMA = {
-  type: "object",
-  additionalProperties: false,
-  properties: {
-    error: { type: "string", enum: ["NO_FOOD_DETECTED"] },
-    title: { type: "string" },
-    ingredients: { type: "array", items: { type: "string" } },
-    recipe: { type: "string" },
-  },
-};
+// The cuisine the user set on the scan, otherwise one weighted by their ratings.
+function chooseCuisine(scan, taste) {
+  return scan.cuisine || pickCuisine(scan.id, taste);
+}
 
-const PREMIUM_JSON_SCHEMA = {
-  type: "object",
-  additionalProperties: false,
-  properties: {
-    error: { type: "string", enum: ["NO_FOOD_DETECTED"] },
-    title: { type: "string" },
-    ingredients: {
-      type: "array",
-      items: {
-        type: "object",
-        additionalProperties: false,
-        properties: {
-          item: { type: "string" },
-          amount: { type: "string" },
-        },
-        required: ["item", "amount"],
-      },
-    },
-    steps: { type: "array", items: { type: "string" } },
-    servings: { type: "string" },
-    timeMinutes: { type: "number" },
-    macros: {
-      type: "object",
-      additionalProperties: false,
-      properties: {
-        calories: { type: "number" },
-        proteinGrams: { type: "number" },
-        carbsGrams: { type: "number" },
-        fatGrams: { type: "number" },
-      },
-      required: ["calories", "proteinGrams", "carbsGrams", "fatGrams"],
-    },
-  },
-  required: ["title", "ingredients", "steps", "servings", "timeMinutes", "macros"],
-};
+function readCuisine(value) {
+  if (value === undefined || value === null) return { cuisine: null };
+  const cuisine = normalizeCuisine(value);
+  return cuisine ? { cuisine } : { error: "INVALID_CUISINE", supported: CUISINE_STYLES };
+}
 
 /* ---------------- DEBUG ---------------- */
 
-const DEBUG_SECRET = "abc123";
+const DEBUG_SECRET = process.env.DEBUG_SECRET || "";
 
 app.post("/debug/setPremium", (req, res) => {
   const secret = req.headers["x-debug-secret"];
-  if (secret !== DEBUG_SECRET) {
+  if (!DEBUG_SECRET || secret !== DEBUG_SECRET) {
     return res.status(403).json({ error: "Forbidden" });
   }
 
-  const { deviceId, guestId, isPremium } = req.body || {};
-  const identityKey = getIdentityKey({ guestId, deviceId });
-  const fallbackDeviceKey =
-    deviceId && typeof deviceId === "string" ? `device:${deviceId}` : null;
+  // Debug callers may name a guest or device directly instead of sending a token.
+  const { isPremium } = req.body || {};
+  const identityKey = readBearerToken(req)
+    ? getRequestIdentity(req).identityKey
+    : accounts.resolveIdentity(getIdentityKey(req.body || {}));
 
   if (!identityKey) {
     return res.status(400).json({ error: "Missing identity" });
   }
 
-  const user = ensureUser(identityKey, fallbackDeviceKey);
-  user.isPremium = isPremium === true;
+  ensureUser(identityKey);
 
-  if (user.isPremium) {
-    user.isLockedUntilReset = false;
-    user.unlockAtMs = 0;
+  if (isPremium === true) {
+    entitlements.grantManual(identityKey);
+  } else {
+    entitlements.revokeManual(identityKey);
   }
 
-  saveUsers();
+  const user = ensureUser(identityKey);
 
   return res.json({
     ok: true,
@@ -366,507 +689,3790 @@ app.post("/debug/setPremium", (req, res) => {
   });
 });
 
-/* ---------------- DETECTION ---------------- */
+/* ---------------- ADMIN ---------------- */
 
-async function detectFoodItemsFromImage(imageDataUrl) {
-  const resp = await openai.responses.create({
-    model: "gpt-4o-mini-2024-07-18",
-    temperature: 0.1,
-    max_output_tokens: 500,
-    input: [
-      {
-        role: "user",
-        content: [
-          {
-            type: "input_text",
-            text:
-              "Identify visible food in this fridge image. Include raw ingredients, drinks, condiments, pantry items, and prepared leftovers inside containers. " +
-              "If a container appears to hold cooked pasta, spaghetti, salad, soup, rice, stir-fry, roasted vegetables, cooked meat, or mixed leftovers, name that prepared food directly. " +
-              "Return JSON only.",
-          },
-          { type: "input_image", image_url: imageDataUrl, detail: "high" },
-        ],
-      },
-    ],
-    text: {
-      format: {
-        type: "json_schema",
-        name: "detection",
-        strict: false,
-        schema: DETECTION_JSON_SCHEMA,
-      },
-    },
-  });
+const adminAuth = createAdminAuth();
+const ADMIN_STATS_MAX_DAYS = 90;
+const MAX_BONUS_SCANS = 100;
 
-  const obj = safeJsonParse(getOutputText(resp));
-  return Array.isArray(obj?.items) ? obj.items : [];
-}
+// Wraps an admin handler `(body, actor) => reply`. Without ADMIN_CREDENTIALS
+// the routes don't exist; every authenticated call lands in the audit log,
+// including refused and failed ones.
+function adminRoute(action, handler) {
+  return async (req, res) => {
+    if (!adminAuth.enabled) {
+      return res.status(404).json({ error: "NOT_FOUND" });
+    }
 
-/* ---------------- GENERATION ---------------- */
+    const actor = adminAuth.authenticate(req.headers.authorization);
+    if (!actor) {
+      res.set("WWW-Authenticate", 'Basic realm="admin"');
+      return res.status(401).json({ error: "ADMIN_AUTH_REQUIRED" });
+    }
 
-async function generateRecipeFromScan({
-  scan,
-  scanId,
-  isPremium,
-  imageDataUrl,
-  detectedItems = [],
-}) {
-  const cuisine = pickCuisine(scanId);
-  const meatSignal = hasMeatSignal(scan, detectedItems);
+    const body = req.body || {};
+    let out;
+    try {
+      out = await handler(body, actor);
+    } catch (err) {
+      log.error("ADMIN ERROR", { err });
+      out = reply(500, { error: "ADMIN_FAILED" });
+    }
 
-  const detectedItemsBlock = detectedItems.length
-    ? `Detected items:
-${detectedItems
-  .map((x) => `- ${x.name} (${x.category}, ${x.confidence})`)
-  .join("\n")}\n`
-    : "";
+    try {
+      store.auditLog.record({
+        actor,
+        action,
+        target: body.identityKey || body.scanId || null,
+        status: out.status,
+        details: body,
+      });
+    } catch (err) {
+      log.error("AUDIT ERROR", { err });
+    }
 
-  const ingredientOverrideBlock = scan.correctedIngredientsText
-    ? `Corrected ingredients (strict override): ${scan.correctedIngredientsText}
-If this corrected list conflicts with the image, trust the corrected list.
-Do not reintroduce removed ingredients even if visible in the image.`
-    : `Extra ingredients: ${scan.extraIngredientsText || "none"}`;
+    return res.status(out.status).json(out.body);
+  };
+}
 
-  const preferencesBlock =
-    `Meal type: ${scan.mealType || "any"}
-${ingredientOverrideBlock}
-Nutrition goals: ${(Array.isArray(scan.nutritionGoals) ? scan.nutritionGoals : []).join(", ") || "none"}
-Time limit: ${scan.timeLimit || "any"}
-Difficulty: ${scan.difficulty || "any"}
-Equipment: ${(Array.isArray(scan.equipment) ? scan.equipment : []).join(", ") || "any"}`;
+function findAdminUser(identityKey) {
+  if (!identityKey || typeof identityKey !== "string") {
+    return { status: 400, error: "MISSING_IDENTITY_KEY" };
+  }
+  if (!store.users.get(identityKey)) {
+    return { status: 404, error: "USER_NOT_FOUND" };
+  }
+  return { user: ensureUser(identityKey) };
+}
 
-  const coreRules = [
-    "You are a sharp food-vision cooking assistant and strong recipe writer.",
-    "Identify both raw ingredients and prepared leftovers.",
-    "Food inside containers, jars, bowls, meal prep boxes, and covered dishes counts as usable food.",
-    "If a container strongly looks like cooked spaghetti, pasta, salad, soup, rice, stir-fry, or roasted leftovers, treat that as real prepared food.",
-    "Prefer visible food over packaging text, but use packaging text to confirm items like broth, tomato paste, sauces, and drinks.",
-    "Only return NO_FOOD_DETECTED if the image is clearly unrelated to food.",
-    `Cuisine direction: ${cuisine}.`,
-    "Write flavorful, appealing recipes, not bland ones.",
-    "Use seasoning, aromatics, acid, and a finishing touch when appropriate.",
-    meatSignal
-      ? "If meat or seafood is available, make it the centerpiece."
-      : "If meat or seafood is available, make it the centerpiece.",
-  ].join("\n");
+function toAdminUserSummary(user) {
+  return {
+    identityKey: user.identityKey,
+    createdMs: user.createdMs ?? null,
+    claimedMs: user.claimedMs ?? null,
+    isPremium: !!user.isPremium,
+    isLockedUntilReset: !!user.isLockedUntilReset,
+    bonusScans: user.bonusScans || 0,
+  };
+}
 
-  if (!isPremium) {
-    const resp = await openai.responses.create({
-      model: "gpt-4o-mini-2024-07-18",
-      temperature: 0.4,
-      max_output_tokens: 420,
-      input: [
-        {
-          role: "user",
-          content: [
-            {
-              type: "input_text",
-              text:
-                `${coreRules}\n\n` +
-                `${detectedItemsBlock}\n` +
-                `Return JSON only with:
-- title: short appetizing recipe name
-- ingredients: simple ingredient names only
-- recipe: exactly one short appealing paragraph, no numbered steps, no measurements, no times, no temperatures
+function toAdminUser(user) {
+  const tier = getUserTier(user);
+  return {
+    ...toAdminUserSummary(user),
+    tier,
+    timezone: user.timeZone || DEFAULT_TIME_ZONE,
+    unlockAtMs: user.unlockAtMs || 0,
+    entitlement: entitlements.getActive(user.identityKey),
+    linkedAccountId: store.accounts.getLinkedAccountId(user.identityKey),
+    quotas: policy.describe({ tier, identityKey: user.identityKey, timeZone: user.timeZone }),
+  };
+}
 
-If there are corrected ingredients, never use ingredients outside that corrected list unless they are basic seasonings or staples.
+// Scan details without the image data; sizes are enough to tell uploads apart.
+function toAdminScan(scan) {
+  return {
+    ...toHistoryEntry(scan),
+    ownerKey: scan.ownerKey,
+    detectedItems: scan.detectedItems || [],
+    extraIngredientsText: scan.extraIngredientsText,
+    correctedIngredientsText: scan.correctedIngredientsText,
+    images: (scan.images || []).map((img) => ({
+      label: img.label,
+      mimeType: img.mimeType,
+      width: img.width,
+      height: img.height,
+      sha256: img.sha256,
+    })),
+    lastRecipe: scan.lastRecipe || null,
+  };
+}
 
-Preferences:
-${preferencesBlock}`,
-            },
-            { type: "input_image", image_url: imageDataUrl, detail: "low" },
-          ],
-        },
-      ],
-      text: {
-        format: {
-          type: "json_schema",
-          name: "free",
-          strict: false,
-          schema: FREE_JSON_SCHEMA,
-        },
-      },
-    });
+// { query } matches part of an identity key, e.g. a guest id or "account:".
+app.post(
+  "/admin/users/search",
+  adminRoute("users.search", (body) => {
+    if (typeof body.query !== "string" || !body.query.trim()) {
+      return reply(400, { error: "MISSING_QUERY" });
+    }
+    const { limit } = readPageOptions(body);
+    const users = store.users.search(body.query.trim(), { limit });
+    return reply(200, { users: users.map(toAdminUserSummary) });
+  })
+);
 
-    const obj = safeJsonParse(getOutputText(resp));
+app.post(
+  "/admin/users/get",
+  adminRoute("users.get", (body) => {
+    const found = findAdminUser(body.identityKey);
+    if (found.error) {
+      return reply(found.status, { error: found.error });
+    }
+    return reply(200, { user: toAdminUser(found.user) });
+  })
+);
 
-    if (obj?.error === "NO_FOOD_DETECTED") {
-      return { kind: "error", error: "NO_FOOD_DETECTED" };
+// Any of { isPremium, isLockedUntilReset, usage: [{ action, period, used }] },
+// where period is "daily" or "weekly" and `used` overwrites the current count.
+app.post(
+  "/admin/users/update",
+  adminRoute("users.update", (body) => {
+    const found = findAdminUser(body.identityKey);
+    if (found.error) {
+      return reply(found.status, { error: found.error });
     }
+    const { user } = found;
 
-    const title = String(obj?.title || "").trim() || "Fridge Find";
-    const ingredients = Array.isArray(obj?.ingredients) ? obj.ingredients : [];
-    const recipe = sanitizeFreeRecipe(obj?.recipe);
+    if (body.isPremium !== undefined && typeof body.isPremium !== "boolean") {
+      return reply(400, { error: "INVALID_PREMIUM" });
+    }
+    if (body.isLockedUntilReset !== undefined && typeof body.isLockedUntilReset !== "boolean") {
+      return reply(400, { error: "INVALID_LOCK" });
+    }
+    const usage = body.usage === undefined ? [] : body.usage;
+    const validUsage =
+      Array.isArray(usage) &&
+      usage.every(
+        (u) =>
+          POLICY_ACTIONS.includes(u?.action) &&
+          QUOTA_PERIOD_KEYS.includes(u?.period) &&
+          Number.isInteger(u?.used) &&
+          u.used >= 0
+      );
+    if (!validUsage) {
+      return reply(400, {
+        error: "INVALID_USAGE",
+        actions: POLICY_ACTIONS,
+        periods: QUOTA_PERIOD_KEYS,
+      });
+    }
 
-    if (!title || !ingredients.length || !recipe) {
-      return { kind: "error", error: "AI_BAD_OUTPUT" };
-    }
-
-    return { kind: "free", title, ingredients, recipe };
-  }
-
-  const resp = await openai.responses.create({
-    model: "gpt-4o-mini-2024-07-18",
-    temperature: 0.35,
-    max_output_tokens: 760,
-    input: [
-      {
-        role: "user",
-        content: [
-          {
-            type: "input_text",
-            text:
-              `${coreRules}\n\n` +
-              `${detectedItemsBlock}\n` +
-              `Return JSON only with:
-- title: short appetizing recipe name
-- ingredients: list of {item, amount}
-- steps: clear step-by-step array
-- servings: short string
-- timeMinutes: number
-- macros: { calories:number, proteinGrams:number, carbsGrams:number, fatGrams:number }
+    store.transaction(() => {
+      if (body.isPremium === true) entitlements.grantManual(user.identityKey);
+      if (body.isPremium === false) entitlements.revokeManual(user.identityKey);
 
-Rules:
-- Make the dish taste genuinely good.
-- If leftovers are detected, intelligently transform or reuse them.
-- If corrected ingredients are provided, trust them over the image.
-- Keep steps practical and home-cook friendly.
+      if (body.isLockedUntilReset !== undefined) {
+        store.users.update(user.identityKey, {
+          isLockedUntilReset: body.isLockedUntilReset,
+          unlockAtMs: body.isLockedUntilReset ? policy.getWeekWindow(user.timeZone).endMs : 0,
+        });
+      }
 
-Preferences:
-${preferencesBlock}`,
-          },
-          { type: "input_image", image_url: imageDataUrl, detail: "low" },
-        ],
-      },
-    ],
-    text: {
-      format: {
-        type: "json_schema",
-        name: "premium",
-        strict: false,
-        schema: PREMIUM_JSON_SCHEMA,
-      },
-    },
-  });
+      for (const u of usage) {
+        policy.setUsage({
+          identityKey: user.identityKey,
+          action: u.action,
+          key: u.period,
+          used: u.used,
+          timeZone: user.timeZone,
+        });
+      }
+    });
 
-  const obj = safeJsonParse(getOutputText(resp));
+    return reply(200, { user: toAdminUser(ensureUser(user.identityKey)) });
+  })
+);
 
-  if (obj?.error === "NO_FOOD_DETECTED") {
-    return { kind: "error", error: "NO_FOOD_DETECTED" };
-  }
+// { identityKey, scans }: extra scans used once the weekly quota is spent.
+// They don't expire; a negative count takes unused ones back.
+app.post(
+  "/admin/users/grantBonusScans",
+  adminRoute("users.grantBonusScans", (body) => {
+    const found = findAdminUser(body.identityKey);
+    if (found.error) {
+      return reply(found.status, { error: found.error });
+    }
 
-  if (
-    !obj?.title ||
-    !Array.isArray(obj?.ingredients) ||
-    !Array.isArray(obj?.steps) ||
-    !obj?.servings ||
-    typeof obj?.timeMinutes !== "number" ||
-    !obj?.macros
-  ) {
-    return { kind: "error", error: "AI_BAD_OUTPUT" };
-  }
+    const { scans } = body;
+    if (!Number.isInteger(scans) || scans === 0 || Math.abs(scans) > MAX_BONUS_SCANS) {
+      return reply(400, { error: "INVALID_SCANS", max: MAX_BONUS_SCANS });
+    }
 
-  return {
-    kind: "premium",
-    title: obj.title,
-    ingredients: obj.ingredients,
-    steps: obj.steps,
-    servings: obj.servings,
-    timeMinutes: obj.timeMinutes,
-    macros: obj.macros,
-  };
-}
+    const current = found.user.bonusScans || 0;
+    const user = store.users.addBonusScans(found.user.identityKey, Math.max(scans, -current));
+    return reply(200, { identityKey: user.identityKey, bonusScans: user.bonusScans });
+  })
+);
 
-/* ---------------- ROUTES ---------------- */
+app.post(
+  "/admin/scans/list",
+  adminRoute("scans.list", (body) => {
+    if (!body.identityKey || typeof body.identityKey !== "string") {
+      return reply(400, { error: "MISSING_IDENTITY_KEY" });
+    }
+    const scans = store.scans.listForOwner(body.identityKey, readPageOptions(body));
+    return reply(200, { scans: scans.map(toHistoryEntry) });
+  })
+);
 
-app.post("/status", async (req, res) => {
-  try {
-    const { guestId, deviceId } = req.body || {};
-    const identityKey = getIdentityKey({ guestId, deviceId });
-    const fallbackDeviceKey =
-      deviceId && typeof deviceId === "string" ? `device:${deviceId}` : null;
+app.post(
+  "/admin/scans/get",
+  adminRoute("scans.get", (body) => {
+    if (!body.scanId || typeof body.scanId !== "string") {
+      return reply(400, { error: "Missing scanId" });
+    }
+    const scan = store.scans.get(body.scanId, { withImage: true });
+    if (!scan) {
+      return reply(404, { error: "SCAN_NOT_FOUND" });
+    }
+    return reply(200, { scan: toAdminScan(scan) });
+  })
+);
 
-    if (!identityKey) {
-      return res.status(400).json({ error: "MISSING_IDENTITY" });
+app.post(
+  "/admin/scans/delete",
+  adminRoute("scans.delete", (body) => {
+    if (!body.scanId || typeof body.scanId !== "string") {
+      return reply(400, { error: "Missing scanId" });
     }
+    if (!store.scans.remove(body.scanId)) {
+      return reply(404, { error: "SCAN_NOT_FOUND" });
+    }
+    return reply(200, { ok: true });
+  })
+);
 
-    const user = ensureUser(identityKey, fallbackDeviceKey);
+// Daily counters for the last `days` days (UTC), oldest first.
+app.post(
+  "/admin/stats",
+  adminRoute("stats.get", (body) => {
+    const days = Number.isInteger(body.days)
+      ? Math.min(Math.max(body.days, 1), ADMIN_STATS_MAX_DAYS)
+      : 14;
+    const sinceMs = Date.now() - (days - 1) * 24 * 60 * 60 * 1000;
 
-    return res.json({
-      isPremium: !!user.isPremium,
-      isLockedUntilReset: !!user.isLockedUntilReset,
-      unlockAtMs: user.unlockAtMs || 0,
-      freeUsedThisWeek: user.freeUsedThisWeek || 0,
+    const daily = store.stats.listDays(sinceMs).map(({ day, metrics }) => {
+      const requests = metrics.requests || 0;
+      const serverErrors = metrics.server_errors || 0;
+      return {
+        day,
+        scans: metrics.scans || 0,
+        freeLimitHits: metrics.free_limit_hits || 0,
+        ipLimitHits: metrics.ip_limit_hits || 0,
+        quotaHits: metrics.quota_hits || 0,
+        requests,
+        serverErrors,
+        errorRate: requests ? Math.round((serverErrors / requests) * 10000) / 10000 : 0,
+      };
     });
-  } catch (err) {
-    console.error("STATUS ERROR:", err);
+
+    const t = store.stats.getTotals();
+    return reply(200, {
+      days,
+      daily,
+      totals: {
+        users: t.users,
+        premiumUsers: t.premium_users,
+        accounts: t.accounts,
+        storedScans: t.stored_scans,
+      },
+    });
+  })
+);
+
+// Model usage and estimated cost for the last `days` days, grouped by route,
+// identity, kind, model or day; `identityKey` narrows it to one user.
+app.post(
+  "/admin/usage",
+  adminRoute("usage.get", (body) => {
+    const days = Number.isInteger(body.days)
+      ? Math.min(Math.max(body.days, 1), ADMIN_STATS_MAX_DAYS)
+      : 7;
+    const groupBy = body.groupBy ?? "route";
+    if (!AI_USAGE_GROUPS.includes(groupBy)) {
+      return reply(400, { error: "INVALID_GROUP_BY", supported: AI_USAGE_GROUPS });
+    }
+
+    const rows = store.aiUsage.summarize({
+      sinceMs: Date.now() - days * 24 * 60 * 60 * 1000,
+      groupBy,
+      identityKey: typeof body.identityKey === "string" ? body.identityKey : null,
+      limit: readPageOptions(body).limit,
+    });
+    return reply(200, { days, groupBy, rows });
+  })
+);
+
+// { limit, beforeId, actor, target } pages back through the audit log.
+app.post(
+  "/admin/audit",
+  adminRoute("audit.list", (body) => {
+    const { limit } = readPageOptions(body);
+    const entries = store.auditLog.list({
+      limit,
+      beforeId: Number.isInteger(body.beforeId) ? body.beforeId : null,
+      actor: typeof body.actor === "string" ? body.actor : null,
+      target: typeof body.target === "string" ? body.target : null,
+    });
+    return reply(200, { entries });
+  })
+);
+
+/* ---------------- AUTH ---------------- */
+
+const GUEST_ID_MAX_LENGTH = 128;
+
+// The caller's current identity for sign-up / sign-in, if any. Only a bad token
+// is an error; no identity at all just means there is nothing to link.
+function getOptionalIdentity(req) {
+  const found = getRequestIdentity(req);
+  if (!found.identityKey && found.authError === "AUTH_REQUIRED") {
+    return { identityKey: null };
+  }
+  return found;
+}
+
+// Folds a guest or device identity into an account and returns the account's
+// refreshed user record.
+function linkIdentityToAccount(identityKey, accountKey) {
+  ensureUser(accountKey);
+  if (identityKey && !isAccountIdentity(identityKey)) {
+    ensureUser(identityKey);
+    accounts.mergeIdentity(identityKey, accountKey);
+  }
+  return ensureUser(accountKey);
+}
+
+// Starts a guest identity and returns its session token. Naming an existing
+// guestId, or merging in a deviceId's older record, is a one-time migration for
+// body-identity app builds, so it only works while ALLOW_BODY_IDENTITY is on;
+// nothing here proves the caller owns those ids, so entitlements never move.
+app.post("/auth/guest", (req, res) => {
+  try {
+    const { guestId: requested, deviceId } = req.body || {};
+    if (
+      requested !== undefined &&
+      (typeof requested !== "string" || !requested || requested.length > GUEST_ID_MAX_LENGTH)
+    ) {
+      return res.status(400).json({ error: "INVALID_GUEST_ID" });
+    }
+    if ((requested !== undefined || deviceId !== undefined) && !ALLOW_BODY_IDENTITY) {
+      return res.status(403).json({ error: "BODY_IDENTITY_DISABLED" });
+    }
+
+    const guestId = requested || crypto.randomUUID();
+    const identityKey = `guest:${guestId}`;
+    if (accounts.isClaimed(identityKey)) {
+      return res.status(409).json({ error: "IDENTITY_CLAIMED" });
+    }
+
+    ensureUser(identityKey);
+
+    const deviceKey = deviceId && typeof deviceId === "string" ? `device:${deviceId}` : null;
+    if (deviceKey && store.users.get(deviceKey) && !accounts.isClaimed(deviceKey)) {
+      ensureUser(deviceKey);
+      accounts.mergeIdentity(deviceKey, identityKey, { withEntitlements: false });
+    }
+
+    store.users.update(identityKey, { claimedMs: Date.now() });
+    const { token, expiresMs } = accounts.issueSession(identityKey);
+    return res.json({ guestId, token, expiresMs });
+  } catch (err) {
+    log.error("AUTH ERROR", { err });
+    return res.status(500).json({ error: "AUTH_FAILED" });
+  }
+});
+
+// { email, password }. A guest calling this with its token keeps its scans,
+// pantry, quota and premium on the new account.
+app.post("/auth/signup", async (req, res) => {
+  try {
+    const current = getOptionalIdentity(req);
+    if (current.authError) {
+      return res.status(401).json({ error: current.authError });
+    }
+    if (isAccountIdentity(current.identityKey)) {
+      return res.status(409).json({ error: "ALREADY_SIGNED_IN" });
+    }
+
+    const result = await accounts.signUp(req.body);
+    if (result.error) {
+      const { status, error, ...details } = result;
+      return res.status(status).json({ error, ...details });
+    }
+
+    const accountKey = accountIdentityKey(result.account.id);
+    const user = linkIdentityToAccount(current.identityKey, accountKey);
+    const { token, expiresMs } = accounts.issueSession(accountKey);
+
+    return res.json({
+      token,
+      expiresMs,
+      account: accounts.describeAccount(result.account.id),
+      isPremium: !!user.isPremium,
+    });
+  } catch (err) {
+    log.error("AUTH ERROR", { err });
+    return res.status(500).json({ error: "AUTH_FAILED" });
+  }
+});
+
+// { email, password }. Signing in from a guest session links that guest (and
+// everything it owns) to the account; another account's session is left alone.
+app.post("/auth/signin", async (req, res) => {
+  try {
+    const current = getOptionalIdentity(req);
+    if (current.authError) {
+      return res.status(401).json({ error: current.authError });
+    }
+
+    const result = await accounts.signIn(req.body);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const accountKey = accountIdentityKey(result.account.id);
+    const user = linkIdentityToAccount(current.identityKey, accountKey);
+    const { token, expiresMs } = accounts.issueSession(accountKey);
+
+    return res.json({
+      token,
+      expiresMs,
+      account: accounts.describeAccount(result.account.id),
+      isPremium: !!user.isPremium,
+    });
+  } catch (err) {
+    log.error("AUTH ERROR", { err });
+    return res.status(500).json({ error: "AUTH_FAILED" });
+  }
+});
+
+// Links another guest or device to the signed-in account: { token } is that
+// identity's own session token, which proves the caller holds it.
+app.post("/auth/link", (req, res) => {
+  try {
+    const { identityKey, authError } = getRequestIdentity(req);
+    if (!identityKey) {
+      return res.status(401).json({ error: authError });
+    }
+    if (!isAccountIdentity(identityKey)) {
+      return res.status(403).json({ error: "ACCOUNT_REQUIRED" });
+    }
+
+    const other = accounts.authenticate(req.body?.token);
+    if (!other) {
+      return res.status(400).json({ error: "INVALID_LINK_TOKEN" });
+    }
+    if (isAccountIdentity(other.identityKey) && other.identityKey !== identityKey) {
+      return res.status(409).json({ error: "CANNOT_MERGE_ACCOUNTS" });
+    }
+
+    const alreadyLinked = other.identityKey === identityKey;
+    const user = linkIdentityToAccount(other.identityKey, identityKey);
+    return res.json({
+      alreadyLinked,
+      account: accounts.describeAccount(getAccountId(identityKey)),
+      isPremium: !!user.isPremium,
+    });
+  } catch (err) {
+    log.error("AUTH ERROR", { err });
+    return res.status(500).json({ error: "AUTH_FAILED" });
+  }
+});
+
+app.post("/auth/me", (req, res) => {
+  try {
+    const { identityKey, authError } = getRequestIdentity(req);
+    if (!identityKey) {
+      return res.status(401).json({ error: authError });
+    }
+
+    return res.json({
+      kind: identityKey.split(":")[0],
+      account: isAccountIdentity(identityKey)
+        ? accounts.describeAccount(getAccountId(identityKey))
+        : null,
+    });
+  } catch (err) {
+    log.error("AUTH ERROR", { err });
+    return res.status(500).json({ error: "AUTH_FAILED" });
+  }
+});
+
+app.post("/auth/signout", (req, res) => {
+  try {
+    const { session, authError } = getRequestIdentity(req);
+    if (!session) {
+      return res.status(401).json({ error: authError || "AUTH_REQUIRED" });
+    }
+
+    accounts.revoke(session.tokenHash);
+    return res.json({ ok: true });
+  } catch (err) {
+    log.error("AUTH ERROR", { err });
+    return res.status(500).json({ error: "AUTH_FAILED" });
+  }
+});
+
+/* ---------------- PURCHASES ---------------- */
+
+const ENTITLEMENT_SWEEP_MS = 15 * 60 * 1000;
+
+setInterval(() => {
+  entitlements.refreshDue().catch((err) => {
+    log.error("ENTITLEMENT SWEEP ERROR", { err });
+  });
+}, ENTITLEMENT_SWEEP_MS).unref();
+
+app.post("/purchases/verify", async (req, res) => {
+  try {
+    const { platform, productId, receipt, purchaseToken } = req.body || {};
+    const { identityKey, authError } = getRequestIdentity(req);
+    if (!identityKey) {
+      return res.status(401).json({ error: authError });
+    }
+
+    if (!PLATFORMS.includes(platform)) {
+      return res.status(400).json({ error: "INVALID_PLATFORM" });
+    }
+
+    const receiptData = platform === "app_store" ? receipt : purchaseToken;
+    if (!receiptData || typeof receiptData !== "string") {
+      return res.status(400).json({ error: "MISSING_RECEIPT" });
+    }
+
+    ensureUser(identityKey);
+
+    const result = await entitlements.verifyPurchase({
+      identityKey,
+      platform,
+      productId: typeof productId === "string" ? productId : null,
+      receiptData,
+    });
+
+    if (!result.ok) {
+      const status = result.error === "VERIFIER_UNAVAILABLE" ? 503 : 400;
+      return res.status(status).json({ error: result.error });
+    }
+
+    if (result.transferredFromKey) {
+      ensureUser(result.transferredFromKey);
+    }
+
+    const user = ensureUser(identityKey);
+
+    return res.json({
+      ok: true,
+      isPremium: user.isPremium,
+      entitlement: result.entitlement,
+    });
+  } catch (err) {
+    log.error("PURCHASE ERROR", { err });
+    return res.status(500).json({ error: "PURCHASE_VERIFY_FAILED" });
+  }
+});
+
+/* ---------------- DETECTION ---------------- */
+
+const CONFIDENCE_RANK = { low: 0, medium: 1, high: 2 };
+
+async function detectFoodItemsFromImage(imageDataUrl, label = null, locale = null) {
+  const obj = await ai.detectItems({
+    text:
+      `Identify visible food in this ${label || "fridge"} image. Include raw ingredients, drinks, condiments, pantry items, and prepared leftovers inside containers. ` +
+      "If a container appears to hold cooked pasta, spaghetti, salad, soup, rice, stir-fry, roasted vegetables, cooked meat, or mixed leftovers, name that prepared food directly. " +
+      (isDefaultLanguage(locale)
+        ? ""
+        : `Name every item in ${describeLanguage(getLanguage(locale))}; keep category and confidence values as listed. `) +
+      "Return JSON only.",
+    imageDataUrls: [imageDataUrl],
+  });
+  // null (not cached) when the model didn't return a list at all.
+  return Array.isArray(obj?.items) ? obj.items : null;
+}
+
+// Cached per image hash, detect model and language; `force` skips the cache
+// and overwrites the entry. Item names are in the locale's language.
+async function detectImageCached(image, { force = false, locale = null } = {}) {
+  const language = isDefaultLanguage(locale) ? "" : `:${getLanguage(locale)}`;
+  const model = `${ai.name}:${getModelConfig("detect").model}${language}`;
+  if (image.sha256 && !force) {
+    const cached = store.detections.get(image.sha256, model);
+    if (cached) return cached;
+  }
+
+  const items = await detectFoodItemsFromImage(toDataUrl(image), image.label, locale);
+  if (items && image.sha256) {
+    store.detections.put(image.sha256, model, items);
+  }
+  return items || [];
+}
+
+// One detection per photo, merged by normalized name; the same item seen in
+// two photos keeps its most confident sighting.
+async function detectFoodItems(images, { force = false, locale = null } = {}) {
+  const perImage = await Promise.all(
+    images.map((image) => detectImageCached(image, { force, locale }))
+  );
+
+  const byName = new Map();
+  for (const item of perImage.flat()) {
+    const key = normalizeItemName(item.name);
+    if (!key) continue;
+    const seen = byName.get(key);
+    const rank = CONFIDENCE_RANK[item.confidence] ?? 0;
+    if (!seen || rank > (CONFIDENCE_RANK[seen.confidence] ?? 0)) {
+      byName.set(key, item);
+    }
+  }
+  return [...byName.values()].map((x) => ({
+    ...x,
+    shelfLifeDays: getShelfLifeDays(x.category),
+  }));
+}
+
+/* ---------------- GENERATION ---------------- */
+
+// The saved profile plus anything the scan itself says, e.g. a "vegetarian"
+// nutrition goal.
+function getDietProfile(user, scan = null) {
+  return mergeDietSignals(user?.dietProfile || emptyDietProfile(), [
+    ...(Array.isArray(scan?.nutritionGoals) ? scan.nutritionGoals : []),
+  ]);
+}
+
+function getRecipeTexts(out) {
+  return [
+    out.title,
+    ...(out.ingredients || []).map((x) => (typeof x === "string" ? x : x?.item)),
+    ...(out.ingredientsEnglish || []),
+    ...(out.steps || []),
+    out.recipe,
+  ].filter(Boolean);
+}
+
+function describeViolations(violations) {
+  return violations.map((v) => `${v.term} (${v.rule.replace(/^allergen:/, "allergy: ")})`).join(", ");
+}
+
+// Failed generation result, counted per route for /metrics.
+function generationError(error, details = {}) {
+  const route = getRequestContext()?.route || "background";
+  generationOutcomes.inc({ route, outcome: error });
+  return { kind: "error", error, ...details };
+}
+
+// 422 for problems with the food or the diet, 500 for bad model output.
+function toGenerationError(out) {
+  const status = out.error === "NO_FOOD_DETECTED" || out.error === "DIET_VIOLATION" ? 422 : 500;
+  return {
+    status,
+    body: out.violations ? { error: out.error, violations: out.violations } : { error: out.error },
+  };
+}
+
+function getExpiringForPrompt(identityKey) {
+  return pickExpiringItems(store.pantry.list(identityKey), {
+    withinDays: 5,
+    limit: 4,
+    includeExpired: false,
+  });
+}
+
+function buildRecipeContext({
+  scan,
+  cuisine,
+  mealType = scan.mealType,
+  detectedItems = [],
+  pantryItems = [],
+  expiringItems = [],
+  diet = null,
+  taste = null,
+  locale = null,
+}) {
+  // Only push meat when the diet allows it.
+  const meatSignal = allowsMeat(diet) && hasMeatSignal(scan, detectedItems);
+
+  const detectedItemsBlock = detectedItems.length
+    ? `Detected items:
+${detectedItems
+  .map((x) => `- ${x.name} (${x.category}, ${x.confidence})`)
+  .join("\n")}\n`
+    : "";
+
+  const detectedNames = new Set(detectedItems.map((x) => normalizeItemName(x.name)));
+  const extraPantryItems = pantryItems.filter(
+    (x) => !detectedNames.has(normalizeItemName(x.name))
+  );
+  const pantryBlock = extraPantryItems.length
+    ? `Also in the user's pantry (usable even though not in this photo):
+${extraPantryItems
+  .map((x) => `- ${x.name} (${x.category}${x.quantity ? `, ${x.quantity}` : ""})`)
+  .join("\n")}\n`
+    : "";
+
+  const expiringBlock = expiringItems.length
+    ? `Use these first, they are closest to spoiling:
+${expiringItems
+  .map((x) => {
+    const days = Math.max(0, getDaysLeft(getItemExpiry(x).expiresMs));
+    return `- ${x.name} (${days === 0 ? "use today" : `about ${days} day${days === 1 ? "" : "s"} left`})`;
+  })
+  .join("\n")}\n`
+    : "";
+
+  const ingredientOverrideBlock = scan.correctedIngredientsText
+    ? `Corrected ingredients (strict override): ${scan.correctedIngredientsText}
+If this corrected list conflicts with the image, trust the corrected list.
+Do not reintroduce removed ingredients even if visible in the image.`
+    : `Extra ingredients: ${scan.extraIngredientsText || "none"}`;
+
+  const preferencesBlock =
+    `Meal type: ${mealType || "any"}
+${ingredientOverrideBlock}
+Nutrition goals: ${(Array.isArray(scan.nutritionGoals) ? scan.nutritionGoals : []).join(", ") || "none"}
+Time limit: ${scan.timeLimit || "any"}
+Difficulty: ${scan.difficulty || "any"}
+Equipment: ${(Array.isArray(scan.equipment) ? scan.equipment : []).join(", ") || "any"}`;
+
+  const coreRules = [
+    "You are a sharp food-vision cooking assistant and strong recipe writer.",
+    "Identify both raw ingredients and prepared leftovers.",
+    "Food inside containers, jars, bowls, meal prep boxes, and covered dishes counts as usable food.",
+    "If a container strongly looks like cooked spaghetti, pasta, salad, soup, rice, stir-fry, or roasted leftovers, treat that as real prepared food.",
+    "Prefer visible food over packaging text, but use packaging text to confirm items like broth, tomato paste, sauces, and drinks.",
+    "Only return NO_FOOD_DETECTED if the image is clearly unrelated to food.",
+    cuisine ? `Cuisine direction: ${cuisine}.` : "",
+    "Write flavorful, appealing recipes, not bland ones.",
+    "Use seasoning, aromatics, acid, and a finishing touch when appropriate.",
+    meatSignal ? "If meat or seafood is available, make it the centerpiece." : "",
+    expiringItems.length
+      ? "Build the dish around the items closest to spoiling so they get used before they go bad."
+      : "",
+    describeTasteRules(taste),
+    describeDietRules(diet),
+    describeLanguageRules(locale),
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+  return {
+    coreRules,
+    itemsBlock: `${detectedItemsBlock}${pantryBlock}${expiringBlock}`,
+    preferencesBlock,
+  };
+}
+
+// Turns streamed model text into title / ingredients / step / recipe events,
+// each sent once as soon as its value is complete.
+function createRecipeFieldStreamer({ isPremium, locale, onEvent }) {
+  const sent = new Set();
+  let stepsSent = 0;
+
+  return (text) => {
+    const { fields, items } = scanPartialJson(text);
+
+    if (typeof fields.title === "string" && !sent.has("title")) {
+      sent.add("title");
+      onEvent("title", { title: fields.title.trim() });
+    }
+
+    if (Array.isArray(fields.ingredients) && !sent.has("ingredients")) {
+      sent.add("ingredients");
+      onEvent("ingredients", { ingredients: fields.ingredients });
+    }
+
+    if (isPremium) {
+      const steps = items.steps || [];
+      while (stepsSent < steps.length) {
+        onEvent("step", { index: stepsSent, text: String(steps[stepsSent]) });
+        stepsSent += 1;
+      }
+    } else if (typeof fields.recipe === "string" && !sent.has("recipe")) {
+      sent.add("recipe");
+      onEvent("recipe", { recipe: sanitizeFreeRecipe(fields.recipe, locale) });
+    }
+  };
+}
+
+const DIET_RETRIES = 1;
+
+// Generates a recipe and checks it against the diet profile, retrying with
+// the violations spelled out before giving up with DIET_VIOLATION.
+async function generateRecipeFromScan(options) {
+  const { scan, direction = null, taste = null, diet = null, onEvent = null } = options;
+  // Picked once so a diet retry stays in the same cuisine; stored with the
+  // recipe so ratings can be credited to it.
+  const cuisine = direction?.cuisine || chooseCuisine(scan, taste);
+  let feedback = "";
+
+  // With a diet to check, field events wait for the check so an attempt that
+  // gets retried never reaches the client; without one they stream as usual.
+  const checksDiet = Boolean(diet?.diets?.length || diet?.allergens?.length);
+  const held = [];
+  const onField = onEvent && checksDiet ? (type, data) => held.push([type, data]) : onEvent;
+
+  for (let attempt = 0; ; attempt++) {
+    const out = await generateRecipeOnce({ ...options, cuisine, feedback, onEvent: onField });
+    if (out.kind === "error") return out;
+
+    const violations = findDietViolations(diet, getRecipeTexts(out));
+    if (!violations.length) {
+      for (const [type, data] of held) onEvent(type, data);
+      const { ingredientsEnglish: _english, ...recipe } = out;
+      return { ...recipe, cuisine };
+    }
+    held.length = 0;
+
+    if (attempt >= DIET_RETRIES) {
+      return generationError("DIET_VIOLATION", { violations });
+    }
+
+    log.warn("DIET VIOLATION, retrying", { violations: describeViolations(violations) });
+    if (onEvent) onEvent("retry", { reason: "DIET_VIOLATION", violations });
+    feedback = `Your previous answer broke the dietary requirements by using: ${describeViolations(violations)}. Write a different recipe without them.`;
+  }
+}
+
+const UNIT_SYSTEM_RULES = {
+  metric: "Give every weight in g or kg and every volume in ml or l (tsp and tbsp are fine).",
+  imperial: "Give weights in oz or lb and volumes in cups, tbsp or tsp, never in g or ml.",
+};
+
+async function generateRecipeOnce({
+  scan,
+  isPremium,
+  imageDataUrls,
+  detectedItems = [],
+  pantryItems = [],
+  expiringItems = [],
+  direction = null,
+  cuisine = null,
+  taste = null,
+  diet = null,
+  unitSystem = null,
+  locale = null,
+  feedback = "",
+  onEvent = null,
+}) {
+  const context = buildRecipeContext({
+    scan,
+    cuisine,
+    mealType: direction?.mealType || scan.mealType,
+    detectedItems,
+    pantryItems,
+    expiringItems,
+    diet,
+    taste,
+    locale,
+  });
+
+  const coreRules = [
+    context.coreRules,
+    direction ? `Cook this specific dish: ${direction.title}. ${direction.summary || ""}`.trim() : "",
+    feedback,
+  ]
+    .filter(Boolean)
+    .join("\n");
+  const { itemsBlock, preferencesBlock } = context;
+  const onDelta = onEvent ? createRecipeFieldStreamer({ isPremium, locale, onEvent }) : undefined;
+  // Diet checks match English ingredient names, so other languages send both.
+  const englishNames = isDefaultLanguage(locale)
+    ? ""
+    : "- ingredientsEnglish: the same ingredient names in English, in the same order\n";
+
+  if (!isPremium) {
+    const obj = await ai.generateFree({
+      text:
+        `${coreRules}\n\n` +
+        `${itemsBlock}\n` +
+        `Return JSON only with:
+- title: short appetizing recipe name
+- ingredients: simple ingredient names only
+${englishNames}- recipe: exactly one short appealing paragraph, no numbered steps, no measurements, no times, no temperatures
+
+If there are corrected ingredients, never use ingredients outside that corrected list unless they are basic seasonings or staples.
+
+Preferences:
+${preferencesBlock}`,
+      imageDataUrls,
+      onDelta,
+    });
+
+    if (obj?.error === "NO_FOOD_DETECTED") {
+      return generationError("NO_FOOD_DETECTED");
+    }
+
+    const title = String(obj?.title || "").trim() || "Fridge Find";
+    const ingredients = Array.isArray(obj?.ingredients) ? obj.ingredients : [];
+    const recipe = sanitizeFreeRecipe(obj?.recipe, locale);
+
+    if (!title || !ingredients.length || !recipe) {
+      return generationError("AI_BAD_OUTPUT");
+    }
+
+    return { kind: "free", title, ingredients, recipe, ...readEnglishNames(obj) };
+  }
+
+  const obj = await ai.generatePremium({
+    text:
+      `${coreRules}\n\n` +
+      `${itemsBlock}\n` +
+      `Return JSON only with:
+- title: short appetizing recipe name
+- ingredients: list of {item, amount, quantity, unit}: amount as display text, quantity as a number, unit like g, ml, tsp, tbsp, cup, oz, lb or empty for plain counts
+${englishNames}- steps: clear step-by-step array
+- servings: short string
+- servingsCount: number of servings as a number
+- timeMinutes: number
+- macros: { calories:number, proteinGrams:number, carbsGrams:number, fatGrams:number }
+
+Rules:
+- Make the dish taste genuinely good.
+- If leftovers are detected, intelligently transform or reuse them.
+- If corrected ingredients are provided, trust them over the image.
+- Keep steps practical and home-cook friendly.
+${unitSystem ? `- ${UNIT_SYSTEM_RULES[unitSystem]}\n` : ""}
+Preferences:
+${preferencesBlock}`,
+    imageDataUrls,
+    onDelta,
+  });
+
+  if (obj?.error === "NO_FOOD_DETECTED") {
+    return generationError("NO_FOOD_DETECTED");
+  }
+
+  if (
+    !obj?.title ||
+    !Array.isArray(obj?.ingredients) ||
+    !Array.isArray(obj?.steps) ||
+    !obj?.servings ||
+    typeof obj?.timeMinutes !== "number" ||
+    !obj?.macros
+  ) {
+    return generationError("AI_BAD_OUTPUT");
+  }
+
+  // Structures and converts the amounts, and swaps the model's macros for
+  // ones computed from the nutrient table when enough ingredients match.
+  const english = readEnglishNames(obj);
+  return scaleRecipe(
+    {
+      kind: "premium",
+      title: obj.title,
+      ingredients: obj.ingredients,
+      steps: obj.steps,
+      servings: obj.servings,
+      servingsCount: obj.servingsCount,
+      timeMinutes: obj.timeMinutes,
+      macros: obj.macros,
+      ...english,
+    },
+    { unitSystem, englishNames: english.ingredientsEnglish }
+  );
+}
+
+// Only used for the diet check and nutrient matching; generateRecipeFromScan
+// drops it afterwards.
+function readEnglishNames(obj) {
+  const names = Array.isArray(obj?.ingredientsEnglish)
+    ? obj.ingredientsEnglish.filter((x) => typeof x === "string")
+    : [];
+  return names.length ? { ingredientsEnglish: names } : {};
+}
+
+/* ---------------- CANDIDATES ---------------- */
+
+const MEAL_TYPES = ["breakfast", "lunch", "dinner", "snack"];
+
+// Slots keep candidates distinct: other cuisines than the main recipe, better
+// liked ones more likely, or the same cuisine across different meal types.
+function pickCandidateSlots({ scan, count, varyBy, taste = null }) {
+  const primary = chooseCuisine(scan, taste);
+
+  if (varyBy === "mealType") {
+    return MEAL_TYPES.slice(0, count).map((m) => ({ cuisine: primary, mealType: m }));
+  }
+
+  return rankCuisines(scan.id, taste, primary)
+    .slice(0, count)
+    .map((cuisine) => ({ cuisine, mealType: scan.mealType || "any" }));
+}
+
+// Share of a candidate's key ingredients the user actually has on hand.
+function scoreCandidate(candidate, availableNames) {
+  const keys = (candidate.keyIngredients || []).map(normalizeItemName).filter(Boolean);
+  if (!keys.length) return 0;
+
+  const matched = keys.filter((k) =>
+    availableNames.some((name) => name.includes(k) || k.includes(name))
+  );
+  return Math.round((matched.length / keys.length) * 100) / 100;
+}
+
+function rankCandidates(candidates, { detectedItems = [], pantryItems = [] }) {
+  const availableNames = [...detectedItems, ...pantryItems]
+    .map((x) => normalizeItemName(x.name))
+    .filter(Boolean);
+
+  return candidates
+    .map((c, index) => ({ ...c, score: scoreCandidate(c, availableNames), index }))
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(({ index: _index, ...c }) => c);
+}
+
+async function generateRecipeCandidates({
+  scan,
+  isPremium,
+  imageDataUrls,
+  slots,
+  detectedItems = [],
+  pantryItems = [],
+  expiringItems = [],
+  avoidTitles = [],
+  diet = null,
+  taste = null,
+  locale = null,
+}) {
+  const { coreRules, itemsBlock, preferencesBlock } = buildRecipeContext({
+    scan,
+    cuisine: null,
+    detectedItems,
+    pantryItems,
+    expiringItems,
+    diet,
+    taste,
+    locale,
+  });
+
+  const slotLines = slots
+    .map((slot, i) => `${i + 1}. ${slot.cuisine}, meal type: ${slot.mealType}`)
+    .join("\n");
+  const avoidBlock = avoidTitles.length
+    ? `Do not repeat these dishes: ${avoidTitles.join("; ")}\n`
+    : "";
+
+  const obj = await ai.generateCandidates({
+    text:
+      `${coreRules}\n\n` +
+      `${itemsBlock}\n` +
+      `Propose exactly ${slots.length} clearly different dishes, one per slot, in this order:
+${slotLines}
+${avoidBlock}
+Return JSON only with:
+- candidates: list of { title, cuisine, mealType, summary, keyIngredients }
+- summary: one appetizing sentence, no measurements, no times, no temperatures
+- keyIngredients: the main ingredients the dish is built on
+
+Preferences:
+${preferencesBlock}`,
+    imageDataUrls,
+  });
+
+  if (obj?.error === "NO_FOOD_DETECTED") {
+    return generationError("NO_FOOD_DETECTED");
+  }
+
+  const raw = Array.isArray(obj?.candidates) ? obj.candidates : [];
+  const candidates = slots
+    .map((slot, i) => {
+      const c = raw[i];
+      const title = String(c?.title || "").trim();
+      if (!title) return null;
+
+      const summary = String(c?.summary || "").trim();
+      return {
+        slotCuisine: slot.cuisine,
+        slotMealType: slot.mealType,
+        title,
+        cuisine: String(c?.cuisine || "").trim() || slot.cuisine,
+        mealType: String(c?.mealType || "").trim() || slot.mealType,
+        summary: isPremium ? summary : sanitizeFreeRecipe(summary, locale),
+        keyIngredients: Array.isArray(c?.keyIngredients)
+          ? c.keyIngredients.map((x) => String(x).trim()).filter(Boolean)
+          : [],
+      };
+    })
+    .filter(Boolean);
+
+  if (!candidates.length) {
+    return generationError("AI_BAD_OUTPUT");
+  }
+
+  // Candidates are cheap to drop, so they are filtered rather than retried.
+  const allowed = candidates.filter(
+    (c) => !findDietViolations(diet, [c.title, c.summary, ...c.keyIngredients]).length
+  );
+  if (!allowed.length) {
+    return generationError("DIET_VIOLATION", {
+      violations: findDietViolations(
+        diet,
+        candidates.flatMap((c) => [c.title, c.summary, ...c.keyIngredients])
+      ),
+    });
+  }
+
+  return { kind: "candidates", candidates: allowed };
+}
+
+function toPublicCandidate(c) {
+  return {
+    candidateId: c.id,
+    rank: c.rank,
+    title: c.title,
+    cuisine: c.cuisine,
+    mealType: c.mealType,
+    summary: c.summary,
+    keyIngredients: c.keyIngredients || [],
+    score: c.score,
+    isExpanded: !!c.expanded,
+  };
+}
+
+// Capped by the tier's candidatesPerScan.
+function getRequestedCandidateCount(value, tier) {
+  if (!Number.isInteger(value) || value <= 0) return 0;
+  return Math.min(value, policy.getCandidatesPerScan(tier));
+}
+
+function findOwnedCandidate(identityKey, candidateId) {
+  if (!candidateId || typeof candidateId !== "string") {
+    return { status: 400, error: "MISSING_CANDIDATE_ID" };
+  }
+  const candidate = store.candidates.get(candidateId);
+  if (!candidate) {
+    return { status: 404, error: "CANDIDATE_NOT_FOUND" };
+  }
+  if (candidate.ownerKey !== identityKey) {
+    return { status: 403, error: "CANDIDATE_FORBIDDEN" };
+  }
+  return { candidate };
+}
+
+/* ---------------- ROUTES ---------------- */
+
+function reply(status, body) {
+  return { status, body };
+}
+
+// Wraps a run(body, identity, emit) handler as a plain JSON route.
+function sendJson(run) {
+  return async (req, res) => {
+    try {
+      const result = await run(req.body || {}, getRequestIdentity(req));
+      return res.status(result.status).json(result.body);
+    } catch (err) {
+      log.error("REQUEST ERROR", { err });
+      return res.status(500).json({ error: err?.message || "AI processing failed" });
+    }
+  };
+}
+
+// Same handler over Server-Sent Events: progress events while it runs, then a
+// final "result" event, or an "error" event carrying the HTTP status it would
+// have returned.
+function sendEvents(run) {
+  return async (req, res) => {
+    res.set({
+      "content-type": "text/event-stream",
+      "cache-control": "no-cache",
+      connection: "keep-alive",
+      "x-accel-buffering": "no",
+    });
+    res.flushHeaders();
+
+    const emit = (event, data) => {
+      if (!res.writableEnded) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      }
+    };
+
+    try {
+      const result = await run(req.body || {}, getRequestIdentity(req), emit);
+      if (result.status === 200) {
+        emit("result", result.body);
+      } else {
+        emit("error", withErrorMessage(req, { status: result.status, ...result.body }));
+      }
+    } catch (err) {
+      log.error("REQUEST ERROR", { err });
+      emit("error", { status: 500, error: err?.message || "AI processing failed" });
+    }
+
+    res.end();
+  };
+}
+
+app.post("/status", async (req, res) => {
+  try {
+    const { identityKey, authError } = getRequestIdentity(req);
+    if (!identityKey) {
+      return res.status(401).json({ error: authError });
+    }
+
+    await entitlements.refreshDue({ identityKey });
+    const user = ensureUser(identityKey);
+    const tier = getUserTier(user);
+    const timeZone = user.timeZone || DEFAULT_TIME_ZONE;
+    const quotas = policy.describe({ tier, identityKey, timeZone });
+    const week = policy.getWeekWindow(timeZone);
+
+    return res.json({
+      isPremium: !!user.isPremium,
+      tier,
+      quotas,
+      timezone: timeZone,
+      weekResetsAtMs: week.endMs,
+      weekResetsAtLocal: formatLocalTime(week.endMs, timeZone),
+      isLockedUntilReset: !!user.isLockedUntilReset,
+      unlockAtMs: user.unlockAtMs || 0,
+      unlockAtLocal: user.unlockAtMs ? formatLocalTime(user.unlockAtMs, timeZone) : null,
+      bonusScans: user.bonusScans || 0,
+      freeUsedThisWeek: quotas.analyze.weekly?.used ?? 0,
+      entitlement: entitlements.getActive(identityKey),
+      dietProfile: user.dietProfile || emptyDietProfile(),
+      unitSystem: user.unitSystem || null,
+      locale: user.locale || DEFAULT_LOCALE,
+      // Recent analyze and regenerate attempts. "held" ones count as used
+      // until they finish; "refunded" ones were given back.
+      charges: store.charges.listForOwner(identityKey).map(toPublicCharge),
+    });
+  } catch (err) {
+    log.error("STATUS ERROR", { err });
     return res.status(500).json({ error: "STATUS_FAILED" });
   }
 });
 
-app.post("/analyze", async (req, res) => {
-  try {
-    cleanupOldScans(14);
+// Checks the request, holds a scan from the quota and stores the scan. The
+// model calls happen in finishAnalyze, which a job can run later. Returns a
+// reply when refused, otherwise { task } holding what finishAnalyze needs.
+async function startAnalyze(body, identity) {
+  cleanupOldScans(14);
+
+  const {
+    mealType,
+    extraIngredientsText,
+    nutritionGoals,
+    timeLimit,
+    difficulty,
+    equipment,
+    usePantry,
+    prioritizeExpiring,
+    candidateCount,
+    varyBy,
+    forceDetect,
+    locale: requestedLocale,
+    cuisine: requestedCuisine,
+  } = body;
+
+  const { identityKey, authError } = identity;
+  if (!identityKey) {
+    return reply(401, { error: authError });
+  }
+
+  const { images, error: imageError } = await readScanImages(body);
+  if (imageError) {
+    return imageError;
+  }
+
+  const requested = readLocale(requestedLocale);
+  if (requested.error) {
+    return reply(400, { error: requested.error, supported: requested.supported });
+  }
+
+  const override = readCuisine(requestedCuisine);
+  if (override.error) {
+    return reply(400, { error: override.error, supported: override.supported });
+  }
+
+  const user = ensureUser(identityKey);
+  const tier = getUserTier(user);
+
+  const cd = enforceCooldown({ user, tier, action: "analyze" });
+  if (!cd.ok) {
+    return reply(429, {
+      error: "TOO_MANY_REQUESTS",
+      retryAfterSeconds: cd.retryAfterSeconds,
+    });
+  }
+
+  const spent = chargeQuota({ user, tier, action: "analyze", clientIp: identity.clientIp });
+  if (spent.refused) {
+    return spent.refused;
+  }
+
+  const scanId = crypto.randomUUID();
+  store.scans.create({
+    id: scanId,
+    ownerKey: identityKey,
+    createdMs: Date.now(),
+    images,
+    mealType: mealType || "any",
+    extraIngredientsText: extraIngredientsText || "",
+    correctedIngredientsText: "",
+    nutritionGoals: Array.isArray(nutritionGoals) ? nutritionGoals : [],
+    timeLimit: timeLimit || "any",
+    difficulty: difficulty || "any",
+    equipment: Array.isArray(equipment) ? equipment : [],
+    regenCount: 0,
+    usePantry: usePantry === true,
+    prioritizeExpiring: prioritizeExpiring === true,
+    locale: requested.locale || user.locale || null,
+    cuisine: override.cuisine,
+  });
+  store.stats.increment("scans");
+  const charge = store.charges.hold(identityKey, { action: "analyze", scanId, ...spent });
+
+  return {
+    task: {
+      scanId,
+      chargeId: charge.id,
+      forceDetect: forceDetect === true,
+      candidateCount,
+      varyBy,
+    },
+  };
+}
+
+// The scan's owner rather than the submitter, in case a guest signed in while
+// the job waited.
+async function finishAnalyze(task, emit = () => {}) {
+  const { scanId, forceDetect, candidateCount, varyBy } = task;
+  const scan = store.scans.get(scanId, { withImage: true });
+  if (!scan) {
+    return reply(404, { error: "SCAN_NOT_FOUND" });
+  }
+
+  const identityKey = scan.ownerKey;
+  const user = ensureUser(identityKey);
+  const isPremium = user.isPremium === true;
+  const tier = getUserTier(user);
+  const { locale } = scan;
+
+  const imageDataUrls = getScanImageUrls(scan);
+  const detectedItems = await detectFoodItems(scan.images, { force: forceDetect, locale });
+  store.scans.update(scanId, { detectedItems });
+  store.pantry.mergeDetected(identityKey, scanId, detectedItems);
+  emit("detection", { scanId, detectedItems });
+
+  const pantryItems = scan.usePantry ? store.pantry.list(identityKey) : [];
+  const expiringItems = scan.prioritizeExpiring ? getExpiringForPrompt(identityKey) : [];
+  const diet = getDietProfile(user, scan);
+  const taste = getTasteProfile(identityKey);
+  const count = getRequestedCandidateCount(candidateCount, tier);
+
+  const [out, candidatesOut] = await Promise.all([
+    generateRecipeFromScan({
+      scan,
+      isPremium,
+      imageDataUrls,
+      detectedItems,
+      pantryItems,
+      expiringItems,
+      diet,
+      taste,
+      unitSystem: user.unitSystem || null,
+      locale,
+      onEvent: emit,
+    }),
+    count
+      ? generateRecipeCandidates({
+          scan,
+          isPremium,
+          imageDataUrls,
+          slots: pickCandidateSlots({ scan, count, varyBy, taste }),
+          detectedItems,
+          pantryItems,
+          expiringItems,
+          diet,
+          taste,
+          locale,
+        }).catch((err) => {
+          log.error("CANDIDATES ERROR", { err });
+          return generationError("AI_BAD_OUTPUT");
+        })
+      : null,
+  ]);
+
+  if (out.kind === "error") {
+    const failed = toGenerationError(out);
+    return reply(failed.status, failed.body);
+  }
+
+  store.scans.update(scanId, { lastRecipe: out });
+
+  let candidates;
+  let candidatesError;
+  if (candidatesOut?.kind === "candidates") {
+    candidates = store.candidates
+      .replaceForScan(
+        scanId,
+        identityKey,
+        rankCandidates(candidatesOut.candidates, { detectedItems, pantryItems })
+      )
+      .map(toPublicCandidate);
+  } else if (candidatesOut) {
+    candidatesError = candidatesOut.error;
+  }
+
+  if (out.kind === "free") {
+    return reply(200, {
+      scanId,
+      isPremium: false,
+      mealType: scan.mealType || "any",
+      cuisine: out.cuisine,
+      title: out.title,
+      ingredients: out.ingredients,
+      recipe: out.recipe,
+      ...getWeeklyScanUsage(tier, user),
+      detectedItems,
+      candidates,
+      candidatesError,
+    });
+  }
+
+  return reply(200, {
+    scanId,
+    isPremium: true,
+    mealType: scan.mealType || "any",
+    cuisine: out.cuisine,
+    title: out.title,
+    ingredients: out.ingredients,
+    steps: out.steps,
+    servings: out.servings,
+    servingsCount: out.servingsCount,
+    timeMinutes: out.timeMinutes,
+    macros: out.macros,
+    nutrition: out.nutrition,
+    detectedItems,
+    candidates,
+    candidatesError,
+  });
+}
+
+// Runs finish for a started task and settles its charge: kept on a recipe,
+// refunded on an error reply or a thrown error.
+async function finishAndSettle(task, finish, emit) {
+  let result;
+  try {
+    result = await finish(task, emit);
+  } catch (err) {
+    settleCharge(task.chargeId, { ok: false, error: "INTERNAL" });
+    throw err;
+  }
+  const charge = settleCharge(task.chargeId, {
+    ok: result.status === 200,
+    error: result.body?.error,
+  });
+  return reply(result.status, {
+    ...result.body,
+    charge: toPublicCharge(charge || store.charges.get(task.chargeId)),
+  });
+}
+
+async function runAnalyze(body, identity, emit = () => {}) {
+  const started = await startAnalyze(body, identity);
+  return started.task ? finishAndSettle(started.task, finishAnalyze, emit) : started;
+}
+
+// Same split as analyze: the checks and the held regen charge, then the model
+// calls.
+async function startRegenerate(body, identity) {
+  cleanupOldScans(14);
+
+  const {
+    scanId,
+    extraIngredientsText,
+    correctedIngredientsText,
+    mealType,
+    nutritionGoals,
+    timeLimit,
+    difficulty,
+    equipment,
+    usePantry,
+    prioritizeExpiring,
+    forceDetect,
+    locale: requestedLocale,
+    cuisine: requestedCuisine,
+  } = body;
+
+  const { identityKey, authError } = identity;
+  if (!identityKey) {
+    return reply(401, { error: authError });
+  }
+
+  if (!scanId || typeof scanId !== "string") {
+    return reply(400, { error: "Missing scanId" });
+  }
+
+  const existing = store.scans.get(scanId);
+  if (!existing) {
+    return reply(404, { error: "SCAN_NOT_FOUND" });
+  }
+
+  if (existing.ownerKey !== identityKey) {
+    return reply(403, { error: "SCAN_FORBIDDEN" });
+  }
+
+  const requested = readLocale(requestedLocale);
+  if (requested.error) {
+    return reply(400, { error: requested.error, supported: requested.supported });
+  }
+
+  // null goes back to the personalized pick.
+  const override = readCuisine(requestedCuisine);
+  if (override.error) {
+    return reply(400, { error: override.error, supported: override.supported });
+  }
+
+  const user = ensureUser(identityKey);
+  const tier = getUserTier(user);
+  const regensPerScan = policy.getRegensPerScan(tier);
+
+  if (regensPerScan !== null && (existing.regenCount || 0) >= regensPerScan) {
+    return reply(403, { error: "REGEN_LIMIT_REACHED" });
+  }
+
+  const cd = enforceCooldown({ user, tier, action: "regenerate" });
+  if (!cd.ok) {
+    return reply(429, {
+      error: "TOO_MANY_REQUESTS",
+      retryAfterSeconds: cd.retryAfterSeconds,
+    });
+  }
+
+  const spent = chargeQuota({ user, tier, action: "regenerate", clientIp: identity.clientIp });
+  if (spent.refused) {
+    return spent.refused;
+  }
+
+  let regenScanId = null;
+  if (regensPerScan !== null) {
+    if (!store.scans.consumeRegen(scanId, regensPerScan)) {
+      refundQuota(identityKey, spent);
+      return reply(403, { error: "REGEN_LIMIT_REACHED" });
+    }
+    regenScanId = scanId;
+  }
+  const charge = store.charges.hold(identityKey, {
+    action: "regenerate",
+    scanId,
+    ...spent,
+    regenScanId,
+  });
+
+  const patch = { updatedMs: Date.now() };
+  if (typeof extraIngredientsText === "string") {
+    patch.extraIngredientsText = extraIngredientsText;
+  }
+  if (typeof correctedIngredientsText === "string") {
+    patch.correctedIngredientsText = correctedIngredientsText;
+  }
+  if (typeof mealType === "string") {
+    patch.mealType = mealType;
+  }
+  if (Array.isArray(nutritionGoals)) {
+    patch.nutritionGoals = nutritionGoals;
+  }
+  if (typeof timeLimit === "string") {
+    patch.timeLimit = timeLimit;
+  }
+  if (typeof difficulty === "string") {
+    patch.difficulty = difficulty;
+  }
+  if (Array.isArray(equipment)) {
+    patch.equipment = equipment;
+  }
+  if (typeof usePantry === "boolean") {
+    patch.usePantry = usePantry;
+  }
+  if (typeof prioritizeExpiring === "boolean") {
+    patch.prioritizeExpiring = prioritizeExpiring;
+  }
+  if (requestedCuisine !== undefined) {
+    patch.cuisine = override.cuisine;
+  }
+  const locale = requested.locale || existing.locale || user.locale || null;
+  patch.locale = locale;
+
+  store.scans.update(scanId, patch);
+
+  // The photos don't change between regenerations, so the first detection
+  // is reused unless the client asks for a fresh one or a new language.
+  const redetect =
+    forceDetect === true ||
+    !Array.isArray(existing.detectedItems) ||
+    getLanguage(locale) !== getLanguage(existing.locale || user.locale);
+
+  return {
+    task: { scanId, chargeId: charge.id, forceDetect: forceDetect === true, redetect },
+  };
+}
+
+async function finishRegenerate(task, emit = () => {}) {
+  const { scanId, forceDetect, redetect } = task;
+  const scan = store.scans.get(scanId, { withImage: true });
+  if (!scan) {
+    return reply(404, { error: "SCAN_NOT_FOUND" });
+  }
+
+  const identityKey = scan.ownerKey;
+  const user = ensureUser(identityKey);
+  const isPremium = user.isPremium === true;
+  const tier = getUserTier(user);
+  const { locale } = scan;
+
+  const imageDataUrls = getScanImageUrls(scan);
+  const detectedItems = redetect
+    ? await detectFoodItems(scan.images, { force: forceDetect, locale })
+    : scan.detectedItems;
+  if (redetect) {
+    store.scans.update(scanId, { detectedItems });
+  }
+  emit("detection", { scanId, detectedItems });
+
+  if (scan.correctedIngredientsText) {
+    store.pantry.applyCorrections(
+      identityKey,
+      scanId,
+      parseIngredientList(scan.correctedIngredientsText)
+    );
+  } else if (redetect) {
+    store.pantry.mergeDetected(identityKey, scanId, detectedItems);
+  }
+
+  const out = await generateRecipeFromScan({
+    scan,
+    isPremium,
+    imageDataUrls,
+    detectedItems,
+    pantryItems: scan.usePantry ? store.pantry.list(identityKey) : [],
+    expiringItems: scan.prioritizeExpiring ? getExpiringForPrompt(identityKey) : [],
+    diet: getDietProfile(user, scan),
+    taste: getTasteProfile(identityKey),
+    unitSystem: user.unitSystem || null,
+    locale,
+    onEvent: emit,
+  });
+
+  if (out.kind === "error") {
+    const failed = toGenerationError(out);
+    return reply(failed.status, failed.body);
+  }
+
+  store.scans.update(scanId, { lastRecipe: out });
+
+  if (out.kind === "free") {
+    return reply(200, {
+      scanId,
+      isPremium: false,
+      mealType: scan.mealType || "any",
+      cuisine: out.cuisine,
+      title: out.title,
+      ingredients: out.ingredients,
+      recipe: out.recipe,
+      ...getWeeklyScanUsage(tier, user),
+      detectedItems,
+    });
+  }
+
+  return reply(200, {
+    scanId,
+    isPremium: true,
+    mealType: scan.mealType || "any",
+    cuisine: out.cuisine,
+    title: out.title,
+    ingredients: out.ingredients,
+    steps: out.steps,
+    servings: out.servings,
+    servingsCount: out.servingsCount,
+    timeMinutes: out.timeMinutes,
+    macros: out.macros,
+    nutrition: out.nutrition,
+    detectedItems,
+  });
+}
+
+async function runRegenerate(body, identity, emit = () => {}) {
+  const started = await startRegenerate(body, identity);
+  return started.task ? finishAndSettle(started.task, finishRegenerate, emit) : started;
+}
+
+/* ---------------- JOBS ---------------- */
+
+const JOB_CONCURRENCY = Math.max(1, Number(process.env.JOB_CONCURRENCY) || 2);
+const JOB_MAX_ATTEMPTS = Math.max(1, Number(process.env.JOB_MAX_ATTEMPTS) || 3);
+const JOB_RETENTION_MS = 24 * 60 * 60 * 1000;
+const IDEMPOTENCY_KEY_MAX_LENGTH = 255;
+
+const JOB_KINDS = {
+  analyze: { start: startAnalyze, finish: finishAnalyze },
+  regenerate: { start: startRegenerate, finish: finishRegenerate },
+};
+
+const jobOutcomes = metrics.counter(
+  "fridgesnap_jobs_total",
+  "Background jobs by kind and final status.",
+  ["kind", "status"]
+);
+
+const jobs = createJobQueue({
+  store,
+  run: runJob,
+  isRetryable: isTransientAiError,
+  concurrency: JOB_CONCURRENCY,
+  maxAttempts: JOB_MAX_ATTEMPTS,
+  onFinish: settleJob,
+});
+
+// Retries keep the charge held; only the final outcome keeps or refunds it.
+function settleJob(job) {
+  jobOutcomes.inc({ kind: job.kind, status: job.status });
+  if (job.task?.chargeId) {
+    settleCharge(job.task.chargeId, {
+      ok: job.status === "succeeded",
+      error: job.result?.error,
+    });
+  }
+}
+
+function runJob(job) {
+  return JOB_KINDS[job.kind].finish(job.task);
+}
+
+function isAsyncRequest(req) {
+  return req.body?.async === true || /\brespond-async\b/i.test(req.headers.prefer || "");
+}
+
+function toPublicJob(job, req) {
+  const finished = job.status === "succeeded" || job.status === "failed";
+  return {
+    jobId: job.id,
+    kind: job.kind,
+    // "pending" only lasts while the submission is being checked.
+    status: job.status === "pending" ? "queued" : job.status,
+    attempts: job.attempts,
+    scanId: job.scanId || null,
+    createdMs: job.createdMs,
+    updatedMs: job.updatedMs,
+    nextAttemptMs: job.status === "queued" && job.attempts > 0 ? job.nextRunMs : null,
+    finishedMs: job.finishedMs || null,
+    charge: job.task?.chargeId ? toPublicCharge(store.charges.get(job.task.chargeId)) : null,
+    ...(finished && {
+      resultStatus: job.resultStatus,
+      result: job.status === "failed" ? withErrorMessage(req, job.result) : job.result,
+    }),
+  };
+}
+
+// Reserves the job before charging anything, so two submissions with the same
+// Idempotency-Key can't both create a scan. A refused request frees the key.
+async function submitJob(kind, req) {
+  const identity = getRequestIdentity(req);
+  const { identityKey, authError } = identity;
+  if (!identityKey) {
+    return reply(401, { error: authError });
+  }
+
+  const idempotencyKey = req.headers["idempotency-key"];
+  if (
+    idempotencyKey !== undefined &&
+    (!idempotencyKey.trim() || idempotencyKey.length > IDEMPOTENCY_KEY_MAX_LENGTH)
+  ) {
+    return reply(400, { error: "INVALID_IDEMPOTENCY_KEY", maxLength: IDEMPOTENCY_KEY_MAX_LENGTH });
+  }
+
+  const body = req.body || {};
+  const requestHash = digest(JSON.stringify(body)).toString("hex");
+  const { job, existing } = store.jobs.reserve(identityKey, {
+    kind,
+    idempotencyKey: idempotencyKey || null,
+    requestHash,
+    requestId: getRequestContext()?.requestId,
+  });
+  if (existing) {
+    if (existing.kind !== kind || existing.requestHash !== requestHash) {
+      return reply(422, { error: "IDEMPOTENCY_KEY_REUSED" });
+    }
+    return reply(existing.finishedMs ? 200 : 202, { job: toPublicJob(existing, req) });
+  }
+
+  let started;
+  try {
+    started = await JOB_KINDS[kind].start(body, identity);
+  } catch (err) {
+    store.jobs.remove(job.id);
+    throw err;
+  }
+  if (!started.task) {
+    store.jobs.remove(job.id);
+    return started;
+  }
+
+  const queued = store.jobs.enqueue(job.id, { task: started.task, scanId: started.task.scanId });
+  jobs.kick();
+  return reply(202, { job: toPublicJob(queued, req) });
+}
+
+// Runs the request in place, or with `async: true` / `Prefer: respond-async`
+// answers 202 with a job to poll on /jobs/get.
+function acceptJobs(kind, run) {
+  const runNow = sendJson(run);
+  return async (req, res) => {
+    if (!isAsyncRequest(req)) return runNow(req, res);
+    try {
+      const result = await submitJob(kind, req);
+      return res.status(result.status).json(result.body);
+    } catch (err) {
+      log.error("JOB SUBMIT ERROR", { err });
+      return res.status(500).json({ error: "JOB_SUBMIT_FAILED" });
+    }
+  };
+}
+
+app.post("/analyze", acceptJobs("analyze", runAnalyze));
+app.post("/analyze/stream", sendEvents(runAnalyze));
+app.post("/regenerate", acceptJobs("regenerate", runRegenerate));
+app.post("/regenerate/stream", sendEvents(runRegenerate));
+
+// { jobId } -> { job }; `result` holds what the synchronous route would have
+// answered once the job is finished.
+app.post("/jobs/get", (req, res) => {
+  try {
+    const { identityKey, authError } = getRequestIdentity(req);
+    if (!identityKey) {
+      return res.status(401).json({ error: authError });
+    }
+
+    const { jobId } = req.body || {};
+    if (!jobId || typeof jobId !== "string") {
+      return res.status(400).json({ error: "MISSING_JOB_ID" });
+    }
+    const job = store.jobs.get(jobId);
+    if (!job) {
+      return res.status(404).json({ error: "JOB_NOT_FOUND" });
+    }
+    if (job.ownerKey !== identityKey) {
+      return res.status(403).json({ error: "JOB_FORBIDDEN" });
+    }
+
+    return res.json({ job: toPublicJob(job, req) });
+  } catch (err) {
+    log.error("JOB GET ERROR", { err });
+    return res.status(500).json({ error: "JOB_GET_FAILED" });
+  }
+});
+
+/* ---------------- CANDIDATE ROUTES ---------------- */
+
+app.post("/candidates/list", (req, res) => {
+  try {
+    const { identityKey, authError } = getRequestIdentity(req);
+    if (!identityKey) {
+      return res.status(401).json({ error: authError });
+    }
+
+    const { scanId } = req.body || {};
+    if (!scanId || typeof scanId !== "string") {
+      return res.status(400).json({ error: "Missing scanId" });
+    }
+
+    const scan = store.scans.get(scanId);
+    if (!scan) {
+      return res.status(404).json({ error: "SCAN_NOT_FOUND" });
+    }
+    if (scan.ownerKey !== identityKey) {
+      return res.status(403).json({ error: "SCAN_FORBIDDEN" });
+    }
+
+    return res.json({
+      scanId,
+      candidates: store.candidates.listForScan(scanId).map(toPublicCandidate),
+    });
+  } catch (err) {
+    log.error("CANDIDATES ERROR", { err });
+    return res.status(500).json({ error: "CANDIDATES_FAILED" });
+  }
+});
+
+app.post("/candidates/expand", async (req, res) => {
+  try {
+    const { identityKey, authError } = getRequestIdentity(req);
+    if (!identityKey) {
+      return res.status(401).json({ error: authError });
+    }
+
+    const found = findOwnedCandidate(identityKey, req.body?.candidateId);
+    if (found.error) {
+      return res.status(found.status).json({ error: found.error });
+    }
+
+    const { candidate } = found;
+    const user = ensureUser(identityKey);
+    const isPremium = user.isPremium === true;
+    const kind = isPremium ? "premium" : "free";
+
+    let out = candidate.expanded?.kind === kind ? candidate.expanded : null;
+
+    if (!out) {
+      const scan = store.scans.get(candidate.scanId, { withImage: true });
+      if (!scan) {
+        return res.status(404).json({ error: "SCAN_NOT_FOUND" });
+      }
+
+      out = await generateRecipeFromScan({
+        scan,
+        isPremium,
+        imageDataUrls: getScanImageUrls(scan),
+        pantryItems: scan.usePantry ? store.pantry.list(identityKey) : [],
+        expiringItems: scan.prioritizeExpiring ? getExpiringForPrompt(identityKey) : [],
+        diet: getDietProfile(user, scan),
+        taste: getTasteProfile(identityKey),
+        unitSystem: user.unitSystem || null,
+        locale: scan.locale || user.locale || null,
+        direction: {
+          title: candidate.title,
+          cuisine: candidate.cuisine,
+          mealType: candidate.mealType,
+          summary: `${candidate.summary} Built on: ${(candidate.keyIngredients || []).join(", ")}.`,
+        },
+      });
+
+      if (out.kind === "error") {
+        const failed = toGenerationError(out);
+        return res.status(failed.status).json(failed.body);
+      }
+
+      store.candidates.update(candidate.id, { expanded: out });
+    }
+
+    const { kind: _kind, ...recipe } = out;
+    return res.json({
+      scanId: candidate.scanId,
+      candidateId: candidate.id,
+      isPremium,
+      mealType: candidate.mealType,
+      ...recipe,
+    });
+  } catch (err) {
+    log.error("REQUEST ERROR", { err });
+    return res.status(500).json({ error: err?.message || "AI processing failed" });
+  }
+});
+
+app.post("/candidates/regenerate", async (req, res) => {
+  let chargeId = null;
+  try {
+    const { identityKey, authError, clientIp } = getRequestIdentity(req);
+    if (!identityKey) {
+      return res.status(401).json({ error: authError });
+    }
+
+    const found = findOwnedCandidate(identityKey, req.body?.candidateId);
+    if (found.error) {
+      return res.status(found.status).json({ error: found.error });
+    }
+
+    const { candidate } = found;
+    const scan = store.scans.get(candidate.scanId, { withImage: true });
+    if (!scan) {
+      return res.status(404).json({ error: "SCAN_NOT_FOUND" });
+    }
+
+    const user = ensureUser(identityKey);
+    const isPremium = user.isPremium === true;
+    const tier = getUserTier(user);
+    const regensPerScan = policy.getRegensPerScan(tier);
+
+    if (regensPerScan !== null && (scan.regenCount || 0) >= regensPerScan) {
+      return res.status(403).json({ error: "REGEN_LIMIT_REACHED" });
+    }
+
+    const cd = enforceCooldown({ user, tier, action: "regenerate" });
+    if (!cd.ok) {
+      return res.status(429).json({
+        error: "TOO_MANY_REQUESTS",
+        retryAfterSeconds: cd.retryAfterSeconds,
+      });
+    }
+
+    const spent = chargeQuota({ user, tier, action: "regenerate", clientIp });
+    if (spent.refused) {
+      return res.status(spent.refused.status).json(spent.refused.body);
+    }
+
+    let regenScanId = null;
+    if (regensPerScan !== null) {
+      if (!store.scans.consumeRegen(scan.id, regensPerScan)) {
+        refundQuota(identityKey, spent);
+        return res.status(403).json({ error: "REGEN_LIMIT_REACHED" });
+      }
+      regenScanId = scan.id;
+    }
+    chargeId = store.charges.hold(identityKey, {
+      action: "regenerate",
+      scanId: scan.id,
+      ...spent,
+      regenScanId,
+    }).id;
+
+    const pantryItems = scan.usePantry ? store.pantry.list(identityKey) : [];
+    const out = await generateRecipeCandidates({
+      scan,
+      isPremium,
+      imageDataUrls: getScanImageUrls(scan),
+      slots: [{ cuisine: candidate.slotCuisine, mealType: candidate.slotMealType }],
+      pantryItems,
+      expiringItems: scan.prioritizeExpiring ? getExpiringForPrompt(identityKey) : [],
+      avoidTitles: store.candidates.listForScan(scan.id).map((c) => c.title),
+      diet: getDietProfile(user, scan),
+      taste: getTasteProfile(identityKey),
+      locale: scan.locale || user.locale || null,
+    });
+
+    if (out.kind === "error") {
+      const failed = toGenerationError(out);
+      const charge = settleCharge(chargeId, { ok: false, error: failed.body.error });
+      return res.status(failed.status).json({ ...failed.body, charge: toPublicCharge(charge) });
+    }
+
+    const [next] = rankCandidates(out.candidates, {
+      detectedItems: scan.detectedItems || [],
+      pantryItems,
+    });
+    const updated = store.candidates.update(candidate.id, {
+      title: next.title,
+      cuisine: next.cuisine,
+      mealType: next.mealType,
+      summary: next.summary,
+      keyIngredients: next.keyIngredients,
+      score: next.score,
+      expanded: null,
+    });
+    const charge = settleCharge(chargeId, { ok: true });
+
+    return res.json({
+      scanId: scan.id,
+      candidate: toPublicCandidate(updated),
+      charge: toPublicCharge(charge),
+    });
+  } catch (err) {
+    if (chargeId) settleCharge(chargeId, { ok: false, error: "INTERNAL" });
+    log.error("REQUEST ERROR", { err });
+    return res.status(500).json({ error: err?.message || "AI processing failed" });
+  }
+});
+
+/* ---------------- COOKBOOK ---------------- */
+
+function readPageOptions(body) {
+  const limit = Number.isInteger(body?.limit) ? Math.min(Math.max(body.limit, 1), 100) : 20;
+  const beforeMs = Number.isFinite(body?.beforeMs) ? body.beforeMs : null;
+  return { limit, beforeMs };
+}
+
+function toPublicSavedRecipe(r) {
+  return {
+    recipeId: r.id,
+    scanId: r.scanId,
+    candidateId: r.candidateId,
+    kind: r.kind,
+    title: r.title,
+    mealType: r.mealType,
+    isFavorite: r.isFavorite,
+    createdMs: r.createdMs,
+    recipe: r.payload,
+  };
+}
+
+function toHistoryEntry(scan) {
+  return {
+    scanId: scan.id,
+    createdMs: scan.createdMs,
+    updatedMs: scan.updatedMs ?? null,
+    mealType: scan.mealType,
+    regenCount: scan.regenCount,
+    title: scan.lastRecipe?.title || null,
+    kind: scan.lastRecipe?.kind || null,
+  };
+}
+
+function findOwnedSavedRecipe(identityKey, recipeId) {
+  if (!recipeId || typeof recipeId !== "string") {
+    return { status: 400, error: "MISSING_RECIPE_ID" };
+  }
+  const recipe = store.savedRecipes.get(recipeId);
+  if (!recipe) {
+    return { status: 404, error: "RECIPE_NOT_FOUND" };
+  }
+  if (recipe.ownerKey !== identityKey) {
+    return { status: 403, error: "RECIPE_FORBIDDEN" };
+  }
+  return { recipe };
+}
+
+// Resolves a recipe reference: a saved recipe, an expanded candidate or a
+// scan's latest recipe.
+function findRecipeSource(identityKey, { scanId, candidateId, recipeId }) {
+  if (typeof recipeId === "string" && recipeId) {
+    const found = findOwnedSavedRecipe(identityKey, recipeId);
+    if (found.error) return found;
+    const { recipe } = found;
+    return {
+      source: {
+        scanId: recipe.scanId,
+        candidateId: recipe.candidateId,
+        mealType: recipe.mealType,
+        cuisine: recipe.payload?.cuisine || null,
+        out: { kind: recipe.kind, ...recipe.payload },
+      },
+    };
+  }
+
+  if (typeof candidateId === "string" && candidateId) {
+    const found = findOwnedCandidate(identityKey, candidateId);
+    if (found.error) return found;
+    if (!found.candidate.expanded) {
+      return { status: 409, error: "CANDIDATE_NOT_EXPANDED" };
+    }
+    return {
+      source: {
+        scanId: found.candidate.scanId,
+        candidateId: found.candidate.id,
+        mealType: found.candidate.mealType,
+        cuisine: found.candidate.cuisine,
+        out: found.candidate.expanded,
+      },
+    };
+  }
+
+  if (!scanId || typeof scanId !== "string") {
+    return { status: 400, error: "Missing scanId" };
+  }
+  const scan = store.scans.get(scanId);
+  if (!scan) {
+    return { status: 404, error: "SCAN_NOT_FOUND" };
+  }
+  if (scan.ownerKey !== identityKey) {
+    return { status: 403, error: "SCAN_FORBIDDEN" };
+  }
+  if (!scan.lastRecipe) {
+    return { status: 409, error: "NO_RECIPE_TO_SAVE" };
+  }
+  return {
+    source: {
+      scanId,
+      candidateId: null,
+      mealType: scan.mealType,
+      cuisine: scan.lastRecipe.cuisine || null,
+      out: scan.lastRecipe,
+    },
+  };
+}
+
+app.post("/cookbook/save", (req, res) => {
+  try {
+    const { identityKey, authError } = getRequestIdentity(req);
+    if (!identityKey) {
+      return res.status(401).json({ error: authError });
+    }
+
+    ensureUser(identityKey);
+
+    const found = findRecipeSource(identityKey, {
+      scanId: req.body?.scanId,
+      candidateId: req.body?.candidateId,
+    });
+    if (found.error) {
+      return res.status(found.status).json({ error: found.error });
+    }
+
+    const { scanId, candidateId, mealType, out } = found.source;
+    const { kind, ...payload } = out;
+
+    const existing = store.savedRecipes.findDuplicate(identityKey, {
+      scanId,
+      candidateId,
+      title: String(payload.title || "").trim() || "Fridge Find",
+    });
+    if (existing) {
+      return res.json({ alreadySaved: true, recipe: toPublicSavedRecipe(existing) });
+    }
+
+    const saved = store.savedRecipes.create(identityKey, {
+      scanId,
+      candidateId,
+      kind,
+      mealType,
+      payload,
+    });
+
+    return res.json({ alreadySaved: false, recipe: toPublicSavedRecipe(saved) });
+  } catch (err) {
+    log.error("COOKBOOK ERROR", { err });
+    return res.status(500).json({ error: "COOKBOOK_FAILED" });
+  }
+});
+
+app.post("/cookbook/list", (req, res) => {
+  try {
+    const { identityKey, authError } = getRequestIdentity(req);
+    if (!identityKey) {
+      return res.status(401).json({ error: authError });
+    }
+
+    const { query, favoritesOnly } = req.body || {};
+    const recipes = store.savedRecipes.list(identityKey, {
+      query: typeof query === "string" ? query : "",
+      favoritesOnly: favoritesOnly === true,
+      ...readPageOptions(req.body),
+    });
+
+    return res.json({ recipes: recipes.map(toPublicSavedRecipe) });
+  } catch (err) {
+    log.error("COOKBOOK ERROR", { err });
+    return res.status(500).json({ error: "COOKBOOK_FAILED" });
+  }
+});
+
+app.post("/cookbook/get", (req, res) => {
+  try {
+    const { identityKey, authError } = getRequestIdentity(req);
+    if (!identityKey) {
+      return res.status(401).json({ error: authError });
+    }
+
+    const found = findOwnedSavedRecipe(identityKey, req.body?.recipeId);
+    if (found.error) {
+      return res.status(found.status).json({ error: found.error });
+    }
+
+    return res.json({ recipe: toPublicSavedRecipe(found.recipe) });
+  } catch (err) {
+    log.error("COOKBOOK ERROR", { err });
+    return res.status(500).json({ error: "COOKBOOK_FAILED" });
+  }
+});
+
+app.post("/cookbook/favorite", (req, res) => {
+  try {
+    const { identityKey, authError } = getRequestIdentity(req);
+    if (!identityKey) {
+      return res.status(401).json({ error: authError });
+    }
+
+    const found = findOwnedSavedRecipe(identityKey, req.body?.recipeId);
+    if (found.error) {
+      return res.status(found.status).json({ error: found.error });
+    }
+
+    const recipe = store.savedRecipes.update(found.recipe.id, {
+      isFavorite: req.body?.isFavorite !== false,
+    });
+    return res.json({ recipe: toPublicSavedRecipe(recipe) });
+  } catch (err) {
+    log.error("COOKBOOK ERROR", { err });
+    return res.status(500).json({ error: "COOKBOOK_FAILED" });
+  }
+});
+
+app.post("/cookbook/delete", (req, res) => {
+  try {
+    const { identityKey, authError } = getRequestIdentity(req);
+    if (!identityKey) {
+      return res.status(401).json({ error: authError });
+    }
+
+    const found = findOwnedSavedRecipe(identityKey, req.body?.recipeId);
+    if (found.error) {
+      return res.status(found.status).json({ error: found.error });
+    }
+
+    store.savedRecipes.remove(found.recipe.id);
+    return res.json({ ok: true });
+  } catch (err) {
+    log.error("COOKBOOK ERROR", { err });
+    return res.status(500).json({ error: "COOKBOOK_FAILED" });
+  }
+});
+
+app.post("/history/list", (req, res) => {
+  try {
+    const { identityKey, authError } = getRequestIdentity(req);
+    if (!identityKey) {
+      return res.status(401).json({ error: authError });
+    }
+
+    cleanupOldScans(14);
+
+    const scans = store.scans.listForOwner(identityKey, readPageOptions(req.body));
+    return res.json({ scans: scans.map(toHistoryEntry) });
+  } catch (err) {
+    log.error("HISTORY ERROR", { err });
+    return res.status(500).json({ error: "HISTORY_FAILED" });
+  }
+});
+
+app.post("/history/delete", (req, res) => {
+  try {
+    const { identityKey, authError } = getRequestIdentity(req);
+    if (!identityKey) {
+      return res.status(401).json({ error: authError });
+    }
+
+    const { scanId } = req.body || {};
+    if (!scanId || typeof scanId !== "string") {
+      return res.status(400).json({ error: "Missing scanId" });
+    }
+
+    const scan = store.scans.get(scanId);
+    if (!scan) {
+      return res.status(404).json({ error: "SCAN_NOT_FOUND" });
+    }
+    if (scan.ownerKey !== identityKey) {
+      return res.status(403).json({ error: "SCAN_FORBIDDEN" });
+    }
+
+    store.scans.remove(scanId);
+    return res.json({ ok: true });
+  } catch (err) {
+    log.error("HISTORY ERROR", { err });
+    return res.status(500).json({ error: "HISTORY_FAILED" });
+  }
+});
+
+/* ---------------- SCALING & UNITS ---------------- */
+
+function readUnitSystem(value) {
+  if (value === undefined || value === null) return { unitSystem: null };
+  if (!UNIT_SYSTEMS.includes(value)) {
+    return { error: "INVALID_UNIT_SYSTEM", supported: UNIT_SYSTEMS };
+  }
+  return { unitSystem: value };
+}
+
+// Returns a premium recipe (latest for a scan, expanded candidate or saved
+// recipe) rescaled to `servings` and converted to `unitSystem`, which defaults
+// to the user's preference. Nothing is stored.
+app.post("/recipes/scale", (req, res) => {
+  try {
+    const { identityKey, authError } = getRequestIdentity(req);
+    if (!identityKey) {
+      return res.status(401).json({ error: authError });
+    }
+
+    const user = ensureUser(identityKey);
+
+    const { servings } = req.body || {};
+    if (
+      servings !== undefined &&
+      (typeof servings !== "number" || !(servings > 0) || servings > MAX_SERVINGS)
+    ) {
+      return res.status(400).json({ error: "INVALID_SERVINGS", max: MAX_SERVINGS });
+    }
+
+    const units = readUnitSystem(req.body?.unitSystem);
+    if (units.error) {
+      const { error, ...details } = units;
+      return res.status(400).json({ error, ...details });
+    }
+
+    const found = findRecipeSource(identityKey, {
+      scanId: req.body?.scanId,
+      candidateId: req.body?.candidateId,
+      recipeId: req.body?.recipeId,
+    });
+    if (found.error) {
+      return res.status(found.status).json({ error: found.error });
+    }
+
+    // Free recipes have bare ingredient names, so there is nothing to scale.
+    const { out } = found.source;
+    if (out.kind !== "premium") {
+      return res.status(409).json({ error: "RECIPE_NOT_SCALABLE" });
+    }
+
+    const unitSystem = units.unitSystem || user.unitSystem || null;
+    const { kind, ...recipe } = scaleRecipe(out, { servings: servings || null, unitSystem });
+
+    return res.json({ unitSystem, recipe });
+  } catch (err) {
+    log.error("SCALE ERROR", { err });
+    return res.status(500).json({ error: "SCALE_FAILED" });
+  }
+});
+
+// { unitSystem: "metric" | "imperial" | null }; null goes back to whatever the
+// model picks.
+app.post("/units/set", (req, res) => {
+  try {
+    const { identityKey, authError } = getRequestIdentity(req);
+    if (!identityKey) {
+      return res.status(401).json({ error: authError });
+    }
+
+    const units = readUnitSystem(req.body?.unitSystem);
+    if (units.error) {
+      const { error, ...details } = units;
+      return res.status(400).json({ error, ...details });
+    }
+
+    ensureUser(identityKey);
+    const user = store.users.update(identityKey, { unitSystem: units.unitSystem });
+    return res.json({ unitSystem: user.unitSystem || null });
+  } catch (err) {
+    log.error("UNITS ERROR", { err });
+    return res.status(500).json({ error: "UNITS_FAILED" });
+  }
+});
+
+/* ---------------- SHARING & EXPORT ---------------- */
+
+// Share URLs use PUBLIC_BASE_URL when set, otherwise the host the request came in on.
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || "").replace(/\/+$/, "");
+
+function getShareUrl(req, shareId) {
+  return `${PUBLIC_BASE_URL || `${req.protocol}://${req.get("host")}`}/s/${shareId}`;
+}
+
+function toPublicShareLink(link, req) {
+  return {
+    shareId: link.id,
+    url: getShareUrl(req, link.id),
+    title: link.title,
+    kind: link.payload?.kind || null,
+    scanId: link.scanId,
+    candidateId: link.candidateId,
+    recipeId: link.recipeId,
+    viewCount: link.viewCount,
+    createdMs: link.createdMs,
+  };
+}
+
+function findOwnedShareLink(identityKey, shareId) {
+  if (!shareId || typeof shareId !== "string") {
+    return { status: 400, error: "MISSING_SHARE_ID" };
+  }
+  const link = store.shareLinks.get(shareId);
+  if (!link) {
+    return { status: 404, error: "SHARE_NOT_FOUND" };
+  }
+  if (link.ownerKey !== identityKey) {
+    return { status: 403, error: "SHARE_FORBIDDEN" };
+  }
+  return { link };
+}
+
+// Same recipe references as /cookbook/save. The link snapshots the recipe as it
+// is now; later regenerations don't change what it shows.
+app.post("/share/create", (req, res) => {
+  try {
+    const { identityKey, authError } = getRequestIdentity(req);
+    if (!identityKey) {
+      return res.status(401).json({ error: authError });
+    }
+
+    ensureUser(identityKey);
+
+    const recipeId = req.body?.recipeId;
+    const found = findRecipeSource(identityKey, {
+      scanId: req.body?.scanId,
+      candidateId: req.body?.candidateId,
+      recipeId,
+    });
+    if (found.error) {
+      return res.status(found.status).json({ error: found.error });
+    }
+
+    const { source } = found;
+    const doc = toRecipeDocument(source.out, { mealType: source.mealType });
+    const link = store.shareLinks.create(identityKey, {
+      scanId: source.scanId || null,
+      candidateId: source.candidateId || null,
+      recipeId: typeof recipeId === "string" && recipeId ? recipeId : null,
+      title: doc.title,
+      payload: doc,
+    });
+
+    return res.json({ share: toPublicShareLink(link, req) });
+  } catch (err) {
+    log.error("SHARE ERROR", { err });
+    return res.status(500).json({ error: "SHARE_FAILED" });
+  }
+});
+
+app.post("/share/list", (req, res) => {
+  try {
+    const { identityKey, authError } = getRequestIdentity(req);
+    if (!identityKey) {
+      return res.status(401).json({ error: authError });
+    }
+
+    const links = store.shareLinks.list(identityKey, readPageOptions(req.body));
+    return res.json({ shares: links.map((link) => toPublicShareLink(link, req)) });
+  } catch (err) {
+    log.error("SHARE ERROR", { err });
+    return res.status(500).json({ error: "SHARE_FAILED" });
+  }
+});
+
+// The public page stops working right away; revoking twice is a no-op.
+app.post("/share/revoke", (req, res) => {
+  try {
+    const { identityKey, authError } = getRequestIdentity(req);
+    if (!identityKey) {
+      return res.status(401).json({ error: authError });
+    }
+
+    const found = findOwnedShareLink(identityKey, req.body?.shareId);
+    if (found.error) {
+      return res.status(found.status).json({ error: found.error });
+    }
+
+    store.shareLinks.revoke(found.link.id);
+    return res.json({ ok: true });
+  } catch (err) {
+    log.error("SHARE ERROR", { err });
+    return res.status(500).json({ error: "SHARE_FAILED" });
+  }
+});
+
+// Read-only recipe page for a share link; no identity needed. Unknown and
+// revoked links look the same from outside.
+app.get("/s/:shareId", (req, res) => {
+  try {
+    res.set({
+      "content-security-policy": "default-src 'none'; style-src 'unsafe-inline'",
+      "cache-control": "no-cache",
+      "x-robots-tag": "noindex",
+    });
+
+    const link = store.shareLinks.get(req.params.shareId);
+    if (!link || link.revokedMs) {
+      return res.status(404).type("html").send(renderNotFoundPage());
+    }
+
+    store.shareLinks.recordView(link.id);
+    const html = toHtml(link.payload, {
+      url: getShareUrl(req, link.id),
+      createdMs: link.createdMs,
+      footer: "Shared from FridgeSnap",
+      robots: false,
+    });
+    return res.type("html").send(html);
+  } catch (err) {
+    log.error("SHARE ERROR", { err });
+    return res.status(500).type("text/plain").send("Something went wrong.");
+  }
+});
+
+// { scanId | candidateId | recipeId, format: "jsonld" | "markdown" | "html" }.
+// Responds with the document itself; "html" is a printable page.
+app.post("/recipes/export", (req, res) => {
+  try {
+    const { identityKey, authError } = getRequestIdentity(req);
+    if (!identityKey) {
+      return res.status(401).json({ error: authError });
+    }
+
+    const { format } = req.body || {};
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: "INVALID_FORMAT", formats: EXPORT_FORMATS });
+    }
+
+    const found = findRecipeSource(identityKey, {
+      scanId: req.body?.scanId,
+      candidateId: req.body?.candidateId,
+      recipeId: req.body?.recipeId,
+    });
+    if (found.error) {
+      return res.status(found.status).json({ error: found.error });
+    }
+
+    const doc = toRecipeDocument(found.source.out, { mealType: found.source.mealType });
+    return res.type(EXPORT_CONTENT_TYPES[format]).send(renderRecipe(doc, format));
+  } catch (err) {
+    log.error("EXPORT ERROR", { err });
+    return res.status(500).json({ error: "EXPORT_FAILED" });
+  }
+});
+
+/* ---------------- RATINGS ---------------- */
+
+function toPublicRating(r) {
+  return {
+    ratingId: r.id,
+    scanId: r.scanId || null,
+    candidateId: r.candidateId || null,
+    recipeId: r.recipeId || null,
+    title: r.title,
+    cuisine: r.cuisine || null,
+    thumb: r.thumb || null,
+    stars: r.stars ?? null,
+    tags: r.tags || [],
+    createdMs: r.createdMs,
+    updatedMs: r.updatedMs,
+  };
+}
+
+function findOwnedRating(identityKey, ratingId) {
+  if (!ratingId || typeof ratingId !== "string") {
+    return { status: 400, error: "MISSING_RATING_ID" };
+  }
+  const rating = store.ratings.get(ratingId);
+  if (!rating) {
+    return { status: 404, error: "RATING_NOT_FOUND" };
+  }
+  if (rating.ownerKey !== identityKey) {
+    return { status: 403, error: "RATING_FORBIDDEN" };
+  }
+  return { rating };
+}
+
+// Which recipe a rating belongs to. A scan's recipe is told apart by title,
+// since regenerating replaces it.
+function getRatingSourceKey(source, recipeId, title) {
+  if (recipeId) return `recipe:${recipeId}`;
+  if (source.candidateId) return `candidate:${source.candidateId}`;
+  return `scan:${source.scanId}:${title.toLowerCase()}`;
+}
+
+// Same recipe references as /cookbook/save plus { recipeId }, and any of
+// { thumb: "up" | "down", stars: 1-5, tags }. Rating a recipe again replaces
+// the earlier rating.
+app.post("/ratings/set", (req, res) => {
+  try {
+    const { identityKey, authError } = getRequestIdentity(req);
+    if (!identityKey) {
+      return res.status(401).json({ error: authError });
+    }
+
+    const parsed = normalizeRatingInput(req.body || {});
+    if (parsed.error) {
+      const { error, ...details } = parsed;
+      return res.status(400).json({ error, ...details });
+    }
+
+    ensureUser(identityKey);
+
+    const recipeId = typeof req.body?.recipeId === "string" ? req.body.recipeId : null;
+    const found = findRecipeSource(identityKey, {
+      scanId: req.body?.scanId,
+      candidateId: req.body?.candidateId,
+      recipeId,
+    });
+    if (found.error) {
+      return res.status(found.status).json({ error: found.error });
+    }
+
+    const { source } = found;
+    const title = String(source.out?.title || "").trim() || "Fridge Find";
+    const rating = store.ratings.upsert(identityKey, {
+      sourceKey: getRatingSourceKey(source, recipeId, title),
+      scanId: source.scanId || null,
+      candidateId: source.candidateId || null,
+      recipeId,
+      title,
+      cuisine: normalizeCuisine(source.cuisine),
+      ...parsed.rating,
+    });
+
+    return res.json({ rating: toPublicRating(rating) });
+  } catch (err) {
+    log.error("RATING ERROR", { err });
+    return res.status(500).json({ error: "RATING_FAILED" });
+  }
+});
+
+app.post("/ratings/list", (req, res) => {
+  try {
+    const { identityKey, authError } = getRequestIdentity(req);
+    if (!identityKey) {
+      return res.status(401).json({ error: authError });
+    }
+
+    const ratings = store.ratings.list(identityKey, readPageOptions(req.body));
+    return res.json({ ratings: ratings.map(toPublicRating) });
+  } catch (err) {
+    log.error("RATING ERROR", { err });
+    return res.status(500).json({ error: "RATING_FAILED" });
+  }
+});
+
+app.post("/ratings/delete", (req, res) => {
+  try {
+    const { identityKey, authError } = getRequestIdentity(req);
+    if (!identityKey) {
+      return res.status(401).json({ error: authError });
+    }
+
+    const found = findOwnedRating(identityKey, req.body?.ratingId);
+    if (found.error) {
+      return res.status(found.status).json({ error: found.error });
+    }
+
+    store.ratings.remove(found.rating.id);
+    return res.json({ ok: true });
+  } catch (err) {
+    log.error("RATING ERROR", { err });
+    return res.status(500).json({ error: "RATING_FAILED" });
+  }
+});
+
+// What the picker has learned: a weight per cuisine (1 is neutral) and the
+// feedback tags currently shaping the prompts.
+app.post("/taste/get", (req, res) => {
+  try {
+    const { identityKey, authError } = getRequestIdentity(req);
+    if (!identityKey) {
+      return res.status(401).json({ error: authError });
+    }
+
+    const taste = getTasteProfile(identityKey);
+    return res.json({
+      ...taste,
+      explorationRate: EXPLORATION_RATE,
+      supportedTags: RATING_TAGS,
+    });
+  } catch (err) {
+    log.error("TASTE ERROR", { err });
+    return res.status(500).json({ error: "TASTE_FAILED" });
+  }
+});
+
+/* ---------------- TIMEZONE ---------------- */
+
+function readTimeZone(value) {
+  if (value === undefined || value === null) return { timeZone: null };
+  const timeZone = normalizeTimeZone(value);
+  return timeZone ? { timeZone } : { error: "INVALID_TIMEZONE" };
+}
+
+// { timezone: IANA name | null }; null goes back to DEFAULT_TIMEZONE. Usage
+// so far this week carries over, and a lock moves to the new week's end.
+app.post("/timezone/set", (req, res) => {
+  try {
+    const { identityKey, authError } = getRequestIdentity(req);
+    if (!identityKey) {
+      return res.status(401).json({ error: authError });
+    }
+
+    const { timeZone, error } = readTimeZone(req.body?.timezone);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const user = store.transaction(() => {
+      const current = ensureUser(identityKey);
+      policy.carryUsage(identityKey, current.timeZone, timeZone);
+
+      const week = policy.getWeekWindow(timeZone);
+      return store.users.update(identityKey, {
+        timeZone,
+        weekStartMs: week.startMs,
+        unlockAtMs: current.isLockedUntilReset ? week.endMs : current.unlockAtMs,
+      });
+    });
+
+    const effective = user.timeZone || DEFAULT_TIME_ZONE;
+    const { endMs } = policy.getWeekWindow(effective);
+    return res.json({
+      timezone: effective,
+      isDefault: !user.timeZone,
+      weekResetsAtMs: endMs,
+      weekResetsAtLocal: formatLocalTime(endMs, effective),
+    });
+  } catch (err) {
+    log.error("TIMEZONE ERROR", { err });
+    return res.status(500).json({ error: "TIMEZONE_FAILED" });
+  }
+});
+
+/* ---------------- DIET ---------------- */
+
+app.post("/diet/get", (req, res) => {
+  try {
+    const { identityKey, authError } = getRequestIdentity(req);
+    if (!identityKey) {
+      return res.status(401).json({ error: authError });
+    }
+
+    const user = ensureUser(identityKey);
+    return res.json({ dietProfile: user.dietProfile || emptyDietProfile() });
+  } catch (err) {
+    log.error("DIET ERROR", { err });
+    return res.status(500).json({ error: "DIET_FAILED" });
+  }
+});
+
+// Replaces the whole profile: { diets: [...], allergens: [...] }.
+app.post("/diet/set", (req, res) => {
+  try {
+    const { identityKey, authError } = getRequestIdentity(req);
+    if (!identityKey) {
+      return res.status(401).json({ error: authError });
+    }
+
+    const parsed = normalizeDietProfile(req.body || {});
+    if (parsed.error) {
+      const { error, ...details } = parsed;
+      return res.status(400).json({ error, ...details });
+    }
+
+    ensureUser(identityKey);
+    const user = store.users.update(identityKey, { dietProfile: parsed.profile });
+    return res.json({ dietProfile: user.dietProfile });
+  } catch (err) {
+    log.error("DIET ERROR", { err });
+    return res.status(500).json({ error: "DIET_FAILED" });
+  }
+});
+
+/* ---------------- PANTRY ---------------- */
+
+function readPantryItemInput(body) {
+  const { name, category, quantity, shelfLifeDays, expiresMs } = body || {};
+  const out = {};
+
+  if (name !== undefined) {
+    if (typeof name !== "string" || !normalizeItemName(name)) {
+      return { error: "INVALID_NAME" };
+    }
+    out.name = name.trim();
+  }
+  if (category !== undefined) {
+    if (!PANTRY_CATEGORIES.includes(category)) {
+      return { error: "INVALID_CATEGORY" };
+    }
+    out.category = category;
+  }
+  if (quantity !== undefined) {
+    if (typeof quantity !== "string") {
+      return { error: "INVALID_QUANTITY" };
+    }
+    out.quantity = quantity.trim();
+  }
+  if (shelfLifeDays !== undefined) {
+    if (shelfLifeDays !== null && !(Number.isInteger(shelfLifeDays) && shelfLifeDays > 0)) {
+      return { error: "INVALID_SHELF_LIFE" };
+    }
+    out.shelfLifeDays = shelfLifeDays;
+  }
+  if (expiresMs !== undefined) {
+    if (expiresMs !== null && !(Number.isFinite(expiresMs) && expiresMs > 0)) {
+      return { error: "INVALID_EXPIRES_MS" };
+    }
+    out.expiresMs = expiresMs;
+  }
+
+  return { value: out };
+}
+
+function findOwnedPantryItem(identityKey, itemId) {
+  if (!itemId || typeof itemId !== "string") {
+    return { status: 400, error: "MISSING_ITEM_ID" };
+  }
+  const item = store.pantry.get(itemId);
+  if (!item) {
+    return { status: 404, error: "PANTRY_ITEM_NOT_FOUND" };
+  }
+  if (item.ownerKey !== identityKey) {
+    return { status: 403, error: "PANTRY_ITEM_FORBIDDEN" };
+  }
+  return { item };
+}
+
+app.post("/pantry/list", (req, res) => {
+  try {
+    const { identityKey, authError } = getRequestIdentity(req);
+    if (!identityKey) {
+      return res.status(401).json({ error: authError });
+    }
+
+    ensureUser(identityKey);
+    const includeUsed = req.body?.includeUsed === true;
+
+    return res.json({
+      items: store.pantry.list(identityKey, { includeUsed }).map(toPublicPantryItem),
+    });
+  } catch (err) {
+    log.error("PANTRY ERROR", { err });
+    return res.status(500).json({ error: "PANTRY_FAILED" });
+  }
+});
+
+app.post("/pantry/expiring", (req, res) => {
+  try {
+    const { identityKey, authError } = getRequestIdentity(req);
+    if (!identityKey) {
+      return res.status(401).json({ error: authError });
+    }
+
+    const withinDays = Number.isFinite(req.body?.withinDays)
+      ? Math.min(Math.max(req.body.withinDays, 0), 60)
+      : 3;
+
+    ensureUser(identityKey);
+    const items = pickExpiringItems(store.pantry.list(identityKey), { withinDays });
+
+    return res.json({
+      withinDays,
+      items: items.map(toPublicPantryItem),
+    });
+  } catch (err) {
+    log.error("PANTRY ERROR", { err });
+    return res.status(500).json({ error: "PANTRY_FAILED" });
+  }
+});
+
+app.post("/pantry/add", (req, res) => {
+  try {
+    const { identityKey, authError } = getRequestIdentity(req);
+    if (!identityKey) {
+      return res.status(401).json({ error: authError });
+    }
+
+    const input = readPantryItemInput(req.body);
+    if (input.error) {
+      return res.status(400).json({ error: input.error });
+    }
+    if (!input.value.name) {
+      return res.status(400).json({ error: "INVALID_NAME" });
+    }
+
+    ensureUser(identityKey);
+    const item = store.pantry.upsert(identityKey, { ...input.value, source: "manual" });
+
+    return res.json({ item: toPublicPantryItem(item) });
+  } catch (err) {
+    log.error("PANTRY ERROR", { err });
+    return res.status(500).json({ error: "PANTRY_FAILED" });
+  }
+});
+
+app.post("/pantry/edit", (req, res) => {
+  try {
+    const { identityKey, authError } = getRequestIdentity(req);
+    if (!identityKey) {
+      return res.status(401).json({ error: authError });
+    }
+
+    const found = findOwnedPantryItem(identityKey, req.body?.itemId);
+    if (found.error) {
+      return res.status(found.status).json({ error: found.error });
+    }
+
+    const input = readPantryItemInput(req.body);
+    if (input.error) {
+      return res.status(400).json({ error: input.error });
+    }
+
+    const { name, ...rest } = input.value;
+    if (name !== undefined) {
+      const renamed = store.pantry.rename(found.item.id, name);
+      if (!renamed.ok) {
+        return res.status(409).json({ error: renamed.error });
+      }
+    }
+
+    const item = store.pantry.update(found.item.id, rest);
+    return res.json({ item: toPublicPantryItem(item) });
+  } catch (err) {
+    log.error("PANTRY ERROR", { err });
+    return res.status(500).json({ error: "PANTRY_FAILED" });
+  }
+});
+
+app.post("/pantry/remove", (req, res) => {
+  try {
+    const { identityKey, authError } = getRequestIdentity(req);
+    if (!identityKey) {
+      return res.status(401).json({ error: authError });
+    }
+
+    const found = findOwnedPantryItem(identityKey, req.body?.itemId);
+    if (found.error) {
+      return res.status(found.status).json({ error: found.error });
+    }
+
+    store.pantry.remove(found.item.id);
+    return res.json({ ok: true });
+  } catch (err) {
+    log.error("PANTRY ERROR", { err });
+    return res.status(500).json({ error: "PANTRY_FAILED" });
+  }
+});
+
+app.post("/pantry/markUsed", (req, res) => {
+  try {
+    const { identityKey, authError } = getRequestIdentity(req);
+    if (!identityKey) {
+      return res.status(401).json({ error: authError });
+    }
+
+    const found = findOwnedPantryItem(identityKey, req.body?.itemId);
+    if (found.error) {
+      return res.status(found.status).json({ error: found.error });
+    }
+
+    const item = store.pantry.markUsed(found.item.id);
+    return res.json({ item: toPublicPantryItem(item) });
+  } catch (err) {
+    log.error("PANTRY ERROR", { err });
+    return res.status(500).json({ error: "PANTRY_FAILED" });
+  }
+});
+
+/* ---------------- SHOPPING ---------------- */
+
+const SHOPPING_MAX_RECIPES = 10;
+
+// What the user already has for a recipe: the scan's corrected ingredients
+// (or its detection when nothing was corrected) plus any extras they typed.
+function getHaveNames(identityKey, scanId, pantryNames) {
+  const names = [...pantryNames];
+  const scan = scanId ? store.scans.get(scanId) : null;
+
+  if (scan && scan.ownerKey === identityKey) {
+    names.push(
+      ...(scan.correctedIngredientsText
+        ? parseIngredientList(scan.correctedIngredientsText)
+        : (scan.detectedItems || []).map((d) => d.name)),
+      ...parseIngredientList(scan.extraIngredientsText)
+    );
+  }
+
+  return names.map(normalizeItemName).filter(Boolean);
+}
 
-    const {
-      deviceId,
-      guestId,
-      imageBase64,
-      mealType,
-      extraIngredientsText,
-      nutritionGoals,
-      timeLimit,
-      difficulty,
-      equipment,
-    } = req.body || {};
+function toPublicShoppingItem(item) {
+  return {
+    itemId: item.id,
+    name: item.name,
+    amount: item.displayAmount,
+    amounts: item.amounts,
+    sources: item.sources,
+    isChecked: item.isChecked,
+  };
+}
+
+function toPublicShoppingList(list, items = null) {
+  return {
+    listId: list.id,
+    title: list.title,
+    createdMs: list.createdMs,
+    updatedMs: list.updatedMs,
+    ...(items
+      ? { items: items.map(toPublicShoppingItem) }
+      : { itemCount: list.itemCount, checkedCount: list.checkedCount }),
+  };
+}
 
-    const identityKey = getIdentityKey({ guestId, deviceId });
-    const fallbackDeviceKey =
-      deviceId && typeof deviceId === "string" ? `device:${deviceId}` : null;
+function findOwnedShoppingList(identityKey, listId) {
+  if (!listId || typeof listId !== "string") {
+    return { status: 400, error: "MISSING_LIST_ID" };
+  }
+  const list = store.shoppingLists.get(listId);
+  if (!list) {
+    return { status: 404, error: "LIST_NOT_FOUND" };
+  }
+  if (list.ownerKey !== identityKey) {
+    return { status: 403, error: "LIST_FORBIDDEN" };
+  }
+  return { list };
+}
 
+app.post("/shopping/create", (req, res) => {
+  try {
+    const { identityKey, authError } = getRequestIdentity(req);
     if (!identityKey) {
-      return res.status(400).json({ error: "Missing identity" });
+      return res.status(401).json({ error: authError });
     }
 
-    if (!imageBase64 || typeof imageBase64 !== "string") {
-      return res.status(400).json({ error: "Missing imageBase64" });
+    ensureUser(identityKey);
+
+    const { recipes, title, includePantry, includeStaples } = req.body || {};
+    if (!Array.isArray(recipes) || !recipes.length) {
+      return res.status(400).json({ error: "MISSING_RECIPES" });
+    }
+    if (recipes.length > SHOPPING_MAX_RECIPES) {
+      return res.status(400).json({ error: "TOO_MANY_RECIPES", max: SHOPPING_MAX_RECIPES });
     }
 
-    const user = ensureUser(identityKey, fallbackDeviceKey);
-    const isPremium = user.isPremium === true;
+    const pantryNames =
+      includePantry === false ? [] : store.pantry.list(identityKey).map((p) => p.name);
 
-    const ANALYZE_COOLDOWN_SECONDS = 60;
-    const cd = enforceCooldown({ user, kind: "analyze", seconds: ANALYZE_COOLDOWN_SECONDS });
-    if (!cd.ok) {
-      saveUsers();
-      return res.status(429).json({
-        error: "TOO_MANY_REQUESTS",
-        retryAfterSeconds: cd.retryAfterSeconds,
+    const sources = [];
+    for (const ref of recipes) {
+      const found = findRecipeSource(identityKey, ref || {});
+      if (found.error) {
+        return res.status(found.status).json({ error: found.error });
+      }
+      const { scanId, out } = found.source;
+      if (out.kind === "error") {
+        return res.status(409).json({ error: "NO_RECIPE_TO_SAVE" });
+      }
+      sources.push({
+        title: String(out.title || "").trim() || "Fridge Find",
+        payload: out,
+        haveNames: getHaveNames(identityKey, scanId, pantryNames),
       });
     }
-    saveUsers();
-
-    const FREE_LIMIT = 4;
-    if (!isPremium) {
-      if (user.freeUsedThisWeek >= FREE_LIMIT) {
-        const unlockAtMs = getNextWeekStartMs(user.weekStartMs);
-        user.isLockedUntilReset = true;
-        user.unlockAtMs = unlockAtMs;
-        saveUsers();
-
-        return res.status(403).json({
-          error: "FREE_LIMIT_REACHED",
-          usedThisWeek: user.freeUsedThisWeek,
-          limitPerWeek: FREE_LIMIT,
-          unlockAtMs,
-        });
-      }
 
-      user.freeUsedThisWeek += 1;
-      saveUsers();
-    }
-
-    const scanId = crypto.randomUUID();
-    scans[scanId] = {
-      ownerKey: identityKey,
-      createdMs: Date.now(),
-      imageBase64,
-      mealType: mealType || "any",
-      extraIngredientsText: extraIngredientsText || "",
-      correctedIngredientsText: "",
-      nutritionGoals: Array.isArray(nutritionGoals) ? nutritionGoals : [],
-      timeLimit: timeLimit || "any",
-      difficulty: difficulty || "any",
-      equipment: Array.isArray(equipment) ? equipment : [],
-      regenCount: 0,
-    };
-    saveScans();
+    const items = buildShoppingItems(sources, { skipStaples: includeStaples !== true });
+    const listTitle =
+      (typeof title === "string" && title.trim().slice(0, 80)) ||
+      (sources.length === 1 ? sources[0].title : `${sources.length} recipes`);
 
-    const imageDataUrl = makeDataUrl(imageBase64);
-    const detectedItems = await detectFoodItemsFromImage(imageDataUrl);
+    const list = store.shoppingLists.create(identityKey, { title: listTitle, items });
+    return res.json({ list: toPublicShoppingList(list, store.shoppingLists.listItems(list.id)) });
+  } catch (err) {
+    log.error("SHOPPING ERROR", { err });
+    return res.status(500).json({ error: "SHOPPING_FAILED" });
+  }
+});
 
-    const out = await generateRecipeFromScan({
-      scan: scans[scanId],
-      scanId,
-      isPremium,
-      imageDataUrl,
-      detectedItems,
-    });
+app.post("/shopping/list", (req, res) => {
+  try {
+    const { identityKey, authError } = getRequestIdentity(req);
+    if (!identityKey) {
+      return res.status(401).json({ error: authError });
+    }
 
-    if (out.kind === "error") {
-      const status = out.error === "NO_FOOD_DETECTED" ? 422 : 500;
-      return res.status(status).json({ error: out.error });
+    const lists = store.shoppingLists.listForOwner(identityKey, readPageOptions(req.body));
+    return res.json({ lists: lists.map((l) => toPublicShoppingList(l)) });
+  } catch (err) {
+    log.error("SHOPPING ERROR", { err });
+    return res.status(500).json({ error: "SHOPPING_FAILED" });
+  }
+});
+
+app.post("/shopping/get", (req, res) => {
+  try {
+    const { identityKey, authError } = getRequestIdentity(req);
+    if (!identityKey) {
+      return res.status(401).json({ error: authError });
     }
 
-    if (out.kind === "free") {
-      return res.json({
-        scanId,
-        isPremium: false,
-        mealType: mealType || "any",
-        title: out.title,
-        ingredients: out.ingredients,
-        recipe: out.recipe,
-        usedThisWeek: user.freeUsedThisWeek,
-        limitPerWeek: FREE_LIMIT,
-        detectedItems,
-      });
+    const found = findOwnedShoppingList(identityKey, req.body?.listId);
+    if (found.error) {
+      return res.status(found.status).json({ error: found.error });
     }
 
-    return res.json({
-      scanId,
-      isPremium: true,
-      mealType: mealType || "any",
-      title: out.title,
-      ingredients: out.ingredients,
-      steps: out.steps,
-      servings: out.servings,
-      timeMinutes: out.timeMinutes,
-      macros: out.macros,
-      detectedItems,
-    });
+    const items = store.shoppingLists.listItems(found.list.id);
+    return res.json({ list: toPublicShoppingList(found.list, items) });
   } catch (err) {
-    console.error(err);
-    return res.status(500).json({ error: err?.message || "AI processing failed" });
+    log.error("SHOPPING ERROR", { err });
+    return res.status(500).json({ error: "SHOPPING_FAILED" });
   }
 });
 
-app.post("/regenerate", async (req, res) => {
+app.post("/shopping/check", (req, res) => {
   try {
-    cleanupOldScans(14);
+    const { identityKey, authError } = getRequestIdentity(req);
+    if (!identityKey) {
+      return res.status(401).json({ error: authError });
+    }
 
-    const {
-      deviceId,
-      guestId,
-      scanId,
-      extraIngredientsText,
-      correctedIngredientsText,
-      mealType,
-      nutritionGoals,
-      timeLimit,
-      difficulty,
-      equipment,
-    } = req.body || {};
+    const found = findOwnedShoppingList(identityKey, req.body?.listId);
+    if (found.error) {
+      return res.status(found.status).json({ error: found.error });
+    }
+
+    const { itemId, isChecked } = req.body || {};
+    if (!itemId || typeof itemId !== "string") {
+      return res.status(400).json({ error: "MISSING_ITEM_ID" });
+    }
+    if (!store.shoppingLists.setChecked(found.list.id, itemId, isChecked !== false)) {
+      return res.status(404).json({ error: "ITEM_NOT_FOUND" });
+    }
 
-    const identityKey = getIdentityKey({ guestId, deviceId });
-    const fallbackDeviceKey =
-      deviceId && typeof deviceId === "string" ? `device:${deviceId}` : null;
+    const list = store.shoppingLists.get(found.list.id);
+    return res.json({ list: toPublicShoppingList(list, store.shoppingLists.listItems(list.id)) });
+  } catch (err) {
+    log.error("SHOPPING ERROR", { err });
+    return res.status(500).json({ error: "SHOPPING_FAILED" });
+  }
+});
 
+app.post("/shopping/export", (req, res) => {
+  try {
+    const { identityKey, authError } = getRequestIdentity(req);
     if (!identityKey) {
-      return res.status(400).json({ error: "Missing identity" });
+      return res.status(401).json({ error: authError });
     }
 
-    if (!scanId || typeof scanId !== "string") {
-      return res.status(400).json({ error: "Missing scanId" });
+    const found = findOwnedShoppingList(identityKey, req.body?.listId);
+    if (found.error) {
+      return res.status(found.status).json({ error: found.error });
     }
 
-    const scan = scans[scanId];
-    if (!scan) {
-      return res.status(404).json({ error: "SCAN_NOT_FOUND" });
+    const items = store.shoppingLists.listItems(found.list.id);
+    return res.type("text/plain").send(formatShoppingListText(found.list, items));
+  } catch (err) {
+    log.error("SHOPPING ERROR", { err });
+    return res.status(500).json({ error: "SHOPPING_FAILED" });
+  }
+});
+
+app.post("/shopping/delete", (req, res) => {
+  try {
+    const { identityKey, authError } = getRequestIdentity(req);
+    if (!identityKey) {
+      return res.status(401).json({ error: authError });
     }
 
-    if (scan.ownerKey !== identityKey) {
-      return res.status(403).json({ error: "SCAN_FORBIDDEN" });
+    const found = findOwnedShoppingList(identityKey, req.body?.listId);
+    if (found.error) {
+      return res.status(found.status).json({ error: found.error });
     }
 
-    const user = ensureUser(identityKey, fallbackDeviceKey);
-    const isPremium = user.isPremium === true;
+    store.shoppingLists.remove(found.list.id);
+    return res.json({ ok: true });
+  } catch (err) {
+    log.error("SHOPPING ERROR", { err });
+    return res.status(500).json({ error: "SHOPPING_FAILED" });
+  }
+});
 
-    if (!isPremium && (scan.regenCount || 0) >= 1) {
-      return res.status(403).json({ error: "REGEN_LIMIT_REACHED" });
+/* ---------------- MEAL PLANS ---------------- */
+
+const PLAN_MAX_DAYS = 7;
+const PLAN_DEFAULT_MEAL_TYPES = ["breakfast", "lunch", "dinner"];
+
+function readPlanShape(body) {
+  const days = body?.days === undefined ? 3 : body.days;
+  if (!Number.isInteger(days) || days < 1 || days > PLAN_MAX_DAYS) {
+    return { error: "INVALID_DAYS" };
+  }
+
+  const requested = Array.isArray(body?.mealTypes)
+    ? body.mealTypes.map((m) => String(m).toLowerCase())
+    : PLAN_DEFAULT_MEAL_TYPES;
+  const mealTypes = MEAL_TYPES.filter((m) => requested.includes(m));
+  if (!mealTypes.length) {
+    return { error: "INVALID_MEAL_TYPES" };
+  }
+
+  return { days, mealTypes };
+}
+
+function readPlanPreferences(source) {
+  return {
+    nutritionGoals: Array.isArray(source?.nutritionGoals) ? source.nutritionGoals : [],
+    timeLimit: source?.timeLimit || "any",
+    difficulty: source?.difficulty || "any",
+    equipment: Array.isArray(source?.equipment) ? source.equipment : [],
+  };
+}
+
+// Everything the plan may cook with, as plain names. Corrected ingredients
+// replace the detection, same as for single recipes.
+function collectPlanItems(scan, pantryItems) {
+  const names = [];
+  if (scan) {
+    names.push(
+      ...(scan.correctedIngredientsText
+        ? parseIngredientList(scan.correctedIngredientsText)
+        : (scan.detectedItems || []).map((d) => d.name)),
+      ...parseIngredientList(scan.extraIngredientsText)
+    );
+  }
+  names.push(...pantryItems.map((p) => p.name));
+
+  const seen = new Set();
+  return names.filter((name) => {
+    const key = normalizeItemName(name);
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function normalizePlanMeal(m, mealTypes) {
+  const mealType = String(m?.mealType || "").trim().toLowerCase();
+  const title = String(m?.title || "").trim();
+  if (!title || !mealTypes.includes(mealType)) return null;
+
+  return {
+    mealType,
+    title,
+    summary: String(m?.summary || "").trim(),
+    ingredients: (Array.isArray(m?.ingredients) ? m.ingredients : [])
+      .map((x) => ({ item: String(x?.item || "").trim(), amount: String(x?.amount || "").trim() }))
+      .filter((x) => x.item),
+    steps: (Array.isArray(m?.steps) ? m.steps : []).map((x) => String(x).trim()).filter(Boolean),
+    timeMinutes: Number.isInteger(m?.timeMinutes) && m.timeMinutes > 0 ? m.timeMinutes : null,
+    makesLeftovers: String(m?.makesLeftovers || "").trim(),
+    usesLeftovers: String(m?.usesLeftovers || "").trim(),
+  };
+}
+
+// One meal per requested type per day, in the requested order.
+function normalizePlanDay(d, mealTypes) {
+  const meals = (Array.isArray(d?.meals) ? d.meals : [])
+    .map((m) => normalizePlanMeal(m, mealTypes))
+    .filter(Boolean);
+
+  return mealTypes
+    .map((type) => meals.find((m) => m.mealType === type))
+    .filter(Boolean);
+}
+
+function describePlanDays(days) {
+  return days
+    .map(
+      (d) =>
+        `Day ${d.day}: ` +
+        d.meals
+          .map((m) => {
+            const extras = [
+              m.makesLeftovers ? `makes leftovers: ${m.makesLeftovers}` : "",
+              m.usesLeftovers ? `uses leftovers: ${m.usesLeftovers}` : "",
+            ].filter(Boolean);
+            return `${m.mealType} ${m.title}${extras.length ? ` (${extras.join("; ")})` : ""}`;
+          })
+          .join(", ")
+    )
+    .join("\n");
+}
+
+// Like single recipes, a plan breaking the diet is retried once; meals that
+// still break it after that are dropped.
+async function generateMealPlan(options) {
+  const { diet = null } = options;
+  let feedback = "";
+
+  for (let attempt = 0; ; attempt++) {
+    const out = await requestMealPlan({ ...options, feedback });
+    if (out.kind === "error") return out;
+
+    const violations = findDietViolations(
+      diet,
+      out.days.flatMap((d) => d.meals.flatMap(getRecipeTexts))
+    );
+    if (!violations.length) return out;
+
+    if (attempt < DIET_RETRIES) {
+      log.warn("DIET VIOLATION, retrying", { violations: describeViolations(violations) });
+      feedback = `Your previous plan broke the dietary requirements by using: ${describeViolations(violations)}. Replace those meals.`;
+      continue;
     }
 
-    const REGEN_COOLDOWN_SECONDS = 10;
-    const cd = enforceCooldown({ user, kind: "regen", seconds: REGEN_COOLDOWN_SECONDS });
-    if (!cd.ok) {
-      saveUsers();
-      return res.status(429).json({
-        error: "TOO_MANY_REQUESTS",
-        retryAfterSeconds: cd.retryAfterSeconds,
+    const days = out.days
+      .map((d) => d.meals.filter((m) => !findDietViolations(diet, getRecipeTexts(m)).length))
+      .filter((meals) => meals.length)
+      .map((meals, i) => ({ day: i + 1, meals }));
+    if (!days.length) {
+      return generationError("DIET_VIOLATION", { violations });
+    }
+    return { ...out, days };
+  }
+}
+
+async function requestMealPlan({
+  availableItems,
+  preferences,
+  mealTypes,
+  dayCount,
+  expiringItems = [],
+  replaceDay = null,
+  otherDays = [],
+  diet = null,
+  locale = null,
+  feedback = "",
+}) {
+  const scanLike = {
+    mealType: "any",
+    correctedIngredientsText: "",
+    extraIngredientsText: "",
+    ...preferences,
+  };
+  const { coreRules, itemsBlock, preferencesBlock } = buildRecipeContext({
+    scan: scanLike,
+    cuisine: null,
+    expiringItems,
+    diet,
+    locale,
+  });
+
+  const replaceBlock = replaceDay
+    ? `This replaces day ${replaceDay} of an existing plan. The other days are:
+${describePlanDays(otherDays)}
+Do not repeat those dishes. Leftovers made on earlier days may be used, but do not use up leftovers that later days rely on.
+`
+    : "";
+
+  const obj = await ai.generateMealPlan({
+    text:
+      `${coreRules}\n\n` +
+      `Ingredients on hand:
+${availableItems.map((name) => `- ${name}`).join("\n")}
+${itemsBlock}
+Plan ${dayCount} day${dayCount === 1 ? "" : "s"} of meals with exactly these meals each day: ${mealTypes.join(", ")}.
+${replaceBlock}Rules:
+- Make the plan coherent: cook once and reuse leftovers on later days, and say so in makesLeftovers / usesLeftovers.
+- Spread the ingredients so the most perishable ones are used early and nothing runs out halfway through.
+- Do not repeat a dish, and vary the cuisines across days.
+- Basic staples (oil, salt, pepper, dried spices) may be assumed.
+${feedback ? `${feedback}\n` : ""}
+Return JSON only with:
+- days: list of { day, meals }, day numbered from 1
+- meals: list of { mealType, title, summary, ingredients, steps, timeMinutes, makesLeftovers, usesLeftovers }
+- ingredients: list of { item, amount }
+- steps: at most 4 short steps
+- notes: one or two sentences of prep advice for the week
+
+Preferences:
+${preferencesBlock}`,
+  });
+
+  if (obj?.error === "NO_FOOD_DETECTED") {
+    return generationError("NO_FOOD_DETECTED");
+  }
+
+  const days = (Array.isArray(obj?.days) ? obj.days : [])
+    .slice(0, dayCount)
+    .map((d) => normalizePlanDay(d, mealTypes))
+    .filter((meals) => meals.length)
+    .map((meals, i) => ({ day: i + 1, meals }));
+
+  if (!days.length) {
+    return generationError("AI_BAD_OUTPUT");
+  }
+
+  return { kind: "plan", days, notes: String(obj?.notes || "").trim() };
+}
+
+function toPublicMealPlan(plan, { withDays = true } = {}) {
+  return {
+    planId: plan.id,
+    scanId: plan.scanId,
+    title: plan.title,
+    dayCount: plan.dayCount,
+    mealTypes: plan.mealTypes,
+    preferences: plan.preferences,
+    createdMs: plan.createdMs,
+    updatedMs: plan.updatedMs,
+    ...(withDays ? { days: plan.days, notes: plan.notes } : {}),
+  };
+}
+
+function findOwnedMealPlan(identityKey, planId) {
+  if (!planId || typeof planId !== "string") {
+    return { status: 400, error: "MISSING_PLAN_ID" };
+  }
+  const plan = store.mealPlans.get(planId);
+  if (!plan) {
+    return { status: 404, error: "PLAN_NOT_FOUND" };
+  }
+  if (plan.ownerKey !== identityKey) {
+    return { status: 403, error: "PLAN_FORBIDDEN" };
+  }
+  return { plan };
+}
+
+// Cooldown, then quota held as a charge, for one plan generation. Returns
+// { charge } to settle once the plan is generated, or { refused } with the reply.
+function holdPlanRun(user, clientIp, scanId = null) {
+  const tier = getUserTier(user);
+  const cd = enforceCooldown({ user, tier, action: "plan" });
+  if (!cd.ok) {
+    return {
+      refused: reply(429, { error: "TOO_MANY_REQUESTS", retryAfterSeconds: cd.retryAfterSeconds }),
+    };
+  }
+  const spent = chargeQuota({ user, tier, action: "plan", clientIp });
+  if (spent.refused) {
+    return { refused: spent.refused };
+  }
+  return { charge: store.charges.hold(user.identityKey, { action: "plan", scanId, ...spent }) };
+}
+
+app.post("/plans/create", async (req, res) => {
+  let chargeId = null;
+  try {
+    const { identityKey, authError, clientIp } = getRequestIdentity(req);
+    if (!identityKey) {
+      return res.status(401).json({ error: authError });
+    }
+
+    const body = req.body || {};
+    const shape = readPlanShape(body);
+    if (shape.error) {
+      return res.status(400).json({ error: shape.error });
+    }
+
+    let scan = null;
+    if (body.scanId !== undefined) {
+      if (!body.scanId || typeof body.scanId !== "string") {
+        return res.status(400).json({ error: "Missing scanId" });
+      }
+      scan = store.scans.get(body.scanId, { withImage: true });
+      if (!scan) {
+        return res.status(404).json({ error: "SCAN_NOT_FOUND" });
+      }
+      if (scan.ownerKey !== identityKey) {
+        return res.status(403).json({ error: "SCAN_FORBIDDEN" });
+      }
+    }
+
+    const user = ensureUser(identityKey);
+    if (user.isPremium !== true) {
+      return res.status(403).json({ error: "PREMIUM_REQUIRED" });
+    }
+
+    const requested = readLocale(body.locale);
+    if (requested.error) {
+      return res.status(400).json({ error: requested.error, supported: requested.supported });
+    }
+
+    // Scans from before detections were stored get detected once here.
+    if (scan && !scan.detectedItems && !scan.correctedIngredientsText) {
+      const detectedItems = await detectFoodItems(scan.images, {
+        locale: scan.locale || user.locale || null,
       });
+      scan = store.scans.update(scan.id, { detectedItems });
+    }
+
+    const usePantry = scan ? (body.usePantry ?? scan.usePantry) === true : true;
+    const prioritizeExpiring = scan
+      ? (body.prioritizeExpiring ?? scan.prioritizeExpiring) === true
+      : body.prioritizeExpiring === true;
+
+    const availableItems = collectPlanItems(
+      scan,
+      usePantry ? store.pantry.list(identityKey) : []
+    );
+    if (!availableItems.length) {
+      return res.status(422).json({ error: scan ? "NO_FOOD_DETECTED" : "PANTRY_EMPTY" });
+    }
+
+    const held = holdPlanRun(user, clientIp, scan?.id || null);
+    if (held.refused) {
+      return res.status(held.refused.status).json(held.refused.body);
+    }
+    chargeId = held.charge.id;
+
+    const preferences = readPlanPreferences(scan || body);
+    const out = await generateMealPlan({
+      availableItems,
+      preferences,
+      diet: getDietProfile(user, preferences),
+      mealTypes: shape.mealTypes,
+      dayCount: shape.days,
+      expiringItems: prioritizeExpiring ? getExpiringForPrompt(identityKey) : [],
+      locale: requested.locale || scan?.locale || user.locale || null,
+    });
+
+    if (out.kind === "error") {
+      const failed = toGenerationError(out);
+      const charge = settleCharge(chargeId, { ok: false, error: failed.body.error });
+      return res.status(failed.status).json({ ...failed.body, charge: toPublicCharge(charge) });
+    }
+
+    const title =
+      (typeof body.title === "string" && body.title.trim().slice(0, 80)) ||
+      `${out.days.length}-day plan`;
+
+    const plan = store.mealPlans.create(identityKey, {
+      scanId: scan?.id || null,
+      title,
+      dayCount: out.days.length,
+      mealTypes: shape.mealTypes,
+      preferences: { ...preferences, prioritizeExpiring },
+      availableItems,
+      days: out.days,
+      notes: out.notes,
+    });
+    const charge = settleCharge(chargeId, { ok: true });
+
+    return res.json({ plan: toPublicMealPlan(plan), charge: toPublicCharge(charge) });
+  } catch (err) {
+    if (chargeId) settleCharge(chargeId, { ok: false, error: "INTERNAL" });
+    log.error("PLAN ERROR", { err });
+    return res.status(500).json({ error: "PLAN_FAILED" });
+  }
+});
+
+app.post("/plans/list", (req, res) => {
+  try {
+    const { identityKey, authError } = getRequestIdentity(req);
+    if (!identityKey) {
+      return res.status(401).json({ error: authError });
+    }
+
+    const plans = store.mealPlans.listForOwner(identityKey, readPageOptions(req.body));
+    return res.json({ plans: plans.map((p) => toPublicMealPlan(p, { withDays: false })) });
+  } catch (err) {
+    log.error("PLAN ERROR", { err });
+    return res.status(500).json({ error: "PLAN_FAILED" });
+  }
+});
+
+app.post("/plans/get", (req, res) => {
+  try {
+    const { identityKey, authError } = getRequestIdentity(req);
+    if (!identityKey) {
+      return res.status(401).json({ error: authError });
     }
-    saveUsers();
 
-    if (typeof extraIngredientsText === "string") {
-      scan.extraIngredientsText = extraIngredientsText;
+    const found = findOwnedMealPlan(identityKey, req.body?.planId);
+    if (found.error) {
+      return res.status(found.status).json({ error: found.error });
     }
-    if (typeof correctedIngredientsText === "string") {
-      scan.correctedIngredientsText = correctedIngredientsText;
+
+    return res.json({ plan: toPublicMealPlan(found.plan) });
+  } catch (err) {
+    log.error("PLAN ERROR", { err });
+    return res.status(500).json({ error: "PLAN_FAILED" });
+  }
+});
+
+// Renames the plan and/or replaces (or with meal: null, removes) one meal.
+app.post("/plans/edit", (req, res) => {
+  try {
+    const { identityKey, authError } = getRequestIdentity(req);
+    if (!identityKey) {
+      return res.status(401).json({ error: authError });
     }
-    if (typeof mealType === "string") {
-      scan.mealType = mealType;
+
+    const found = findOwnedMealPlan(identityKey, req.body?.planId);
+    if (found.error) {
+      return res.status(found.status).json({ error: found.error });
     }
-    if (Array.isArray(nutritionGoals)) {
-      scan.nutritionGoals = nutritionGoals;
+
+    const { plan } = found;
+    const { title, day, mealType, meal } = req.body || {};
+    const patch = {};
+
+    if (title !== undefined) {
+      const trimmed = typeof title === "string" ? title.trim().slice(0, 80) : "";
+      if (!trimmed) {
+        return res.status(400).json({ error: "INVALID_TITLE" });
+      }
+      patch.title = trimmed;
     }
-    if (typeof timeLimit === "string") {
-      scan.timeLimit = timeLimit;
+
+    if (day !== undefined) {
+      const target = plan.days.find((d) => d.day === day);
+      if (!target) {
+        return res.status(404).json({ error: "DAY_NOT_FOUND" });
+      }
+      if (!plan.mealTypes.includes(mealType)) {
+        return res.status(400).json({ error: "INVALID_MEAL_TYPE" });
+      }
+
+      let meals = target.meals.filter((m) => m.mealType !== mealType);
+      if (meal !== null) {
+        const edited = normalizePlanMeal({ ...meal, mealType }, plan.mealTypes);
+        if (!edited) {
+          return res.status(400).json({ error: "INVALID_MEAL" });
+        }
+        meals = plan.mealTypes
+          .map((type) => (type === mealType ? edited : meals.find((m) => m.mealType === type)))
+          .filter(Boolean);
+      }
+
+      patch.days = plan.days.map((d) => (d.day === day ? { ...d, meals } : d));
     }
-    if (typeof difficulty === "string") {
-      scan.difficulty = difficulty;
+
+    const updated = store.mealPlans.update(plan.id, patch);
+    return res.json({ plan: toPublicMealPlan(updated) });
+  } catch (err) {
+    log.error("PLAN ERROR", { err });
+    return res.status(500).json({ error: "PLAN_FAILED" });
+  }
+});
+
+app.post("/plans/regenerateDay", async (req, res) => {
+  let chargeId = null;
+  try {
+    const { identityKey, authError, clientIp } = getRequestIdentity(req);
+    if (!identityKey) {
+      return res.status(401).json({ error: authError });
     }
-    if (Array.isArray(equipment)) {
-      scan.equipment = equipment;
+
+    const found = findOwnedMealPlan(identityKey, req.body?.planId);
+    if (found.error) {
+      return res.status(found.status).json({ error: found.error });
     }
 
-    scan.updatedMs = Date.now();
+    const { plan } = found;
+    const day = req.body?.day;
+    if (!plan.days.some((d) => d.day === day)) {
+      return res.status(404).json({ error: "DAY_NOT_FOUND" });
+    }
 
-    if (!isPremium) {
-      scan.regenCount = (scan.regenCount || 0) + 1;
+    const user = ensureUser(identityKey);
+    if (user.isPremium !== true) {
+      return res.status(403).json({ error: "PREMIUM_REQUIRED" });
     }
 
-    scans[scanId] = scan;
-    saveScans();
+    const requested = readLocale(req.body?.locale);
+    if (requested.error) {
+      return res.status(400).json({ error: requested.error, supported: requested.supported });
+    }
 
-    const imageDataUrl = makeDataUrl(scan.imageBase64);
-    const detectedItems = await detectFoodItemsFromImage(imageDataUrl);
+    const held = holdPlanRun(user, clientIp, plan.scanId || null);
+    if (held.refused) {
+      return res.status(held.refused.status).json(held.refused.body);
+    }
+    chargeId = held.charge.id;
 
-    const out = await generateRecipeFromScan({
-      scan,
-      scanId,
-      isPremium,
-      imageDataUrl,
-      detectedItems,
+    const out = await generateMealPlan({
+      availableItems: plan.availableItems,
+      preferences: plan.preferences,
+      diet: getDietProfile(user, plan.preferences),
+      mealTypes: plan.mealTypes,
+      dayCount: 1,
+      expiringItems: plan.preferences?.prioritizeExpiring ? getExpiringForPrompt(identityKey) : [],
+      replaceDay: day,
+      otherDays: plan.days.filter((d) => d.day !== day),
+      locale: requested.locale || user.locale || null,
     });
 
     if (out.kind === "error") {
-      const status = out.error === "NO_FOOD_DETECTED" ? 422 : 500;
-      return res.status(status).json({ error: out.error });
+      const failed = toGenerationError(out);
+      const charge = settleCharge(chargeId, { ok: false, error: failed.body.error });
+      return res.status(failed.status).json({ ...failed.body, charge: toPublicCharge(charge) });
     }
 
-    const FREE_LIMIT = 4;
+    const updated = store.mealPlans.update(plan.id, {
+      days: plan.days.map((d) => (d.day === day ? { day, meals: out.days[0].meals } : d)),
+    });
+    const charge = settleCharge(chargeId, { ok: true });
+    return res.json({ plan: toPublicMealPlan(updated), charge: toPublicCharge(charge) });
+  } catch (err) {
+    if (chargeId) settleCharge(chargeId, { ok: false, error: "INTERNAL" });
+    log.error("PLAN ERROR", { err });
+    return res.status(500).json({ error: "PLAN_FAILED" });
+  }
+});
 
-    if (out.kind === "free") {
-      return res.json({
-        scanId,
-        isPremium: false,
-        mealType: scan.mealType || "any",
-        title: out.title,
-        ingredients: out.ingredients,
-        recipe: out.recipe,
-        usedThisWeek: user.freeUsedThisWeek,
-        limitPerWeek: FREE_LIMIT,
-        detectedItems,
-      });
+app.post("/plans/delete", (req, res) => {
+  try {
+    const { identityKey, authError } = getRequestIdentity(req);
+    if (!identityKey) {
+      return res.status(401).json({ error: authError });
     }
 
-    return res.json({
-      scanId,
-      isPremium: true,
-      mealType: scan.mealType || "any",
-      title: out.title,
-      ingredients: out.ingredients,
-      steps: out.steps,
-      servings: out.servings,
-      timeMinutes: out.timeMinutes,
-      macros: out.macros,
-      detectedItems,
-    });
+    const found = findOwnedMealPlan(identityKey, req.body?.planId);
+    if (found.error) {
+      return res.status(found.status).json({ error: found.error });
+    }
+
+    store.mealPlans.remove(found.plan.id);
+    return res.json({ ok: true });
   } catch (err) {
-    console.error(err);
-    return res.status(500).json({ error: err?.message || "AI processing failed" });
+    log.error("PLAN ERROR", { err });
+    return res.status(500).json({ error: "PLAN_FAILED" });
+  }
+});
+
+// Body parser failures get the same { error } shape as everything else.
+app.use((err, req, res, next) => {
+  if (err?.type === "entity.too.large") {
+    return res.status(413).json({ error: "PAYLOAD_TOO_LARGE", maxBytes: JSON_BODY_LIMIT_BYTES });
+  }
+  if (err?.type === "entity.parse.failed") {
+    return res.status(400).json({ error: "INVALID_JSON" });
   }
+  return next(err);
 });
 
 app.listen(3000, "0.0.0.0", () => {
-  console.log("Server running on port 3000");
+  log.info("Server running on port 3000");
+  jobs.start();
 });
\ No newline at end of file
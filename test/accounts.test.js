@@ -0,0 +1,59 @@
+import assert from "assert/strict";
+import { test } from "node:test";
+
+import { mergeUserRecords } from "../lib/accounts.js";
+
+const WEEK_MS = Date.parse("2026-10-18T22:00:00Z");
+
+function user(fields = {}) {
+  return {
+    weekStartMs: WEEK_MS,
+    lastAnalyzeMs: 0,
+    lastRegenMs: 0,
+    lastPlanMs: 0,
+    isLockedUntilReset: false,
+    unlockAtMs: 0,
+    bonusScans: 0,
+    dietProfile: null,
+    unitSystem: null,
+    timeZone: null,
+    locale: null,
+    createdMs: 1000,
+    ...fields,
+  };
+}
+
+test("mergeUserRecords keeps the latest cooldowns and adds up bonus scans", () => {
+  const merged = mergeUserRecords(
+    user({ lastAnalyzeMs: 5, lastPlanMs: 9, bonusScans: 1 }),
+    user({ lastAnalyzeMs: 7, lastRegenMs: 3, bonusScans: 2, createdMs: 500 })
+  );
+  assert.equal(merged.lastAnalyzeMs, 7);
+  assert.equal(merged.lastRegenMs, 3);
+  assert.equal(merged.lastPlanMs, 9);
+  assert.equal(merged.bonusScans, 3);
+  assert.equal(merged.createdMs, 500);
+});
+
+test("mergeUserRecords carries locks only from the same week", () => {
+  const locked = { isLockedUntilReset: true, unlockAtMs: WEEK_MS + 10 };
+  const sameWeek = mergeUserRecords(user(), user(locked));
+  assert.equal(sameWeek.isLockedUntilReset, true);
+  assert.equal(sameWeek.unlockAtMs, WEEK_MS + 10);
+
+  const lastWeek = mergeUserRecords(user(), user({ ...locked, weekStartMs: WEEK_MS - 1 }));
+  assert.equal(lastWeek.isLockedUntilReset, false);
+  assert.equal(lastWeek.unlockAtMs, 0);
+});
+
+test("mergeUserRecords prefers the target's settings and fills gaps from the source", () => {
+  const vegan = { diets: ["vegan"], allergens: [] };
+  const merged = mergeUserRecords(
+    user({ dietProfile: { diets: [], allergens: [] }, locale: "de" }),
+    user({ dietProfile: vegan, locale: "en", timeZone: "Europe/Berlin", unitSystem: "metric" })
+  );
+  assert.deepEqual(merged.dietProfile, vegan);
+  assert.equal(merged.locale, "de");
+  assert.equal(merged.timeZone, "Europe/Berlin");
+  assert.equal(merged.unitSystem, "metric");
+});
@@ -0,0 +1,59 @@
+import assert from "assert/strict";
+import { test } from "node:test";
+
+import { buildRecipeNutrition, parseServings } from "../lib/nutrition.js";
+
+const MODEL_MACROS = { calories: 500, proteinGrams: 30, carbsGrams: 40, fatGrams: 20 };
+
+test("parseServings reads the first number and defaults to one", () => {
+  assert.equal(parseServings("Serves 4"), 4);
+  assert.equal(parseServings("2-3"), 3);
+  assert.equal(parseServings("a few"), 1);
+  assert.equal(parseServings(null), 1);
+});
+
+test("buildRecipeNutrition computes per-serving macros from the table", () => {
+  const { macros, nutrition } = buildRecipeNutrition({
+    ingredients: [
+      { item: "eggs", amount: "2" },
+      { item: "chicken breast, sliced", amount: "200 g" },
+    ],
+    servings: "2",
+    macros: MODEL_MACROS,
+  });
+  // 100 g egg (143 kcal) + 200 g chicken breast (240 kcal), split in two.
+  assert.deepEqual(macros, { calories: 192, proteinGrams: 28.8, carbsGrams: 0.4, fatGrams: 7.4 });
+  assert.equal(nutrition.source, "computed");
+  assert.equal(nutrition.total.calories, 383);
+  assert.equal(nutrition.coverage, 1);
+  assert.deepEqual(nutrition.unmatched, []);
+});
+
+test("buildRecipeNutrition keeps the model's macros when too little matched", () => {
+  const { macros, nutrition } = buildRecipeNutrition({
+    ingredients: [
+      { item: "egg", amount: "1" },
+      { item: "moon dust", amount: "1 cup" },
+      { item: "chicken breast", amount: "a splash" },
+    ],
+    servings: "1",
+    macros: MODEL_MACROS,
+  });
+  assert.deepEqual(macros, MODEL_MACROS);
+  assert.equal(nutrition.source, "model");
+  assert.equal(nutrition.coverage, 0.33);
+  assert.deepEqual(
+    nutrition.unmatched.map((x) => x.reason),
+    ["UNKNOWN_FOOD", "UNKNOWN_AMOUNT"]
+  );
+});
+
+test("buildRecipeNutrition has no macros when nothing matched and the model gave none", () => {
+  const { macros, nutrition } = buildRecipeNutrition({
+    ingredients: [{ item: "moon dust", amount: "1 cup" }],
+    servings: "1",
+    macros: { calories: "lots" },
+  });
+  assert.equal(macros, null);
+  assert.equal(nutrition.source, null);
+});
@@ -0,0 +1,178 @@
+import assert from "assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { after, test } from "node:test";
+
+import { createStore } from "../lib/db/index.js";
+import { createPolicyService, getPeriodStartMs, loadPolicy } from "../lib/policy.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "policy-test-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+let fileCount = 0;
+function writePolicy(raw) {
+  const file = path.join(dir, `policy-${++fileCount}.json`);
+  fs.writeFileSync(file, JSON.stringify(raw));
+  return file;
+}
+
+const TEST_POLICY = {
+  weekStartsOn: "monday",
+  tiers: {
+    free: {
+      quotas: { analyze: { daily: 2, weekly: 3 } },
+      cooldownSeconds: { analyze: 60 },
+      regensPerScan: 1,
+      candidatesPerScan: 2,
+    },
+    trial: { quotas: { plan: { weekly: 1 } }, regensPerScan: 3, candidatesPerScan: 5 },
+    premium: { quotas: {}, regensPerScan: null },
+  },
+  productTiers: { "com.example.trial": "trial" },
+  ipLimits: { tiers: ["free"], quotas: { analyze: { weekly: 4 } } },
+};
+
+function createService(raw = TEST_POLICY) {
+  const store = createStore(":memory:");
+  return { store, policy: createPolicyService({ store, policy: loadPolicy(writePolicy(raw)) }) };
+}
+
+// Wednesday, October 21, 2026, noon in Berlin.
+const NOW_MS = Date.parse("2026-10-21T10:00:00Z");
+const ZONE = "Europe/Berlin";
+
+function consume(policy, options = {}) {
+  return policy.consume({
+    tier: "free",
+    action: "analyze",
+    identityKey: "guest:a",
+    timeZone: ZONE,
+    nowMs: NOW_MS,
+    ...options,
+  });
+}
+
+test("the shipped policy file loads", () => {
+  const policy = loadPolicy();
+  assert.ok(policy.tiers.free);
+  assert.ok(policy.tiers.premium);
+});
+
+test("loadPolicy rejects unknown actions, bad limits and unknown product tiers", () => {
+  const withFree = (free) => ({ tiers: { free, premium: {} } });
+  assert.throws(() => loadPolicy(writePolicy({ tiers: { premium: {} } })), /needs a "free" tier/);
+  assert.throws(
+    () => loadPolicy(writePolicy(withFree({ quotas: { dance: { daily: 1 } } }))),
+    /unknown action "dance"/
+  );
+  assert.throws(
+    () => loadPolicy(writePolicy(withFree({ quotas: { analyze: { hourly: 1 } } }))),
+    /daily\/weekly/
+  );
+  assert.throws(() => loadPolicy(writePolicy(withFree({ regensPerScan: -1 }))), /regensPerScan/);
+  assert.throws(
+    () => loadPolicy(writePolicy(withFree({ candidatesPerScan: null }))),
+    /candidatesPerScan/
+  );
+  assert.throws(
+    () => loadPolicy(writePolicy({ ...withFree({}), productTiers: { sku: "gold" } })),
+    /unknown tier "gold"/
+  );
+});
+
+test("weeks start at local midnight on weekStartsOn", () => {
+  const monday = getPeriodStartMs("week", NOW_MS, { timeZone: ZONE, weekStartsOn: 1 });
+  assert.equal(new Date(monday).toISOString(), "2026-10-18T22:00:00.000Z");
+  const sunday = getPeriodStartMs("week", NOW_MS, { timeZone: ZONE, weekStartsOn: 0 });
+  assert.equal(new Date(sunday).toISOString(), "2026-10-17T22:00:00.000Z");
+  const day = getPeriodStartMs("day", NOW_MS, { timeZone: ZONE });
+  assert.equal(new Date(day).toISOString(), "2026-10-20T22:00:00.000Z");
+});
+
+test("getTier maps premium products to their tier", () => {
+  const { policy } = createService();
+  assert.equal(policy.getTier({ isPremium: false }), "free");
+  assert.equal(policy.getTier({ isPremium: true }), "premium");
+  assert.equal(policy.getTier({ isPremium: true }, { productId: "com.example.trial" }), "trial");
+});
+
+test("tier settings fall back to the free tier and their defaults", () => {
+  const { policy } = createService();
+  assert.equal(policy.getCooldownSeconds("free", "analyze"), 60);
+  assert.equal(policy.getCooldownSeconds("free", "plan"), 0);
+  assert.equal(policy.getRegensPerScan("premium"), null);
+  assert.equal(policy.getRegensPerScan("unknown"), 1);
+  assert.equal(policy.getCandidatesPerScan("trial"), 5);
+  assert.equal(policy.getCandidatesPerScan("premium"), 0);
+});
+
+test("consume refuses once the daily quota is spent", () => {
+  const { policy } = createService();
+  assert.equal(consume(policy).ok, true);
+  assert.equal(consume(policy).ok, true);
+
+  const refused = consume(policy);
+  assert.equal(refused.ok, false);
+  assert.equal(refused.scope, "identity");
+  assert.equal(refused.period, "day");
+  assert.equal(refused.used, 2);
+  assert.equal(new Date(refused.resetsAtMs).toISOString(), "2026-10-21T22:00:00.000Z");
+});
+
+test("consume is all-or-nothing across the counters it checks", () => {
+  const { policy } = createService();
+  const nextDayMs = NOW_MS + 24 * 60 * 60 * 1000;
+  consume(policy);
+  consume(policy);
+  consume(policy, { nowMs: nextDayMs });
+
+  // The week is full, so the fresh daily counter must not move either.
+  const refused = consume(policy, { nowMs: nextDayMs + 60 * 60 * 1000 });
+  assert.equal(refused.period, "week");
+  const described = policy.describe({
+    tier: "free",
+    identityKey: "guest:a",
+    timeZone: ZONE,
+    nowMs: nextDayMs,
+  });
+  assert.equal(described.analyze.daily.used, 1);
+  assert.equal(described.analyze.weekly.used, 3);
+});
+
+test("release gives back what consume spent", () => {
+  const { policy } = createService();
+  const spent = consume(policy);
+  consume(policy);
+  policy.release(spent.entries);
+  assert.equal(consume(policy).ok, true);
+});
+
+test("IP limits apply to the listed tiers only", () => {
+  const { policy } = createService();
+  for (const [i, key] of ["guest:a", "guest:b", "guest:c", "guest:d"].entries()) {
+    assert.equal(consume(policy, { identityKey: key, ip: "1.2.3.4" }).ok, true, `use ${i + 1}`);
+  }
+  const refused = consume(policy, { identityKey: "guest:e", ip: "1.2.3.4" });
+  assert.equal(refused.ok, false);
+  assert.equal(refused.scope, "ip");
+
+  const premium = consume(policy, { tier: "premium", identityKey: "guest:e", ip: "1.2.3.4" });
+  assert.equal(premium.ok, true);
+});
+
+test("describe reports limits, usage and unlimited periods", () => {
+  const { policy } = createService();
+  consume(policy);
+  const described = policy.describe({
+    tier: "free",
+    identityKey: "guest:a",
+    timeZone: ZONE,
+    nowMs: NOW_MS,
+  });
+  assert.equal(described.analyze.daily.remaining, 1);
+  assert.equal(described.analyze.weekly.remaining, 2);
+  assert.equal(described.analyze.weekly.resetsAtLocal, "2026-10-26T00:00:00+01:00");
+  assert.equal(described.plan.weekly, null);
+  assert.equal(described.regenerate.perScan, 1);
+});
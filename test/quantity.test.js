@@ -0,0 +1,97 @@
+import assert from "assert/strict";
+import { test } from "node:test";
+
+import {
+  convertAmount,
+  formatAmount,
+  normalizeUnit,
+  parseAmount,
+  replaceAmount,
+} from "../lib/quantity.js";
+
+function parsed(text) {
+  const { quantity, unit } = parseAmount(text);
+  return { quantity, unit };
+}
+
+test("parseAmount reads whole, decimal, fraction and mixed numbers", () => {
+  assert.deepEqual(parsed("2 cups"), { quantity: 2, unit: "cup" });
+  assert.deepEqual(parsed("1,5 l"), { quantity: 1.5, unit: "l" });
+  assert.deepEqual(parsed("1 1/2 cups flour"), { quantity: 1.5, unit: "cup" });
+  assert.deepEqual(parsed("½ tsp"), { quantity: 0.5, unit: "tsp" });
+  assert.deepEqual(parsed("1½ tbsp"), { quantity: 1.5, unit: "tbsp" });
+});
+
+test("parseAmount takes the upper bound of a range", () => {
+  assert.deepEqual(parsed("2-3 cloves"), { quantity: 3, unit: "clove" });
+  assert.deepEqual(parsed("2 – 4 slices"), { quantity: 4, unit: "slice" });
+});
+
+test("parseAmount matches two-word and case-sensitive units", () => {
+  assert.deepEqual(parsed("2 fl oz milk"), { quantity: 2, unit: "fl oz" });
+  assert.deepEqual(parsed("1 T sugar"), { quantity: 1, unit: "tbsp" });
+  assert.deepEqual(parsed("1 t salt"), { quantity: 1, unit: "tsp" });
+  assert.deepEqual(parsed("3 tbsp."), { quantity: 3, unit: "tbsp" });
+});
+
+test("parseAmount keeps unknown words as the unit and skips text without a number", () => {
+  assert.deepEqual(parsed("2 chicken breasts"), { quantity: 2, unit: "chicken" });
+  assert.deepEqual(parsed("5"), { quantity: 5, unit: null });
+  assert.deepEqual(parsed("a pinch"), { quantity: null, unit: null });
+  assert.deepEqual(parsed(""), { quantity: null, unit: null });
+});
+
+test("normalizeUnit maps aliases and keeps other words", () => {
+  assert.equal(normalizeUnit("Tablespoons"), "tbsp");
+  assert.equal(normalizeUnit("large"), "large");
+  assert.equal(normalizeUnit(""), null);
+});
+
+test("formatAmount pluralizes count units only", () => {
+  assert.equal(formatAmount({ quantity: 2, unit: "cup" }), "2 cups");
+  assert.equal(formatAmount({ quantity: 1, unit: "cup" }), "1 cup");
+  assert.equal(formatAmount({ quantity: 250, unit: "g" }), "250 g");
+  assert.equal(formatAmount({ quantity: null, unit: null, text: "to taste" }), "to taste");
+});
+
+test("convertAmount scales and rounds", () => {
+  assert.deepEqual(convertAmount(parseAmount("1 tbsp"), { factor: 2 }), {
+    quantity: 2,
+    unit: "tbsp",
+    text: "2 tbsp",
+  });
+  assert.equal(convertAmount(parseAmount("1/3 cup"), { factor: 2 }).text, "0.67 cup");
+});
+
+test("convertAmount moves weights and volumes into the other system", () => {
+  assert.equal(convertAmount(parseAmount("8 oz"), { system: "metric" }).text, "225 g");
+  assert.equal(convertAmount(parseAmount("3 lb"), { system: "metric" }).text, "1.35 kg");
+  assert.equal(convertAmount(parseAmount("1 cup"), { system: "metric" }).text, "235 ml");
+  assert.equal(convertAmount(parseAmount("500 g"), { system: "imperial" }).text, "1 lb");
+  assert.equal(convertAmount(parseAmount("250 ml"), { system: "imperial" }).text, "1 cup");
+  assert.equal(convertAmount(parseAmount("10 ml"), { system: "imperial" }).text, "2 tsp");
+});
+
+test("convertAmount leaves spoons, counts and unparsed text alone", () => {
+  assert.equal(convertAmount(parseAmount("2 tbsp"), { system: "metric" }).text, "2 tbsp");
+  assert.equal(convertAmount(parseAmount("3 cloves"), { system: "imperial" }).text, "3 cloves");
+  assert.deepEqual(convertAmount(parseAmount("to taste"), { factor: 2 }), {
+    quantity: null,
+    unit: null,
+    text: "to taste",
+  });
+});
+
+test("replaceAmount swaps the quantity and keeps the rest of the text", () => {
+  assert.equal(
+    replaceAmount("1 large onion, diced", { quantity: 2, unit: "large" }),
+    "2 large onion, diced"
+  );
+  assert.equal(replaceAmount("1 cup of flour", { quantity: 2, unit: "cup" }), "2 cups of flour");
+  assert.equal(
+    replaceAmount("8 oz butter, cold", { quantity: 225, unit: "g" }),
+    "225 g butter, cold"
+  );
+  assert.equal(replaceAmount("a pinch", { quantity: 2, unit: "pinch" }), null);
+  assert.equal(replaceAmount("2 chicken breasts", { quantity: 4, unit: "piece" }), null);
+});
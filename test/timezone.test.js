@@ -0,0 +1,68 @@
+import assert from "assert/strict";
+import { test } from "node:test";
+
+import {
+  addLocalDays,
+  formatLocalTime,
+  getLocalParts,
+  normalizeTimeZone,
+  startOfLocalDay,
+} from "../lib/timezone.js";
+
+// "2026-03-29" in `timeZone` -> ISO instant of its first moment.
+function startIso(date, timeZone) {
+  const [year, month, day] = date.split("-").map(Number);
+  return new Date(startOfLocalDay({ year, month, day }, timeZone)).toISOString();
+}
+
+test("startOfLocalDay is local midnight on ordinary days", () => {
+  assert.equal(startIso("2026-01-15", "UTC"), "2026-01-15T00:00:00.000Z");
+  assert.equal(startIso("2026-01-15", "Asia/Kolkata"), "2026-01-14T18:30:00.000Z");
+});
+
+test("startOfLocalDay follows the offset on either side of a DST change", () => {
+  // Berlin moves to summer time on March 29 and back on October 25, at 02:00/03:00.
+  assert.equal(startIso("2026-03-29", "Europe/Berlin"), "2026-03-28T23:00:00.000Z");
+  assert.equal(startIso("2026-03-30", "Europe/Berlin"), "2026-03-29T22:00:00.000Z");
+  assert.equal(startIso("2026-10-25", "Europe/Berlin"), "2026-10-24T22:00:00.000Z");
+  assert.equal(startIso("2026-10-26", "Europe/Berlin"), "2026-10-25T23:00:00.000Z");
+});
+
+test("startOfLocalDay starts at the end of the gap when DST skips midnight", () => {
+  // Santiago jumps from 00:00 straight to 01:00 on September 6, 2026.
+  assert.equal(startIso("2026-09-06", "America/Santiago"), "2026-09-06T04:00:00.000Z");
+  const parts = getLocalParts(Date.parse("2026-09-06T04:00:00Z"), "America/Santiago");
+  assert.deepEqual([parts.day, parts.hour], [6, 1]);
+});
+
+test("startOfLocalDay takes the first of a repeated midnight", () => {
+  // Havana falls back from 01:00 to 00:00 on November 1, 2026.
+  assert.equal(startIso("2026-11-01", "America/Havana"), "2026-11-01T04:00:00.000Z");
+  assert.equal(getLocalParts(Date.parse("2026-11-01T03:59:59Z"), "America/Havana").day, 31);
+});
+
+test("addLocalDays rolls over months, years and leap days", () => {
+  assert.deepEqual(addLocalDays({ year: 2026, month: 12, day: 31 }, 1), {
+    year: 2027,
+    month: 1,
+    day: 1,
+  });
+  assert.deepEqual(addLocalDays({ year: 2028, month: 3, day: 1 }, -1), {
+    year: 2028,
+    month: 2,
+    day: 29,
+  });
+});
+
+test("formatLocalTime prints the zone's offset", () => {
+  const berlinMidnight = Date.UTC(2026, 9, 24, 22);
+  assert.equal(formatLocalTime(berlinMidnight, "Europe/Berlin"), "2026-10-25T00:00:00+02:00");
+  assert.equal(formatLocalTime(0, "Asia/Kolkata"), "1970-01-01T05:30:00+05:30");
+});
+
+test("normalizeTimeZone returns the canonical name or null", () => {
+  assert.equal(normalizeTimeZone("europe/berlin"), "Europe/Berlin");
+  assert.equal(normalizeTimeZone("Nope/Zone"), null);
+  assert.equal(normalizeTimeZone(""), null);
+  assert.equal(normalizeTimeZone(42), null);
+});